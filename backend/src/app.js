@@ -13,6 +13,8 @@ const authRoutes = require('./routes/auth');
 const betRoutes = require('./routes/bets');
 const groupRoutes = require('./routes/groups');
 const scoreRoutes = require('./routes/scores');
+const walletRoutes = require('./routes/wallet');
+const notificationRoutes = require('./routes/notifications');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { testConnection } = require('./config/database');
 
@@ -29,6 +31,7 @@ app.use(helmet());
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
+  exposedHeaders: ['Idempotent-Replayed'],
   optionsSuccessStatus: 200,
 };
 app.use(cors(corsOptions));
@@ -73,6 +76,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/bets', betRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/scores', scoreRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -87,6 +87,28 @@ async function getClient() {
   return client;
 }
 
+/**
+ * Run a callback inside a transaction
+ * Commits if the callback resolves, rolls back if it throws
+ * @param {Function} callback - Receives the pool client
+ * @returns {Promise} Callback result
+ */
+async function transaction(callback) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Test database connection
  * @returns {Promise<boolean>} Connection status
@@ -113,6 +135,7 @@ async function closePool() {
 module.exports = {
   query,
   getClient,
+  transaction,
   pool,
   testConnection,
   closePool,
@@ -3,7 +3,75 @@
  * Handles bet HTTP requests
  */
 
+const { once } = require('events');
 const BetService = require('../services/betService');
+const CommentService = require('../services/commentService');
+const ConsensusService = require('../services/consensusService');
+const DisputeService = require('../services/disputeService');
+const ReceiptService = require('../services/receiptService');
+const { formatRow } = require('../utils/csv');
+
+/**
+ * Write a chunk to a streamed response, waiting for the socket to drain
+ * Rejects if the response errors while waiting.
+ * @param {object} res - Express response
+ * @param {string} chunk - Data to write
+ * @returns {Promise<boolean>} False once the client has closed the connection
+ */
+async function writeChunk(res, chunk) {
+  if (res.destroyed) return false;
+  if (res.write(chunk)) return true;
+
+  // A client that disconnects never drains; stop waiting when it closes
+  const waiting = new AbortController();
+  try {
+    const event = await Promise.race([
+      once(res, 'drain', { signal: waiting.signal }).then(() => 'drain'),
+      once(res, 'close', { signal: waiting.signal }).then(() => 'close'),
+    ]);
+    return event === 'drain';
+  } finally {
+    waiting.abort();
+  }
+}
+
+/**
+ * Pick the bet listing filters out of a query string
+ * Values are validated by BetService.
+ * @param {object} query - Request query
+ * @returns {object} Listing filters
+ */
+function listingQuery(query) {
+  const {
+    status,
+    sportType,
+    groupId,
+    betType,
+    gameDateFrom,
+    gameDateTo,
+    minConfidence,
+    maxConfidence,
+    team,
+    resolved,
+    cursor,
+    limit,
+  } = query;
+
+  return {
+    status,
+    sportType,
+    groupId,
+    betType,
+    gameDateFrom,
+    gameDateTo,
+    minConfidence,
+    maxConfidence,
+    team,
+    resolved,
+    cursor,
+    limit,
+  };
+}
 
 class BetController {
   /**
@@ -18,12 +86,13 @@ class BetController {
       homeTeam,
       awayTeam,
       gameDate,
-      betType,
+      market,
+      odds,
       betDetails,
-      predictedOutcome,
       confidenceLevel,
       notes,
       isPublic,
+      stake,
     } = req.body;
 
     const bet = await BetService.createBet(req.userId, {
@@ -33,12 +102,13 @@ class BetController {
       homeTeam,
       awayTeam,
       gameDate,
-      betType,
+      market,
+      odds,
       betDetails,
-      predictedOutcome,
       confidenceLevel,
       notes,
       isPublic,
+      stake,
     });
 
     res.status(201).json({
@@ -48,6 +118,79 @@ class BetController {
     });
   }
 
+  /**
+   * Create a parlay
+   * POST /api/bets/parlays
+   */
+  static async createParlay(req, res) {
+    const { groupId, legs, odds, betDetails, confidenceLevel, notes, isPublic, stake } = req.body;
+
+    const parlay = await BetService.createParlay(req.userId, {
+      groupId,
+      legs,
+      odds,
+      betDetails,
+      confidenceLevel,
+      notes,
+      isPublic,
+      stake,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Parlay created successfully',
+      data: parlay,
+    });
+  }
+
+  /**
+   * Tail another user's public bet
+   * POST /api/bets/:id/tail
+   */
+  static async tail(req, res) {
+    const { groupId, stake, confidenceLevel, notes, isPublic } = req.body;
+
+    const bet = await BetService.tailBet(req.params.id, req.userId, {
+      groupId,
+      stake,
+      confidenceLevel,
+      notes,
+      isPublic,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bet tailed successfully',
+      data: bet,
+    });
+  }
+
+  /**
+   * Get current user's parlays
+   * GET /api/bets/parlays
+   */
+  static async getMyParlays(req, res) {
+    const result = await BetService.getUserParlays(req.userId, listingQuery(req.query));
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Get parlay by ID
+   * GET /api/bets/parlays/:id
+   */
+  static async getParlayById(req, res) {
+    const parlay = await BetService.getParlay(req.params.id, req.userId);
+
+    res.json({
+      success: true,
+      data: parlay,
+    });
+  }
+
   /**
    * Get bet by ID
    * GET /api/bets/:id
@@ -62,21 +205,228 @@ class BetController {
   }
 
   /**
-   * Get current user's bets
-   * GET /api/bets/my/bets
+   * Get revision history of a bet
+   * GET /api/bets/:id/revisions
    */
-  static async getMyBets(req, res) {
-    const { status, sportType, groupId, limit, offset } = req.query;
+  static async getRevisions(req, res) {
+    const result = await BetService.getBetRevisions(req.params.id, req.userId);
 
-    const filters = {
-      status,
-      sportType,
-      groupId,
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Get receipts of a bet
+   * GET /api/bets/:id/receipts
+   */
+  static async getReceipts(req, res) {
+    const result = await BetService.getBetReceipts(req.params.id, req.userId);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Verify a user's receipt chain (the current user's by default)
+   * GET /api/bets/receipts/verify
+   */
+  static async verifyReceipts(req, res) {
+    const report = await ReceiptService.verifyChainFor(req.query.userId || req.userId, req.userId);
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  }
+
+  /**
+   * Get comments on a bet
+   * GET /api/bets/:id/comments
+   */
+  static async getComments(req, res) {
+    const { limit, offset } = req.query;
+
+    const options = {
       limit: limit ? parseInt(limit) : undefined,
       offset: offset ? parseInt(offset) : undefined,
     };
 
-    const result = await BetService.getUserBets(req.userId, filters);
+    const result = await CommentService.getComments(req.params.id, req.userId, options);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Comment on a bet
+   * POST /api/bets/:id/comments
+   */
+  static async addComment(req, res) {
+    const comment = await CommentService.addComment(req.params.id, req.userId, req.body.content);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: comment,
+    });
+  }
+
+  /**
+   * Delete a comment on a bet
+   * DELETE /api/bets/:id/comments/:commentId
+   */
+  static async deleteComment(req, res) {
+    await CommentService.deleteComment(req.params.id, req.params.commentId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+    });
+  }
+
+  /**
+   * Get reactions on a bet
+   * GET /api/bets/:id/reactions
+   */
+  static async getReactions(req, res) {
+    const reactions = await CommentService.getReactions(req.params.id, req.userId);
+
+    res.json({
+      success: true,
+      data: { reactions },
+    });
+  }
+
+  /**
+   * React to a bet
+   * POST /api/bets/:id/reactions
+   */
+  static async addReaction(req, res) {
+    const reactions = await CommentService.addReaction(req.params.id, req.userId, req.body.emoji);
+
+    res.json({
+      success: true,
+      data: { reactions },
+    });
+  }
+
+  /**
+   * Remove a reaction from a bet
+   * DELETE /api/bets/:id/reactions/:emoji
+   */
+  static async removeReaction(req, res) {
+    const reactions = await CommentService.removeReaction(
+      req.params.id,
+      req.userId,
+      req.params.emoji
+    );
+
+    res.json({
+      success: true,
+      data: { reactions },
+    });
+  }
+
+  /**
+   * Get disputes on a bet
+   * GET /api/bets/:id/disputes
+   */
+  static async getDisputes(req, res) {
+    const result = await DisputeService.getBetDisputes(req.params.id, req.userId);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Dispute the result of a bet
+   * POST /api/bets/:id/disputes
+   */
+  static async openDispute(req, res) {
+    const dispute = await DisputeService.openDispute(req.params.id, req.userId, req.body.reason);
+
+    res.status(201).json({
+      success: true,
+      data: { dispute },
+      message: 'Dispute opened successfully',
+    });
+  }
+
+  /**
+   * Uphold a dispute or re-grade the bet (group admins only)
+   * POST /api/bets/:id/disputes/:disputeId/resolve
+   */
+  static async resolveDispute(req, res) {
+    const { action, result, actualOutcome, note } = req.body;
+
+    const outcome = await DisputeService.resolveDispute(
+      req.params.id,
+      req.params.disputeId,
+      req.userId,
+      { action, result, actualOutcome, note }
+    );
+
+    res.json({
+      success: true,
+      data: outcome,
+      message: action === 'regrade' ? 'Bet re-graded successfully' : 'Dispute upheld',
+    });
+  }
+
+  /**
+   * Get the groups a bet is shared with
+   * GET /api/bets/:id/shares
+   */
+  static async getShares(req, res) {
+    const result = await BetService.getBetShares(req.params.id, req.userId);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Share a bet with another group
+   * POST /api/bets/:id/shares
+   */
+  static async share(req, res) {
+    const share = await BetService.shareBet(req.params.id, req.userId, req.body.groupId);
+
+    res.status(201).json({
+      success: true,
+      data: { share },
+      message: 'Bet shared successfully',
+    });
+  }
+
+  /**
+   * Stop sharing a bet with a group
+   * DELETE /api/bets/:id/shares/:groupId
+   */
+  static async unshare(req, res) {
+    await BetService.unshareBet(req.params.id, req.userId, req.params.groupId);
+
+    res.json({
+      success: true,
+      message: 'Bet unshared successfully',
+    });
+  }
+
+  /**
+   * Get current user's bets
+   * GET /api/bets/my/bets
+   */
+  static async getMyBets(req, res) {
+    const result = await BetService.getUserBets(req.userId, listingQuery(req.query));
 
     res.json({
       success: true,
@@ -89,16 +439,7 @@ class BetController {
    * GET /api/bets/group/:groupId
    */
   static async getGroupBets(req, res) {
-    const { status, sportType, limit, offset } = req.query;
-
-    const filters = {
-      status,
-      sportType,
-      limit: limit ? parseInt(limit) : undefined,
-      offset: offset ? parseInt(offset) : undefined,
-    };
-
-    const result = await BetService.getGroupBets(req.params.groupId, filters);
+    const result = await BetService.getGroupBets(req.params.groupId, listingQuery(req.query));
 
     res.json({
       success: true,
@@ -122,15 +463,49 @@ class BetController {
     });
   }
 
+  /**
+   * Get the consensus of public picks on a game
+   * GET /api/bets/game/:gameId/consensus
+   */
+  static async getGameConsensus(req, res) {
+    const { groupId, weighted } = req.query;
+
+    const consensus = await ConsensusService.getGameConsensus(req.params.gameId, req.userId, {
+      groupId,
+      weighted: weighted === 'true',
+    });
+
+    res.json({
+      success: true,
+      data: consensus,
+    });
+  }
+
+  /**
+   * Get a group's consensus picks and their record
+   * GET /api/bets/group/:groupId/consensus
+   */
+  static async getGroupConsensus(req, res) {
+    const result = await ConsensusService.getGroupConsensus(req.params.groupId, req.userId, {
+      weighted: req.query.weighted === 'true',
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
   /**
    * Update bet
    * PATCH /api/bets/:id
    */
   static async update(req, res) {
-    const { predictedOutcome, confidenceLevel, notes, isPublic } = req.body;
+    const { predictedOutcome, market, confidenceLevel, notes, isPublic } = req.body;
 
     const updates = {};
     if (predictedOutcome !== undefined) updates.predicted_outcome = predictedOutcome;
+    if (market !== undefined) updates.market = market;
     if (confidenceLevel !== undefined) updates.confidence_level = confidenceLevel;
     if (notes !== undefined) updates.notes = notes;
     if (isPublic !== undefined) updates.is_public = isPublic;
@@ -149,20 +524,21 @@ class BetController {
    * POST /api/bets/:id/resolve
    */
   static async resolve(req, res) {
-    const { actualOutcome, isCorrect } = req.body;
+    const { actualOutcome, isCorrect, result } = req.body;
 
-    if (actualOutcome === undefined || isCorrect === undefined) {
+    if (actualOutcome === undefined || (isCorrect === undefined && result === undefined)) {
       return res.status(400).json({
         success: false,
-        error: 'actualOutcome and isCorrect are required',
+        error: 'actualOutcome and either result or isCorrect are required',
       });
     }
 
+    // isCorrect is still accepted for plain won/lost resolutions
     const bet = await BetService.resolveBet(
       req.params.id,
       req.userId,
       actualOutcome,
-      isCorrect
+      result !== undefined ? result : isCorrect ? 'won' : 'lost'
     );
 
     res.json({
@@ -199,6 +575,95 @@ class BetController {
     });
   }
 
+  /**
+   * Export current user's bet history
+   * GET /api/bets/my/export?format=csv|json
+   */
+  static async exportMyBets(req, res) {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Export format must be csv or json',
+      });
+    }
+
+    // Same filters as GET /my/bets; limit and cursor are ignored, every match is exported
+    const bets = BetService.iterateUserBets(req.userId, listingQuery(req.query));
+    const columns = BetService.getExportColumns();
+
+    // Fetch the first batch before committing to a file response,
+    // so a failing query still gets a JSON error
+    let next = await bets.next();
+
+    const filename = `bets-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader(
+      'Content-Type',
+      format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8'
+    );
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    try {
+      let open = await writeChunk(res, format === 'csv' ? formatRow(columns) : '[');
+
+      let first = true;
+      while (open && !next.done) {
+        const record = BetService.toExportRecord(next.value);
+
+        if (format === 'csv') {
+          open = await writeChunk(res, formatRow(columns.map((column) => record[column])));
+        } else {
+          open = await writeChunk(res, (first ? '' : ',') + JSON.stringify(record));
+        }
+
+        first = false;
+        if (open) {
+          next = await bets.next();
+        }
+      }
+
+      // The client went away; stop reading their bets
+      if (!open) {
+        await bets.return();
+        return;
+      }
+
+      if (format === 'json') {
+        await writeChunk(res, ']');
+      }
+
+      res.end();
+    } catch (error) {
+      // Part of the file is already sent; drop the connection rather than
+      // leave the client with a truncated export that looks complete
+      console.error('Bet export failed:', error);
+      res.destroy(error);
+    }
+  }
+
+  /**
+   * Import bets from a CSV or JSON export
+   * POST /api/bets/my/import
+   */
+  static async importMyBets(req, res) {
+    const { format, data, dryRun } = req.body;
+
+    const result = await BetService.importBets(req.userId, {
+      format,
+      data,
+      dryRun: dryRun === true || dryRun === 'true',
+    });
+
+    res.json({
+      success: true,
+      message: result.dryRun
+        ? `${result.succeeded} of ${result.total} rows are valid`
+        : `Imported ${result.succeeded} of ${result.total} rows`,
+      data: result,
+    });
+  }
+
   /**
    * Get user statistics
    * GET /api/bets/my/stats
@@ -5,6 +5,9 @@
 
 const GroupService = require('../services/groupService');
 const MessageService = require('../services/messageService');
+const DisputeService = require('../services/disputeService');
+const LeaderboardService = require('../services/leaderboardService');
+const SeasonService = require('../services/seasonService');
 
 class GroupController {
   /**
@@ -12,7 +15,15 @@ class GroupController {
    * POST /api/groups
    */
   static async create(req, res) {
-    const { name, description, avatarUrl, isPrivate, maxMembers } = req.body;
+    const {
+      name,
+      description,
+      avatarUrl,
+      isPrivate,
+      maxMembers,
+      betLockMinutes,
+      leaderboardScoring,
+    } = req.body;
 
     const group = await GroupService.createGroup(req.userId, {
       name,
@@ -20,6 +31,8 @@ class GroupController {
       avatarUrl,
       isPrivate,
       maxMembers,
+      betLockMinutes,
+      leaderboardScoring,
     });
 
     res.status(201).json({
@@ -81,7 +94,15 @@ class GroupController {
    * PATCH /api/groups/:id
    */
   static async update(req, res) {
-    const { name, description, avatarUrl, isPrivate, maxMembers } = req.body;
+    const {
+      name,
+      description,
+      avatarUrl,
+      isPrivate,
+      maxMembers,
+      betLockMinutes,
+      leaderboardScoring,
+    } = req.body;
 
     const updates = {};
     if (name !== undefined) updates.name = name;
@@ -89,6 +110,8 @@ class GroupController {
     if (avatarUrl !== undefined) updates.avatar_url = avatarUrl;
     if (isPrivate !== undefined) updates.is_private = isPrivate;
     if (maxMembers !== undefined) updates.max_members = maxMembers;
+    if (betLockMinutes !== undefined) updates.bet_lock_minutes = betLockMinutes;
+    if (leaderboardScoring !== undefined) updates.leaderboard_scoring = leaderboardScoring;
 
     const group = await GroupService.updateGroup(req.params.id, req.userId, updates);
 
@@ -117,7 +140,7 @@ class GroupController {
    * POST /api/groups/:id/join
    */
   static async join(req, res) {
-    const membership = await GroupService.joinGroup(req.params.id, req.userId);
+    const membership = await GroupService.joinGroup(req.params.id, req.userId, req.body.joinCode);
 
     res.json({
       success: true,
@@ -126,6 +149,135 @@ class GroupController {
     });
   }
 
+  /**
+   * Ask to join a private group
+   * POST /api/groups/:id/join-requests
+   */
+  static async requestToJoin(req, res) {
+    const request = await GroupService.requestToJoin(req.params.id, req.userId, req.body.message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Join request sent',
+      data: request,
+    });
+  }
+
+  /**
+   * Get a group's join requests (admins only)
+   * GET /api/groups/:id/join-requests
+   */
+  static async getJoinRequests(req, res) {
+    const { status, limit, offset } = req.query;
+
+    const options = {
+      status,
+      limit: limit ? parseInt(limit) : undefined,
+      offset: offset ? parseInt(offset) : undefined,
+    };
+
+    const result = await GroupService.getJoinRequests(req.params.id, req.userId, options);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Approve a join request (admins only)
+   * POST /api/groups/:id/join-requests/:requestId/approve
+   */
+  static async approveJoinRequest(req, res) {
+    const result = await GroupService.decideJoinRequest(
+      req.params.id,
+      req.params.requestId,
+      req.userId,
+      true
+    );
+
+    res.json({
+      success: true,
+      message:
+        result.request.status === 'cancelled'
+          ? 'Requester is already a member; join request cancelled'
+          : 'Join request approved',
+      data: result,
+    });
+  }
+
+  /**
+   * Deny a join request (admins only)
+   * POST /api/groups/:id/join-requests/:requestId/deny
+   */
+  static async denyJoinRequest(req, res) {
+    const result = await GroupService.decideJoinRequest(
+      req.params.id,
+      req.params.requestId,
+      req.userId,
+      false
+    );
+
+    res.json({
+      success: true,
+      message:
+        result.request.status === 'cancelled'
+          ? 'Requester is already a member; join request cancelled'
+          : 'Join request denied',
+      data: result,
+    });
+  }
+
+  /**
+   * Get a group's invite codes (admins only)
+   * GET /api/groups/:id/invites
+   */
+  static async getInvites(req, res) {
+    const result = await GroupService.getInvites(req.params.id, req.userId);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Create an invite code (admins only)
+   * POST /api/groups/:id/invites
+   */
+  static async createInvite(req, res) {
+    const { expiresAt, maxUses } = req.body;
+
+    const invite = await GroupService.createInvite(req.params.id, req.userId, {
+      expiresAt,
+      maxUses,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite created successfully',
+      data: invite,
+    });
+  }
+
+  /**
+   * Revoke an invite code (admins only)
+   * DELETE /api/groups/:id/invites/:inviteId
+   */
+  static async revokeInvite(req, res) {
+    const invite = await GroupService.revokeInvite(
+      req.params.id,
+      req.params.inviteId,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      message: 'Invite revoked successfully',
+      data: invite,
+    });
+  }
+
   /**
    * Leave a group
    * POST /api/groups/:id/leave
@@ -183,6 +335,24 @@ class GroupController {
     });
   }
 
+  /**
+   * Transfer group ownership to another member (owner only)
+   * POST /api/groups/:id/transfer-ownership
+   */
+  static async transferOwnership(req, res) {
+    const result = await GroupService.transferOwnership(
+      req.params.id,
+      req.userId,
+      req.body.newOwnerId
+    );
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred successfully',
+      data: result,
+    });
+  }
+
   /**
    * Remove member from group
    * DELETE /api/groups/:id/members/:userId
@@ -295,6 +465,104 @@ class GroupController {
       },
     });
   }
+
+  /**
+   * Get group leaderboard
+   * GET /api/groups/:id/leaderboard
+   */
+  static async getLeaderboard(req, res) {
+    const { window, limit, offset } = req.query;
+
+    const options = {
+      window,
+      limit: limit ? parseInt(limit) : undefined,
+      offset: offset ? parseInt(offset) : undefined,
+    };
+
+    const leaderboard = await LeaderboardService.getLeaderboard(req.params.id, req.userId, options);
+
+    res.json({
+      success: true,
+      data: leaderboard,
+    });
+  }
+
+  /**
+   * Start a season (owner only)
+   * POST /api/groups/:id/seasons
+   */
+  static async createSeason(req, res) {
+    const { name, startsAt, endsAt, sports, scoring } = req.body;
+
+    const season = await SeasonService.createSeason(req.params.id, req.userId, {
+      name,
+      startsAt,
+      endsAt,
+      sports,
+      scoring,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Season created successfully',
+      data: season,
+    });
+  }
+
+  /**
+   * Get group seasons
+   * GET /api/groups/:id/seasons
+   */
+  static async getSeasons(req, res) {
+    const { status, limit, offset } = req.query;
+
+    const options = {
+      status,
+      limit: limit ? parseInt(limit) : undefined,
+      offset: offset ? parseInt(offset) : undefined,
+    };
+
+    const result = await SeasonService.getSeasons(req.params.id, req.userId, options);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Get a season with its standings
+   * GET /api/groups/:id/seasons/:seasonId
+   */
+  static async getSeason(req, res) {
+    const result = await SeasonService.getSeason(req.params.id, req.params.seasonId, req.userId);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Get bet disputes in group
+   * GET /api/groups/:id/disputes
+   */
+  static async getDisputes(req, res) {
+    const { status, limit, offset } = req.query;
+
+    const options = {
+      status,
+      limit: limit ? parseInt(limit) : undefined,
+      offset: offset ? parseInt(offset) : undefined,
+    };
+
+    const result = await DisputeService.getGroupDisputes(req.params.id, req.userId, options);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
 }
 
 module.exports = GroupController;
@@ -0,0 +1,58 @@
+/**
+ * Notification Controller
+ * Handles notification HTTP requests
+ */
+
+const NotificationService = require('../services/notificationService');
+
+class NotificationController {
+  /**
+   * Get current user's notifications
+   * GET /api/notifications
+   */
+  static async getMyNotifications(req, res) {
+    const { unreadOnly, limit, offset } = req.query;
+
+    const options = {
+      unreadOnly: unreadOnly === 'true',
+      limit: limit ? parseInt(limit) : undefined,
+      offset: offset ? parseInt(offset) : undefined,
+    };
+
+    const result = await NotificationService.getNotifications(req.userId, options);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  }
+
+  /**
+   * Mark a notification as read
+   * POST /api/notifications/:id/read
+   */
+  static async markRead(req, res) {
+    const notification = await NotificationService.markRead(req.params.id, req.userId);
+
+    res.json({
+      success: true,
+      data: notification,
+    });
+  }
+
+  /**
+   * Mark all notifications as read
+   * POST /api/notifications/read-all
+   */
+  static async markAllRead(req, res) {
+    const result = await NotificationService.markAllRead(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: result,
+    });
+  }
+}
+
+module.exports = NotificationController;
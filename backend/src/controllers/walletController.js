@@ -0,0 +1,46 @@
+/**
+ * Wallet Controller
+ * Handles play-money wallet HTTP requests
+ */
+
+const WalletService = require('../services/walletService');
+
+class WalletController {
+  /**
+   * Get current user's balance and transaction history
+   * GET /api/wallet
+   */
+  static async getMyWallet(req, res) {
+    const { limit, offset } = req.query;
+
+    const options = {
+      limit: limit ? parseInt(limit) : undefined,
+      offset: offset ? parseInt(offset) : undefined,
+    };
+
+    const wallet = await WalletService.getWallet(req.userId, options);
+
+    res.json({
+      success: true,
+      data: wallet,
+    });
+  }
+
+  /**
+   * Adjust a user's balance (admin only)
+   * POST /api/wallet/adjustments
+   */
+  static async adjust(req, res) {
+    const { userId, amount, reason } = req.body;
+
+    const entry = await WalletService.adjustBalance(req.userId, userId, amount, reason);
+
+    res.status(201).json({
+      success: true,
+      message: 'Balance adjusted successfully',
+      data: entry,
+    });
+  }
+}
+
+module.exports = WalletController;
@@ -0,0 +1,12 @@
+-- Social Sports Betting Platform - Structured Bet Markets
+-- Migration: 002_bet_markets
+-- Description: Adds a typed market (moneyline, spread, total) to bets
+
+-- ==============================================
+-- BETS TABLE
+-- ==============================================
+
+-- Bets without a market are legacy free-text predictions
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS market JSONB;
+
+COMMENT ON COLUMN bets.market IS 'Typed market: {type: moneyline, side} | {type: spread, side, line} | {type: total, selection, line}. NULL for legacy free-text bets';
@@ -0,0 +1,67 @@
+-- Social Sports Betting Platform - Parlays
+-- Migration: 003_parlays
+-- Description: Adds parent/leg relationship to bets for multi-leg parlays
+
+-- ==============================================
+-- BETS TABLE
+-- ==============================================
+
+-- Legs point at their parlay; the parlay row itself has bet_type 'parlay'
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS parent_bet_id UUID REFERENCES bets(id) ON DELETE CASCADE;
+
+-- Parlay rows span several games, so game information is only required on single bets and legs
+ALTER TABLE bets
+    ALTER COLUMN game_id DROP NOT NULL,
+    ALTER COLUMN home_team DROP NOT NULL,
+    ALTER COLUMN away_team DROP NOT NULL;
+
+ALTER TABLE bets ADD CONSTRAINT game_info_required CHECK (
+    bet_type = 'parlay' OR (game_id IS NOT NULL AND home_team IS NOT NULL AND away_team IS NOT NULL)
+);
+
+ALTER TABLE bets ADD CONSTRAINT no_nested_parlays CHECK (
+    parent_bet_id IS NULL OR bet_type <> 'parlay'
+);
+
+CREATE INDEX IF NOT EXISTS idx_bets_parent ON bets(parent_bet_id) WHERE parent_bet_id IS NOT NULL;
+
+-- ==============================================
+-- VIEWS (count a parlay once, not once per leg)
+-- ==============================================
+
+CREATE OR REPLACE VIEW user_stats AS
+SELECT
+    u.id,
+    u.username,
+    COUNT(DISTINCT b.id) as total_bets,
+    COUNT(DISTINCT CASE WHEN b.is_correct = true THEN b.id END) as bets_won,
+    COUNT(DISTINCT CASE WHEN b.is_correct = false THEN b.id END) as bets_lost,
+    COUNT(DISTINCT gm.group_id) as groups_joined,
+    CASE
+        WHEN COUNT(DISTINCT b.id) > 0 THEN
+            ROUND(COUNT(DISTINCT CASE WHEN b.is_correct = true THEN b.id END)::numeric /
+                  COUNT(DISTINCT CASE WHEN b.status IN ('won', 'lost') THEN b.id END)::numeric * 100, 2)
+        ELSE 0
+    END as win_percentage
+FROM users u
+LEFT JOIN bets b ON u.id = b.user_id AND b.parent_bet_id IS NULL
+LEFT JOIN group_members gm ON u.id = gm.user_id AND gm.is_active = true
+GROUP BY u.id, u.username;
+
+CREATE OR REPLACE VIEW group_stats AS
+SELECT
+    g.id,
+    g.name,
+    g.owner_id,
+    COUNT(DISTINCT gm.user_id) as member_count,
+    COUNT(DISTINCT b.id) as total_bets,
+    COUNT(DISTINCT m.id) as total_messages,
+    g.created_at
+FROM groups g
+LEFT JOIN group_members gm ON g.id = gm.group_id AND gm.is_active = true
+LEFT JOIN bets b ON g.id = b.group_id AND b.parent_bet_id IS NULL
+LEFT JOIN messages m ON g.id = m.group_id AND m.is_deleted = false
+WHERE g.is_active = true
+GROUP BY g.id, g.name, g.owner_id, g.created_at;
+
+COMMENT ON COLUMN bets.parent_bet_id IS 'Parlay this bet is a leg of (NULL for single bets and parlays)';
@@ -0,0 +1,72 @@
+-- Social Sports Betting Platform - Play-money Wallets
+-- Migration: 004_wallets
+-- Description: Adds virtual bankrolls with an append-only ledger and bet stakes
+
+-- ==============================================
+-- WALLETS TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS wallets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    balance NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT non_negative_balance CHECK (balance >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallets_user ON wallets(user_id);
+
+CREATE TRIGGER update_wallets_updated_at BEFORE UPDATE ON wallets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ==============================================
+-- WALLET TRANSACTIONS TABLE (Append-only ledger)
+-- ==============================================
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+    bet_id UUID, -- no FK: ledger rows outlive deleted bets
+    type VARCHAR(20) NOT NULL,
+    amount NUMERIC(12, 2) NOT NULL,
+    balance_after NUMERIC(12, 2) NOT NULL,
+    description TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT valid_transaction_type CHECK (
+        type IN ('initial_grant', 'stake_debit', 'win_credit', 'push_refund', 'stake_refund', 'adjustment')
+    ),
+    CONSTRAINT non_zero_amount CHECK (amount <> 0),
+    CONSTRAINT non_negative_balance_after CHECK (balance_after >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_wallet ON wallet_transactions(wallet_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_bet ON wallet_transactions(bet_id);
+
+-- Ledger rows can never be changed once written.
+-- Deletes are only allowed when cascading from a deleted wallet (trigger depth > 1).
+CREATE OR REPLACE FUNCTION prevent_ledger_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND pg_trigger_depth() > 1 THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'wallet_transactions is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER wallet_transactions_append_only BEFORE UPDATE OR DELETE ON wallet_transactions
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes();
+
+-- ==============================================
+-- BETS TABLE
+-- ==============================================
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS stake NUMERIC(12, 2);
+ALTER TABLE bets ADD CONSTRAINT positive_stake CHECK (stake IS NULL OR stake > 0);
+
+COMMENT ON TABLE wallets IS 'Play-money bankroll per user';
+COMMENT ON TABLE wallet_transactions IS 'Append-only ledger of wallet balance changes';
+COMMENT ON COLUMN bets.stake IS 'Virtual stake reserved from the wallet when the bet was placed';
@@ -0,0 +1,19 @@
+-- Social Sports Betting Platform - Bet Odds
+-- Migration: 005_bet_odds
+-- Description: Records the odds a bet was taken at, normalized to decimal
+
+-- ==============================================
+-- BETS TABLE
+-- ==============================================
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS odds_decimal NUMERIC(10, 4);
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS odds_format VARCHAR(12);
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS odds_value VARCHAR(20);
+
+ALTER TABLE bets ADD CONSTRAINT valid_odds CHECK (
+    (odds_decimal IS NULL AND odds_format IS NULL)
+    OR (odds_decimal > 1 AND odds_format IN ('american', 'decimal', 'fractional'))
+);
+
+COMMENT ON COLUMN bets.odds_decimal IS 'Odds the bet was taken at, normalized to decimal';
+COMMENT ON COLUMN bets.odds_format IS 'Format the odds were entered in (american, decimal, fractional)';
+COMMENT ON COLUMN bets.odds_value IS 'Odds as entered, e.g. -110, 1.91 or 10/11';
@@ -0,0 +1,37 @@
+-- Social Sports Betting Platform - Push and Void
+-- Migration: 006_push_void
+-- Description: Adds the push bet status and a reason for voided bets
+
+-- ==============================================
+-- BETS TABLE
+-- ==============================================
+ALTER TABLE bets DROP CONSTRAINT IF EXISTS valid_bet_status;
+ALTER TABLE bets ADD CONSTRAINT valid_bet_status
+    CHECK (status IN ('pending', 'won', 'lost', 'push', 'cancelled', 'void'));
+
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS void_reason TEXT;
+
+COMMENT ON COLUMN bets.void_reason IS 'Why the bet was voided, e.g. Game postponed';
+
+-- ==============================================
+-- VIEWS (pushes and voids do not count toward win percentage)
+-- ==============================================
+
+CREATE OR REPLACE VIEW user_stats AS
+SELECT
+    u.id,
+    u.username,
+    COUNT(DISTINCT b.id) as total_bets,
+    COUNT(DISTINCT CASE WHEN b.is_correct = true THEN b.id END) as bets_won,
+    COUNT(DISTINCT CASE WHEN b.is_correct = false THEN b.id END) as bets_lost,
+    COUNT(DISTINCT gm.group_id) as groups_joined,
+    CASE
+        WHEN COUNT(DISTINCT CASE WHEN b.status IN ('won', 'lost') THEN b.id END) > 0 THEN
+            ROUND(COUNT(DISTINCT CASE WHEN b.is_correct = true THEN b.id END)::numeric /
+                  COUNT(DISTINCT CASE WHEN b.status IN ('won', 'lost') THEN b.id END)::numeric * 100, 2)
+        ELSE 0
+    END as win_percentage
+FROM users u
+LEFT JOIN bets b ON u.id = b.user_id AND b.parent_bet_id IS NULL
+LEFT JOIN group_members gm ON u.id = gm.user_id AND gm.is_active = true
+GROUP BY u.id, u.username;
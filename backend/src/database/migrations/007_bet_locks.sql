@@ -0,0 +1,13 @@
+-- Social Sports Betting Platform - Bet Locks
+-- Migration: 007_bet_locks
+-- Description: Lets group owners lock bets a number of minutes before kickoff
+
+-- ==============================================
+-- GROUPS TABLE
+-- ==============================================
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS bet_lock_minutes INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE groups ADD CONSTRAINT bet_lock_minutes_range
+    CHECK (bet_lock_minutes >= 0 AND bet_lock_minutes <= 1440);
+
+COMMENT ON COLUMN groups.bet_lock_minutes IS 'Minutes before kickoff at which bets in the group lock';
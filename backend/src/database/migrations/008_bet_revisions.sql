@@ -0,0 +1,23 @@
+-- Social Sports Betting Platform - Bet Revisions
+-- Migration: 008_bet_revisions
+-- Description: Keeps the previous values of a bet every time it is updated
+
+-- ==============================================
+-- BET REVISIONS TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS bet_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bet_id UUID NOT NULL REFERENCES bets(id) ON DELETE CASCADE,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    changed_fields TEXT[] NOT NULL,
+    previous_values JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT has_changed_fields CHECK (cardinality(changed_fields) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bet_revisions_bet ON bet_revisions(bet_id, created_at);
+
+COMMENT ON TABLE bet_revisions IS 'Previous values of bets, one row per update';
+COMMENT ON COLUMN bet_revisions.previous_values IS 'Values of changed_fields before the update';
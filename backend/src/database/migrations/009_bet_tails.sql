@@ -0,0 +1,20 @@
+-- Social Sports Betting Platform - Bet Tails
+-- Migration: 009_bet_tails
+-- Description: Lets users copy ("tail") another user's public bet
+
+-- ==============================================
+-- BETS TABLE
+-- ==============================================
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS tailed_from_bet_id UUID REFERENCES bets(id) ON DELETE SET NULL;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS tailed_from_user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- A bet can be tailed once per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bets_tail_unique
+    ON bets(user_id, tailed_from_bet_id)
+    WHERE tailed_from_bet_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bets_tailed_from_bet ON bets(tailed_from_bet_id);
+CREATE INDEX IF NOT EXISTS idx_bets_tailed_from_user ON bets(tailed_from_user_id);
+
+COMMENT ON COLUMN bets.tailed_from_bet_id IS 'Bet this one was copied from';
+COMMENT ON COLUMN bets.tailed_from_user_id IS 'Author of the tailed bet, kept if the source bet is deleted';
@@ -0,0 +1,59 @@
+-- Social Sports Betting Platform - Bet Comments
+-- Migration: 010_bet_comments
+-- Description: Comment threads and emoji reactions on bets, and user notifications
+
+-- ==============================================
+-- BET COMMENTS TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS bet_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bet_id UUID NOT NULL REFERENCES bets(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    is_deleted BOOLEAN DEFAULT false,
+    deleted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT comment_not_empty CHECK (char_length(content) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bet_comments_bet ON bet_comments(bet_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_bet_comments_user ON bet_comments(user_id);
+
+COMMENT ON TABLE bet_comments IS 'Discussion threads attached to bets';
+
+-- ==============================================
+-- BET REACTIONS TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS bet_reactions (
+    bet_id UUID NOT NULL REFERENCES bets(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    emoji VARCHAR(16) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (bet_id, user_id, emoji)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bet_reactions_bet ON bet_reactions(bet_id);
+
+COMMENT ON TABLE bet_reactions IS 'Emoji reactions on bets, one per user and emoji';
+
+-- ==============================================
+-- NOTIFICATIONS TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE is_read = false;
+
+COMMENT ON TABLE notifications IS 'Per-user notifications, e.g. comments on their bets';
+COMMENT ON COLUMN notifications.data IS 'Type-specific payload, e.g. bet_id and comment_id';
@@ -0,0 +1,46 @@
+-- Social Sports Betting Platform - Bet Disputes
+-- Migration: 011_bet_disputes
+-- Description: Lets group members dispute resolved bets and group admins re-grade them
+
+-- ==============================================
+-- BET DISPUTES TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS bet_disputes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bet_id UUID NOT NULL REFERENCES bets(id) ON DELETE CASCADE,
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    opened_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    previous_status VARCHAR(20) NOT NULL,
+    new_status VARCHAR(20),
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolution_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT valid_dispute_status CHECK (status IN ('open', 'upheld', 'regraded')),
+    CONSTRAINT dispute_reason_not_empty CHECK (char_length(reason) > 0)
+);
+
+-- A bet has at most one open dispute at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bet_disputes_open
+    ON bet_disputes(bet_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_bet_disputes_bet ON bet_disputes(bet_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_bet_disputes_group ON bet_disputes(group_id, status);
+
+COMMENT ON TABLE bet_disputes IS 'Challenges to the result of resolved group bets';
+COMMENT ON COLUMN bet_disputes.previous_status IS 'Bet status when the dispute was opened';
+COMMENT ON COLUMN bet_disputes.new_status IS 'Bet status set by a re-grade';
+
+-- ==============================================
+-- WALLET TRANSACTIONS (re-grades correct settled stakes)
+-- ==============================================
+ALTER TABLE wallet_transactions DROP CONSTRAINT IF EXISTS valid_transaction_type;
+ALTER TABLE wallet_transactions ADD CONSTRAINT valid_transaction_type CHECK (
+    type IN (
+        'initial_grant', 'stake_debit', 'win_credit', 'push_refund', 'stake_refund',
+        'adjustment', 'regrade_adjustment'
+    )
+);
@@ -0,0 +1,45 @@
+-- Social Sports Betting Platform - Bet Receipts
+-- Migration: 012_bet_receipts
+-- Description: Hash-chained receipts that make changes to placed bets detectable
+
+-- ==============================================
+-- BET RECEIPTS TABLE (Append-only, one chain per user)
+-- ==============================================
+CREATE TABLE IF NOT EXISTS bet_receipts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    bet_id UUID NOT NULL, -- no FK: receipts outlive deleted bets
+    sequence INTEGER NOT NULL,
+    kind VARCHAR(10) NOT NULL,
+    content_hash CHAR(64) NOT NULL,
+    previous_hash CHAR(64),
+    receipt_hash CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT valid_receipt_kind CHECK (kind IN ('placed', 'updated')),
+    CONSTRAINT positive_receipt_sequence CHECK (sequence > 0),
+    CONSTRAINT unique_receipt_sequence UNIQUE (user_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bet_receipts_bet ON bet_receipts(bet_id, sequence);
+
+-- Receipts can never be changed once written.
+-- Deletes are only allowed when cascading from a deleted user (trigger depth > 1).
+CREATE OR REPLACE FUNCTION prevent_receipt_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND pg_trigger_depth() > 1 THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'bet_receipts is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS bet_receipts_append_only ON bet_receipts;
+CREATE TRIGGER bet_receipts_append_only BEFORE UPDATE OR DELETE ON bet_receipts
+    FOR EACH ROW EXECUTE FUNCTION prevent_receipt_changes();
+
+COMMENT ON TABLE bet_receipts IS 'Hash chain of placed and updated bets, one chain per user';
+COMMENT ON COLUMN bet_receipts.content_hash IS 'SHA-256 of the canonical bet content, including created_at';
+COMMENT ON COLUMN bet_receipts.receipt_hash IS 'SHA-256 over this receipt and previous_hash';
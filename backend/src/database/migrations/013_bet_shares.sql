@@ -0,0 +1,47 @@
+-- Social Sports Betting Platform - Bet Shares
+-- Migration: 013_bet_shares
+-- Description: Lets one bet be shared with several groups
+
+-- ==============================================
+-- BET SHARES TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS bet_shares (
+    bet_id UUID NOT NULL REFERENCES bets(id) ON DELETE CASCADE,
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    shared_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (bet_id, group_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bet_shares_group ON bet_shares(group_id, created_at);
+
+-- Existing group bets are shared with the group they were placed in
+INSERT INTO bet_shares (bet_id, group_id, shared_by, created_at)
+SELECT id, group_id, user_id, created_at
+FROM bets
+WHERE group_id IS NOT NULL AND parent_bet_id IS NULL
+ON CONFLICT DO NOTHING;
+
+COMMENT ON TABLE bet_shares IS 'Groups a bet is visible in; parlay legs follow their parlay';
+COMMENT ON COLUMN bets.group_id IS 'Group the bet was placed in (its bet lock applies); see bet_shares for visibility';
+
+-- ==============================================
+-- VIEWS (group bets come from bet_shares)
+-- ==============================================
+
+CREATE OR REPLACE VIEW group_stats AS
+SELECT
+    g.id,
+    g.name,
+    g.owner_id,
+    COUNT(DISTINCT gm.user_id) as member_count,
+    COUNT(DISTINCT s.bet_id) as total_bets,
+    COUNT(DISTINCT m.id) as total_messages,
+    g.created_at
+FROM groups g
+LEFT JOIN group_members gm ON g.id = gm.group_id AND gm.is_active = true
+LEFT JOIN bet_shares s ON g.id = s.group_id
+LEFT JOIN messages m ON g.id = m.group_id AND m.is_deleted = false
+WHERE g.is_active = true
+GROUP BY g.id, g.name, g.owner_id, g.created_at;
@@ -0,0 +1,19 @@
+-- Social Sports Betting Platform - Bet Details Key Rotation
+-- Migration: 014_bet_details_key_rotation
+-- Description: Stores bet_details as versioned ciphertext text so rows can be found by key ID
+
+-- ==============================================
+-- BET DETAILS COLUMN (JSONB -> TEXT)
+-- ==============================================
+-- Ciphertext is not JSON; existing values are JSON strings and are unwrapped
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'bets' AND column_name = 'bet_details' AND data_type = 'jsonb'
+    ) THEN
+        ALTER TABLE bets ALTER COLUMN bet_details TYPE TEXT USING (bet_details #>> '{}');
+    END IF;
+END $$;
+
+COMMENT ON COLUMN bets.bet_details IS 'Encrypted bet details: v1:<key id>:<ciphertext>, or unversioned ciphertext from before key rotation';
@@ -0,0 +1,23 @@
+-- Social Sports Betting Platform - Idempotency Keys
+-- Migration: 015_idempotency_keys
+-- Description: Stores responses of requests sent with an Idempotency-Key header so retries replay them
+
+-- ==============================================
+-- IDEMPOTENCY KEYS TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    key VARCHAR(255) NOT NULL,
+    fingerprint CHAR(64) NOT NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+
+    PRIMARY KEY (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+COMMENT ON TABLE idempotency_keys IS 'Replayable responses per user and Idempotency-Key; response_status is NULL while the request runs';
+COMMENT ON COLUMN idempotency_keys.fingerprint IS 'SHA-256 of the method, path and body of the first request';
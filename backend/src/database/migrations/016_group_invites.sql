@@ -0,0 +1,26 @@
+-- Social Sports Betting Platform - Group Invites
+-- Migration: 016_group_invites
+-- Description: Invite codes that let users join private groups
+
+-- ==============================================
+-- GROUP INVITES TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS group_invites (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    code VARCHAR(32) NOT NULL UNIQUE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP,
+    max_uses INTEGER,
+    use_count INTEGER NOT NULL DEFAULT 0,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT positive_invite_max_uses CHECK (max_uses IS NULL OR max_uses > 0),
+    CONSTRAINT invite_uses_within_max CHECK (max_uses IS NULL OR use_count <= max_uses)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_invites_group ON group_invites(group_id, created_at DESC);
+
+COMMENT ON TABLE group_invites IS 'Invite codes for groups; NULL expires_at or max_uses means no limit';
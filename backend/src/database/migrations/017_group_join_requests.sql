@@ -0,0 +1,30 @@
+-- Social Sports Betting Platform - Group Join Requests
+-- Migration: 017_group_join_requests
+-- Description: Lets users ask to join private groups and group admins approve or deny them
+
+-- ==============================================
+-- GROUP JOIN REQUESTS TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS group_join_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    decided_at TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT valid_join_request_status CHECK (status IN ('pending', 'approved', 'denied'))
+);
+
+-- A user has at most one pending request per group
+CREATE UNIQUE INDEX IF NOT EXISTS idx_group_join_requests_pending
+    ON group_join_requests(group_id, user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_group_join_requests_group
+    ON group_join_requests(group_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_group_join_requests_user
+    ON group_join_requests(user_id, group_id, decided_at);
+
+COMMENT ON TABLE group_join_requests IS 'Requests to join private groups, decided by group admins';
@@ -0,0 +1,29 @@
+-- Social Sports Betting Platform - Single Group Owner
+-- Migration: 018_single_group_owner
+-- Description: Keeps the owner member role in line with groups.owner_id
+
+-- ==============================================
+-- CLEAN UP STRAY OWNERS
+-- ==============================================
+-- Role updates used to accept 'owner' without touching groups.owner_id
+UPDATE group_members gm
+SET role = 'admin'
+FROM groups g
+WHERE gm.group_id = g.id
+  AND gm.role = 'owner'
+  AND gm.user_id <> g.owner_id;
+
+UPDATE group_members gm
+SET role = 'owner'
+FROM groups g
+WHERE gm.group_id = g.id
+  AND gm.user_id = g.owner_id
+  AND gm.role <> 'owner';
+
+-- ==============================================
+-- ONE OWNER PER GROUP
+-- ==============================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_group_members_single_owner
+    ON group_members(group_id) WHERE role = 'owner';
+
+COMMENT ON INDEX idx_group_members_single_owner IS 'A group has one owner member, matching groups.owner_id';
@@ -0,0 +1,61 @@
+-- Social Sports Betting Platform - Group Leaderboards
+-- Migration: 019_group_leaderboards
+-- Description: Adds configurable leaderboard scoring and per-group points recorded when bets resolve
+
+-- ==============================================
+-- GROUPS TABLE
+-- ==============================================
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS leaderboard_scoring VARCHAR(20) NOT NULL DEFAULT 'flat';
+
+ALTER TABLE groups ADD CONSTRAINT valid_leaderboard_scoring
+    CHECK (leaderboard_scoring IN ('flat', 'confidence', 'units'));
+
+COMMENT ON COLUMN groups.leaderboard_scoring IS 'How the group leaderboard scores bets: flat, confidence or units';
+
+-- ==============================================
+-- GROUP LEADERBOARD ENTRIES TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS group_leaderboard_entries (
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    bet_id UUID NOT NULL REFERENCES bets(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL,
+    flat_points INTEGER NOT NULL,
+    confidence_points INTEGER NOT NULL,
+    units NUMERIC(10, 4) NOT NULL,
+    resolved_at TIMESTAMP NOT NULL,
+
+    PRIMARY KEY (group_id, bet_id),
+
+    -- Constraints
+    CONSTRAINT valid_leaderboard_status CHECK (status IN ('won', 'lost', 'push'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_leaderboard_entries_window
+    ON group_leaderboard_entries(group_id, resolved_at);
+CREATE INDEX IF NOT EXISTS idx_group_leaderboard_entries_bet
+    ON group_leaderboard_entries(bet_id);
+
+-- Score bets that were graded before leaderboards existed
+INSERT INTO group_leaderboard_entries (
+    group_id, bet_id, user_id, status, flat_points, confidence_points, units, resolved_at
+)
+SELECT
+    s.group_id,
+    b.id,
+    b.user_id,
+    b.status,
+    CASE WHEN b.status = 'won' THEN 1 ELSE 0 END,
+    CASE WHEN b.status = 'won' THEN COALESCE(b.confidence_level, 1) ELSE 0 END,
+    CASE
+        WHEN b.status = 'won' THEN COALESCE(b.odds_decimal, 2.0) - 1
+        WHEN b.status = 'lost' THEN -1
+        ELSE 0
+    END,
+    COALESCE(b.resolved_at, b.updated_at)
+FROM bets b
+JOIN bet_shares s ON s.bet_id = b.id
+WHERE b.parent_bet_id IS NULL AND b.status IN ('won', 'lost', 'push')
+ON CONFLICT DO NOTHING;
+
+COMMENT ON TABLE group_leaderboard_entries IS 'Points of each graded bet in every group it is shared with, under each scoring rule';
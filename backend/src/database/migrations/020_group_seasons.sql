@@ -0,0 +1,38 @@
+-- Social Sports Betting Platform - Group Seasons
+-- Migration: 020_group_seasons
+-- Description: Lets group owners run time-boxed competitions with their own sports and scoring
+
+-- ==============================================
+-- GROUP SEASONS TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS group_seasons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    sports TEXT[],
+    scoring VARCHAR(20) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Filled in once when the final table is archived
+    final_standings JSONB,
+    finalized_at TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT valid_season_window CHECK (ends_at > starts_at),
+    CONSTRAINT valid_season_scoring CHECK (scoring IN ('flat', 'confidence', 'units')),
+    CONSTRAINT valid_season_sports CHECK (
+        sports IS NULL
+        OR sports <@ ARRAY['football', 'basketball', 'baseball', 'soccer', 'hockey', 'other']::TEXT[]
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_seasons_group ON group_seasons(group_id, starts_at DESC);
+CREATE INDEX IF NOT EXISTS idx_group_seasons_unfinalized
+    ON group_seasons(ends_at) WHERE finalized_at IS NULL;
+
+COMMENT ON TABLE group_seasons IS 'Time-boxed group competitions; standings come from group_leaderboard_entries';
+COMMENT ON COLUMN group_seasons.sports IS 'Sports whose games count (NULL: all sports)';
+COMMENT ON COLUMN group_seasons.final_standings IS 'Final table archived after the season ends';
@@ -0,0 +1,16 @@
+-- Social Sports Betting Platform - Parlay Payout Odds
+-- Migration: 021_parlay_payout_odds
+-- Description: Records the reduced odds a parlay pays at when some of its legs were dropped
+
+-- ==============================================
+-- BETS TABLE
+-- ==============================================
+-- Set when a parlay wins after pushed, voided or cancelled legs were dropped;
+-- NULL means the bet pays at odds_decimal
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS payout_odds_decimal NUMERIC(10, 4);
+
+ALTER TABLE bets ADD CONSTRAINT valid_payout_odds CHECK (
+    payout_odds_decimal IS NULL OR payout_odds_decimal > 1
+);
+
+COMMENT ON COLUMN bets.payout_odds_decimal IS 'Odds a parlay pays at after dropped legs, when they differ from odds_decimal';
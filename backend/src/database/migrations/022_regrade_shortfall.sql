@@ -0,0 +1,24 @@
+-- Social Sports Betting Platform - Re-grade Shortfalls
+-- Migration: 022_regrade_shortfall
+-- Description: Records the part of a re-graded payout that could not be taken back
+
+-- ==============================================
+-- WALLET TRANSACTIONS
+-- ==============================================
+-- A re-grade debit stops at a zero balance. When the payout was already spent,
+-- the part it could not take back is recorded as a zero-amount entry whose
+-- description names the shortfall; the balance never goes negative.
+ALTER TABLE wallet_transactions DROP CONSTRAINT IF EXISTS valid_transaction_type;
+ALTER TABLE wallet_transactions ADD CONSTRAINT valid_transaction_type CHECK (
+    type IN (
+        'initial_grant', 'stake_debit', 'win_credit', 'push_refund', 'stake_refund',
+        'adjustment', 'regrade_adjustment', 'regrade_shortfall'
+    )
+);
+
+ALTER TABLE wallet_transactions DROP CONSTRAINT IF EXISTS non_zero_amount;
+ALTER TABLE wallet_transactions ADD CONSTRAINT non_zero_amount CHECK (
+    amount <> 0 OR type = 'regrade_shortfall'
+);
+
+COMMENT ON COLUMN wallet_transactions.amount IS 'Signed amount; zero only for a regrade_shortfall entry';
@@ -0,0 +1,43 @@
+-- Social Sports Betting Platform - Group Leaderboard Standings
+-- Migration: 023_group_leaderboard_standings
+-- Description: Keeps each member's all-time leaderboard totals per group, updated when bets resolve
+
+-- ==============================================
+-- GROUP LEADERBOARD STANDINGS TABLE
+-- ==============================================
+CREATE TABLE IF NOT EXISTS group_leaderboard_standings (
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    flat_points INTEGER NOT NULL DEFAULT 0,
+    confidence_points INTEGER NOT NULL DEFAULT 0,
+    units NUMERIC(12, 4) NOT NULL DEFAULT 0,
+    bets INTEGER NOT NULL DEFAULT 0,
+    won INTEGER NOT NULL DEFAULT 0,
+    lost INTEGER NOT NULL DEFAULT 0,
+    push INTEGER NOT NULL DEFAULT 0,
+    last_result_at TIMESTAMP,
+
+    PRIMARY KEY (group_id, user_id)
+);
+
+-- Totals of the entries recorded so far
+INSERT INTO group_leaderboard_standings (
+    group_id, user_id, flat_points, confidence_points, units,
+    bets, won, lost, push, last_result_at
+)
+SELECT
+    group_id,
+    user_id,
+    SUM(flat_points),
+    SUM(confidence_points),
+    SUM(units),
+    COUNT(*),
+    COUNT(CASE WHEN status = 'won' THEN 1 END),
+    COUNT(CASE WHEN status = 'lost' THEN 1 END),
+    COUNT(CASE WHEN status = 'push' THEN 1 END),
+    MAX(resolved_at)
+FROM group_leaderboard_entries
+GROUP BY group_id, user_id
+ON CONFLICT DO NOTHING;
+
+COMMENT ON TABLE group_leaderboard_standings IS 'All-time leaderboard totals of each member per group, under each scoring rule';
@@ -0,0 +1,44 @@
+-- Social Sports Betting Platform - Historical Bets
+-- Migration: 024_historical_bets
+-- Description: Marks imported picks on games that had already started when they were imported
+
+-- ==============================================
+-- BETS TABLE
+-- ==============================================
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS is_historical BOOLEAN NOT NULL DEFAULT false;
+
+-- Their result may be known when they are imported, so they never carry
+-- play money and never count in a group
+ALTER TABLE bets ADD CONSTRAINT historical_bets_unstaked CHECK (
+    NOT is_historical OR (stake IS NULL AND group_id IS NULL)
+);
+
+-- They are imported with their recorded result and never graded
+ALTER TABLE bets ADD CONSTRAINT historical_bets_resolved CHECK (
+    NOT is_historical OR status <> 'pending'
+);
+
+-- ==============================================
+-- VIEWS (historical bets do not count toward stats)
+-- ==============================================
+
+CREATE OR REPLACE VIEW user_stats AS
+SELECT
+    u.id,
+    u.username,
+    COUNT(DISTINCT b.id) as total_bets,
+    COUNT(DISTINCT CASE WHEN b.is_correct = true THEN b.id END) as bets_won,
+    COUNT(DISTINCT CASE WHEN b.is_correct = false THEN b.id END) as bets_lost,
+    COUNT(DISTINCT gm.group_id) as groups_joined,
+    CASE
+        WHEN COUNT(DISTINCT CASE WHEN b.status IN ('won', 'lost') THEN b.id END) > 0 THEN
+            ROUND(COUNT(DISTINCT CASE WHEN b.is_correct = true THEN b.id END)::numeric /
+                  COUNT(DISTINCT CASE WHEN b.status IN ('won', 'lost') THEN b.id END)::numeric * 100, 2)
+        ELSE 0
+    END as win_percentage
+FROM users u
+LEFT JOIN bets b ON u.id = b.user_id AND b.parent_bet_id IS NULL AND NOT b.is_historical
+LEFT JOIN group_members gm ON u.id = gm.user_id AND gm.is_active = true
+GROUP BY u.id, u.username;
+
+COMMENT ON COLUMN bets.is_historical IS 'Imported after its game started with its recorded result; kept for the owner''s history, never graded or counted in stats';
@@ -0,0 +1,22 @@
+-- Social Sports Betting Platform - Cancelled Join Requests
+-- Migration: 025_cancelled_join_requests
+-- Description: Closes join requests of users who joined the group another way, e.g. by invite code
+
+-- ==============================================
+-- GROUP JOIN REQUESTS TABLE
+-- ==============================================
+ALTER TABLE group_join_requests DROP CONSTRAINT IF EXISTS valid_join_request_status;
+ALTER TABLE group_join_requests ADD CONSTRAINT valid_join_request_status CHECK (
+    status IN ('pending', 'approved', 'denied', 'cancelled')
+);
+
+-- Requests left pending by users who are active members, having joined before this migration
+UPDATE group_join_requests r
+SET status = 'cancelled', decided_at = NOW()
+FROM group_members m
+WHERE r.status = 'pending'
+  AND m.group_id = r.group_id
+  AND m.user_id = r.user_id
+  AND m.is_active = true;
+
+COMMENT ON COLUMN group_join_requests.status IS 'pending, approved, denied, or cancelled when the user joined another way';
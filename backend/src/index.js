@@ -7,6 +7,15 @@ const app = require('./app');
 const { initializeWebSocketServer } = require('./websocket');
 const scoreUpdater = require('./jobs/scoreUpdater');
 require('dotenv').config();
+const { assertConfigured } = require('./utils/encryption');
+
+// Refuse to start with missing or malformed encryption keys
+try {
+  assertConfigured();
+} catch (error) {
+  console.error(`Cannot start: ${error.message}`);
+  process.exit(1);
+}
 
 const PORT = process.env.PORT || 5000;
 const HOST = process.env.HOST || 'localhost';
@@ -0,0 +1,83 @@
+/**
+ * Re-encrypt Bet Details Job
+ * Migrates bet_details to the active encryption key after a key rotation
+ *
+ * Usage: npm run db:reencrypt
+ */
+
+require('dotenv').config();
+const Bet = require('../models/Bet');
+const { closePool } = require('../config/database');
+const { reencrypt, getActiveKeyId, isConfigured } = require('../utils/encryption');
+
+const BATCH_SIZE = parseInt(process.env.REENCRYPT_BATCH_SIZE) || 500;
+
+/**
+ * Re-encrypt every bet whose details are under an older key (or no key ID)
+ * Rows that no key in the ring can decrypt are reported and left as they are.
+ * A row changed while it is being re-encrypted is skipped; run again to pick it up.
+ * @param {object} options - { batchSize }
+ * @returns {Promise<object>} { keyId, scanned, reencrypted, skipped, failed }
+ */
+async function reencryptBetDetails({ batchSize = BATCH_SIZE } = {}) {
+  // Re-encrypting with a generated key would lose every row on the next restart
+  if (!isConfigured()) {
+    throw new Error('ENCRYPTION_KEY or ENCRYPTION_KEYS must be set to re-encrypt');
+  }
+
+  const keyId = getActiveKeyId();
+  const report = { keyId, scanned: 0, reencrypted: 0, skipped: 0, failed: [] };
+
+  let afterId = null;
+
+  for (;;) {
+    const rows = await Bet.findDetailsNotEncryptedWith(keyId, { afterId, limit: batchSize });
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      report.scanned++;
+
+      let next;
+      try {
+        next = reencrypt(row.bet_details);
+      } catch (error) {
+        report.failed.push(row.id);
+        continue;
+      }
+
+      const replaced = await Bet.replaceDetails(row.id, row.bet_details, next);
+      if (replaced) {
+        report.reencrypted++;
+      } else {
+        report.skipped++;
+      }
+    }
+
+    afterId = rows[rows.length - 1].id;
+  }
+
+  return report;
+}
+
+// CLI handling
+if (require.main === module) {
+  reencryptBetDetails()
+    .then((report) => {
+      console.log(`Re-encrypted bet details with key "${report.keyId}"`);
+      console.log(`Scanned: ${report.scanned}`);
+      console.log(`Re-encrypted: ${report.reencrypted}`);
+      console.log(`Skipped (changed meanwhile): ${report.skipped}`);
+
+      if (report.failed.length > 0) {
+        console.error(`Could not decrypt ${report.failed.length} bet(s): ${report.failed.join(', ')}`);
+        process.exitCode = 1;
+      }
+    })
+    .catch((error) => {
+      console.error('✗ Re-encryption failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => closePool());
+}
+
+module.exports = { reencryptBetDetails };
@@ -135,8 +135,37 @@ function requireVerified(req, res, next) {
   next();
 }
 
+/**
+ * Require platform admin middleware
+ * Admins are listed by user ID in ADMIN_USER_IDS (comma separated)
+ * Must be used after authenticate middleware
+ */
+function requireAdmin(req, res, next) {
+  if (!req.userId) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+    });
+  }
+
+  const adminIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (!adminIds.includes(req.userId)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required',
+    });
+  }
+
+  next();
+}
+
 module.exports = {
   authenticate,
   optionalAuthenticate,
   requireVerified,
+  requireAdmin,
 };
@@ -40,6 +40,106 @@ function errorHandler(err, req, res, next) {
       'Refresh token required': 400,
       'No authorization token provided': 401,
       'Email verification required': 403,
+      'Group not found': 404,
+      'Access denied to private group': 403,
+      'Already a member of this group': 400,
+      'Group is at maximum capacity': 400,
+      'Cannot join private group without invitation': 403,
+      'Invalid or expired invite code': 403,
+      'Only group admins can manage invites': 403,
+      'Invite not found': 404,
+      'Invite is already revoked': 409,
+      'Max uses must be between 1 and 500': 400,
+      'Invalid invite expiry': 400,
+      'Invite expiry must be in the future': 400,
+      'Public groups can be joined directly': 400,
+      'Join request message too long (max 500 characters)': 400,
+      'You already have a pending request for this group': 409,
+      'Your last request was denied; try again later': 429,
+      'Only group admins can review join requests': 403,
+      'Invalid join request status': 400,
+      'Join request not found': 404,
+      'Join request was already decided': 409,
+      'Invalid role': 400,
+      'Only group owner can update member roles': 403,
+      'Cannot change your own role': 400,
+      'User is not a member of this group': 404,
+      'Use transfer ownership to make a member the owner': 400,
+      'Only group owner can transfer ownership': 403,
+      'You already own this group': 400,
+      'Owner cannot leave group. Transfer ownership or delete group instead.': 400,
+      'Leaderboard scoring must be flat, confidence or units': 400,
+      'Leaderboard window must be week, month, year or all': 400,
+      'Only group owner can manage seasons': 403,
+      'Season name is required': 400,
+      'Season name too long (max 100 characters)': 400,
+      'Invalid season dates': 400,
+      'Season must end after it starts': 400,
+      'Season end must be in the future': 400,
+      'Season scoring must be flat, confidence or units': 400,
+      'Season sports must be a list of: football, basketball, baseball, soccer, hockey, other': 400,
+      'Season status must be upcoming, active, closed or final': 400,
+      'Season not found': 404,
+      'Not a member of this group': 403,
+      'Bet not found': 404,
+      'Bet not found or access denied': 404,
+      'Access denied': 403,
+      'Game not found': 404,
+      'Bet is settled automatically when the game is final': 409,
+      'Structured bets are updated through their market': 400,
+      'Legacy bets cannot be given a market': 400,
+      'Parlay not found': 404,
+      'A parlay needs at least 2 legs': 400,
+      'A parlay can have at most 10 legs': 400,
+      'Parlay legs must be on different games': 400,
+      'Parlay legs cannot be changed individually': 409,
+      'Parlays are resolved from their legs': 409,
+      'Invalid bet result': 400,
+      'Invalid cursor': 400,
+      'Invalid user ID': 400,
+      'Access denied to receipt chain': 403,
+      'Comment content required': 400,
+      'Comment too long (max 1000 characters)': 400,
+      'Comment not found': 404,
+      'Can only delete your own comments or comments on your bets': 403,
+      'Invalid emoji': 400,
+      'Notification not found': 404,
+      'Dispute reason required': 400,
+      'Dispute reason too long (max 1000 characters)': 400,
+      'Parlay legs cannot be disputed': 400,
+      'Only resolved bets can be disputed': 409,
+      'Only group bets can be disputed': 400,
+      'This bet already has an open dispute': 409,
+      'Invalid dispute status': 400,
+      'Dispute action must be uphold or regrade': 400,
+      'Dispute not found': 404,
+      'Only group admins can resolve disputes': 403,
+      'You cannot resolve a dispute on your own bet': 403,
+      'Dispute is already closed': 409,
+      'Re-grade must change the bet result': 400,
+      'You cannot tail your own bet': 400,
+      'Parlay legs cannot be tailed': 400,
+      'Legacy bets cannot be tailed': 400,
+      'Only pending bets can be tailed': 409,
+      'Parlay legs are shared with their parlay': 400,
+      'Only pending bets can be shared or unshared': 409,
+      'Bet is already shared with this group': 409,
+      'Bet is not shared with this group': 404,
+      'A bet cannot be unshared from the group it was placed in': 400,
+      'You have already tailed this bet': 409,
+      'Game has already started': 409,
+      'Bets on this game are locked': 409,
+      'Bet lock must be between 0 and 1440 minutes': 400,
+      'Import format must be csv or json': 400,
+      'CSV import data must be a string': 400,
+      'JSON import data must be an array': 400,
+      'Import contains no rows': 400,
+      'Import is limited to 500 rows': 400,
+      'Invalid CSV: unterminated quoted field': 400,
+      'Stake must be a positive number': 400,
+      'Insufficient balance': 400,
+      'Adjustment amount must be a non-zero number': 400,
+      'Adjustment reason required': 400,
     };
 
     status = knownErrors[err.message] || 500;
@@ -0,0 +1,98 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response of requests retried with the same Idempotency-Key
+ */
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { hashContent } = require('../utils/receipts');
+
+// How long a key and its response are kept (default 24 hours)
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency middleware (must run after authenticate)
+ * Requests without the header pass through. The first request with a key runs
+ * and its response is stored; retries with the same body get that response back
+ * with an Idempotent-Replayed header. Server errors are not stored, so a retry
+ * after a 5xx runs again.
+ */
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const fingerprint = hashContent({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body || {},
+    });
+
+    const claimed = await IdempotencyKey.claim({
+      userId: req.userId,
+      key,
+      fingerprint,
+      ttlSeconds: IDEMPOTENCY_TTL_SECONDS,
+    });
+
+    if (!claimed) {
+      const stored = await IdempotencyKey.find(req.userId, key);
+
+      if (stored && stored.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used with a different request',
+        });
+      }
+
+      if (!stored || stored.response_status === null) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still in progress',
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.response_status).json(stored.response_body);
+    }
+
+    // Capture the response so a retry can replay it
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('close', () => {
+      const stored =
+        res.writableFinished && responseBody !== undefined && res.statusCode < 500
+          ? IdempotencyKey.complete(req.userId, key, res.statusCode, responseBody)
+          : IdempotencyKey.release(req.userId, key);
+
+      stored.catch((error) => console.error('Idempotency key update error:', error));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Idempotency check failed',
+    });
+  }
+}
+
+module.exports = {
+  idempotent,
+};
@@ -6,87 +6,194 @@
 const { query } = require('../config/database');
 const { encrypt, decrypt } = require('../utils/encryption');
 
+// Listing sort key. Timestamps are cut to milliseconds so a cursor built
+// from a JavaScript Date matches the row it came from exactly.
+const cursorTime = (table) => `date_trunc('milliseconds', ${table}.created_at)`;
+
+// Pushes and voids are neither correct nor incorrect
+const isCorrectFor = (status) => (status === 'won' ? true : status === 'lost' ? false : null);
+
 class Bet {
   /**
    * Create a new bet
+   * Bets start pending, except historical imports, which are created with
+   * their recorded result.
    * @param {object} betData - Bet data
+   * @param {object} client - Optional pool client to run inside a transaction
    * @returns {Promise<object>} Created bet
    */
-  static async create(betData) {
+  static async create(betData, client = null) {
     const {
       userId,
       groupId,
+      parentBetId,
       gameId,
       sportType,
       homeTeam,
       awayTeam,
       gameDate,
       betType,
+      market,
       betDetails,
       predictedOutcome,
       confidenceLevel,
       notes,
       isPublic,
+      stake,
+      odds,
+      tailedFromBetId,
+      tailedFromUserId,
+      isHistorical,
+      status,
     } = betData;
 
     // Encrypt sensitive bet details
-    const encryptedDetails = encrypt(betDetails);
+    const encryptedDetails = encrypt(betDetails || {});
 
     const sql = `
       INSERT INTO bets (
         user_id, group_id, game_id, sport_type,
         home_team, away_team, game_date,
-        bet_type, bet_details, predicted_outcome, confidence_level,
-        notes, is_public
+        bet_type, market, bet_details, predicted_outcome, confidence_level,
+        notes, is_public, parent_bet_id, stake,
+        odds_decimal, odds_format, odds_value,
+        tailed_from_bet_id, tailed_from_user_id, is_historical,
+        status, is_correct, resolved_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-      RETURNING id, user_id, group_id, game_id, sport_type,
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+              $20, $21, $22, $23::varchar, $24,
+              CASE WHEN $23::varchar = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END)
+      RETURNING id, user_id, group_id, parent_bet_id, game_id, sport_type,
                 home_team, away_team, game_date, bet_type,
-                predicted_outcome, confidence_level,
-                status, notes, is_public, created_at, updated_at
+                market, (market IS NULL) as is_legacy,
+                predicted_outcome, confidence_level, stake,
+                odds_decimal, odds_format, odds_value,
+                ROUND(1 / odds_decimal, 4) as implied_probability,
+                status, is_correct, resolved_at, notes, is_public,
+                tailed_from_bet_id, tailed_from_user_id, is_historical, created_at, updated_at
     `;
 
     const values = [
       userId,
       groupId || null,
-      gameId,
+      gameId || null,
       sportType,
-      homeTeam,
-      awayTeam,
+      homeTeam || null,
+      awayTeam || null,
       gameDate,
       betType,
+      market ? JSON.stringify(market) : null,
       encryptedDetails,
       predictedOutcome,
       confidenceLevel || null,
       notes || null,
       isPublic !== undefined ? isPublic : false,
+      parentBetId || null,
+      stake || null,
+      odds ? odds.decimal : null,
+      odds ? odds.format : null,
+      odds ? odds.value : null,
+      tailedFromBetId || null,
+      tailedFromUserId || null,
+      Boolean(isHistorical),
+      status || 'pending',
+      isCorrectFor(status),
     ];
 
-    const result = await query(sql, values);
+    const result = client ? await client.query(sql, values) : await query(sql, values);
     const bet = result.rows[0];
 
     // Don't return encrypted details in the response
     return bet;
   }
 
+  /**
+   * Create a parlay and its legs
+   * @param {object} parlayData - Parlay bet data
+   * @param {Array<object>} legs - Leg bet data
+   * @param {object} client - Pool client of the surrounding transaction
+   * @returns {Promise<object>} Created parlay with legs
+   */
+  static async createParlay(parlayData, legs, client) {
+    const parlay = await this.create(parlayData, client);
+
+    const createdLegs = [];
+    for (const leg of legs) {
+      createdLegs.push(await this.create({ ...leg, parentBetId: parlay.id }, client));
+    }
+
+    return { ...parlay, legs: createdLegs };
+  }
+
+  /**
+   * Find bets whose details are not encrypted with a key, in ID order
+   * @param {string} keyId - Key ID the details should be encrypted with
+   * @param {object} options - { afterId, limit } for keyset pagination
+   * @returns {Promise<Array>} Rows with id and raw bet_details
+   */
+  static async findDetailsNotEncryptedWith(keyId, { afterId = null, limit = 500 } = {}) {
+    const sql = `
+      SELECT id, bet_details
+      FROM bets
+      WHERE NOT starts_with(bet_details, $1)
+        AND ($2::uuid IS NULL OR id > $2)
+      ORDER BY id
+      LIMIT $3
+    `;
+
+    const result = await query(sql, [`v1:${keyId}:`, afterId, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Replace the encrypted details of a bet if they are still the ones read
+   * @param {string} id - Bet ID
+   * @param {string} previous - Ciphertext that was read
+   * @param {string} next - New ciphertext
+   * @returns {Promise<boolean>} Whether the row was updated
+   */
+  static async replaceDetails(id, previous, next) {
+    const sql = `
+      UPDATE bets
+      SET bet_details = $3
+      WHERE id = $1 AND bet_details = $2
+    `;
+
+    const result = await query(sql, [id, previous, next]);
+    return result.rowCount > 0;
+  }
+
   /**
    * Find bet by ID
    * @param {string} id - Bet ID
    * @param {boolean} includeDetails - Include decrypted bet details
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @param {boolean} forUpdate - Lock the row until the transaction ends
    * @returns {Promise<object|null>} Bet or null
    */
-  static async findById(id, includeDetails = false) {
+  static async findById(id, includeDetails = false, client = null, forUpdate = false) {
     const sql = `
-      SELECT id, user_id, group_id, game_id, sport_type,
+      SELECT id, user_id, group_id, parent_bet_id, game_id, sport_type,
              home_team, away_team, game_date,
-             bet_type, ${includeDetails ? 'bet_details,' : ''} predicted_outcome,
-             confidence_level, status, actual_outcome, is_correct,
-             resolved_at, notes, is_public, created_at, updated_at
+             bet_type, market, (market IS NULL) as is_legacy,
+             ${includeDetails ? 'bet_details,' : ''} predicted_outcome,
+             confidence_level, stake, odds_decimal, odds_format, odds_value,
+             payout_odds_decimal,
+             ROUND(1 / odds_decimal, 4) as implied_probability,
+             status, actual_outcome, is_correct,
+             resolved_at, void_reason, notes, is_public, is_historical,
+             tailed_from_bet_id, tailed_from_user_id,
+             (SELECT COUNT(*) FROM bets t WHERE t.tailed_from_bet_id = bets.id)::int as tail_count,
+             EXISTS (
+               SELECT 1 FROM bet_disputes d WHERE d.bet_id = bets.id AND d.status = 'open'
+             ) as is_disputed,
+             created_at, updated_at
       FROM bets
       WHERE id = $1
+      ${forUpdate ? 'FOR UPDATE' : ''}
     `;
 
-    const result = await query(sql, [id]);
+    const result = client ? await client.query(sql, [id]) : await query(sql, [id]);
     const bet = result.rows[0];
 
     if (!bet) return null;
@@ -96,7 +203,7 @@ class Bet {
       try {
         bet.bet_details = decrypt(bet.bet_details);
       } catch (error) {
-        console.error('Failed to decrypt bet details:', error);
+        console.error(`Failed to decrypt details of bet ${bet.id}:`, error);
         bet.bet_details = null;
       }
     }
@@ -106,93 +213,213 @@ class Bet {
 
   /**
    * Find bets by user ID
+   * Newest first, keyed on (created_at, id) for cursor pagination.
    * @param {string} userId - User ID
-   * @param {object} filters - Optional filters
+   * @param {object} filters - Optional filters (see _filterConditions) plus limit and cursor
    * @returns {Promise<Array>} Bets array
    */
   static async findByUserId(userId, filters = {}) {
-    const { status, sportType, groupId, limit = 50, offset = 0 } = filters;
-
-    let sql = `
-      SELECT id, user_id, group_id, game_id, sport_type,
-             home_team, away_team, game_date,
-             bet_type, predicted_outcome, confidence_level,
-             status, actual_outcome, is_correct, resolved_at,
-             notes, is_public, created_at, updated_at
-      FROM bets
-      WHERE user_id = $1
-    `;
+    const { limit = 50, cursor } = filters;
 
     const values = [userId];
-    let paramCount = 2;
+    const conditions = this._filterConditions(filters, values, 'bets');
 
-    // Add filters
-    if (status) {
-      sql += ` AND status = $${paramCount}`;
-      values.push(status);
-      paramCount++;
+    if (cursor) {
+      values.push(cursor.createdAt, cursor.id);
+      conditions.push(
+        `(${cursorTime('bets')}, bets.id) < ($${values.length - 1}, $${values.length})`
+      );
     }
 
-    if (sportType) {
-      sql += ` AND sport_type = $${paramCount}`;
-      values.push(sportType);
-      paramCount++;
-    }
+    values.push(limit);
 
-    if (groupId) {
-      sql += ` AND group_id = $${paramCount}`;
-      values.push(groupId);
-      paramCount++;
-    }
+    const sql = `
+      SELECT id, user_id, group_id, parent_bet_id, game_id, sport_type,
+             home_team, away_team, game_date,
+             bet_type, market, (market IS NULL) as is_legacy,
+             predicted_outcome, confidence_level, stake,
+             odds_decimal, odds_format, odds_value, payout_odds_decimal,
+             ROUND(1 / odds_decimal, 4) as implied_probability,
+             status, actual_outcome, is_correct, resolved_at, void_reason,
+             notes, is_public, is_historical, tailed_from_bet_id, tailed_from_user_id,
+             (SELECT COUNT(*) FROM bets t WHERE t.tailed_from_bet_id = bets.id)::int as tail_count,
+             created_at, updated_at
+      FROM bets
+      WHERE user_id = $1 AND parent_bet_id IS NULL
+      ${conditions.map((condition) => `AND ${condition}`).join('\n      ')}
+      ORDER BY ${cursorTime('bets')} DESC, bets.id DESC
+      LIMIT $${values.length}
+    `;
+
+    const result = await query(sql, values);
+    return await this.attachLegs(result.rows);
+  }
 
-    sql += ` ORDER BY created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    values.push(limit, offset);
+  /**
+   * Count bets by user ID
+   * @param {string} userId - User ID
+   * @param {object} filters - Same filters as findByUserId (cursor and limit ignored)
+   * @returns {Promise<number>} Matching bet count
+   */
+  static async countByUserId(userId, filters = {}) {
+    const values = [userId];
+    const conditions = this._filterConditions(filters, values, 'bets');
+
+    const sql = `
+      SELECT COUNT(*) as count
+      FROM bets
+      WHERE user_id = $1 AND parent_bet_id IS NULL
+      ${conditions.map((condition) => `AND ${condition}`).join('\n      ')}
+    `;
 
     const result = await query(sql, values);
-    return result.rows;
+    return parseInt(result.rows[0].count);
   }
 
   /**
-   * Find bets by group ID
+   * Find public bets shared with a group
+   * Newest first, keyed on (created_at, id) for cursor pagination.
+   * A groupId filter is ignored; the group comes from the route.
    * @param {string} groupId - Group ID
-   * @param {object} filters - Optional filters
+   * @param {object} filters - Optional filters (see _filterConditions) plus limit and cursor
    * @returns {Promise<Array>} Bets array
    */
   static async findByGroupId(groupId, filters = {}) {
-    const { status, sportType, limit = 50, offset = 0 } = filters;
+    const { limit = 50, cursor } = filters;
+
+    const values = [groupId];
+    const conditions = this._filterConditions({ ...filters, groupId: undefined }, values, 'b');
+
+    if (cursor) {
+      values.push(cursor.createdAt, cursor.id);
+      conditions.push(
+        `(${cursorTime('b')}, b.id) < ($${values.length - 1}, $${values.length})`
+      );
+    }
 
-    let sql = `
-      SELECT b.id, b.user_id, b.group_id, b.game_id, b.sport_type,
+    values.push(limit);
+
+    const sql = `
+      SELECT b.id, b.user_id, b.group_id, b.parent_bet_id, b.game_id, b.sport_type,
              b.home_team, b.away_team, b.game_date,
-             b.bet_type, b.predicted_outcome, b.confidence_level,
-             b.status, b.actual_outcome, b.is_correct, b.resolved_at,
-             b.notes, b.is_public, b.created_at, b.updated_at,
+             b.bet_type, b.market, (b.market IS NULL) as is_legacy,
+             b.predicted_outcome, b.confidence_level, b.stake,
+             b.odds_decimal, b.odds_format, b.odds_value, b.payout_odds_decimal,
+             ROUND(1 / b.odds_decimal, 4) as implied_probability,
+             b.status, b.actual_outcome, b.is_correct, b.resolved_at, b.void_reason,
+             b.notes, b.is_public, b.tailed_from_bet_id, b.tailed_from_user_id,
+             (SELECT COUNT(*) FROM bets t WHERE t.tailed_from_bet_id = b.id)::int as tail_count,
+             b.created_at, b.updated_at,
+             EXISTS (SELECT 1 FROM bet_revisions r WHERE r.bet_id = b.id) as is_edited,
+             EXISTS (
+               SELECT 1 FROM bet_disputes d WHERE d.bet_id = b.id AND d.status = 'open'
+             ) as is_disputed,
              u.username, u.display_name
       FROM bets b
+      JOIN bet_shares s ON s.bet_id = b.id AND s.group_id = $1
       JOIN users u ON b.user_id = u.id
-      WHERE b.group_id = $1 AND b.is_public = true
+      WHERE b.is_public = true AND b.parent_bet_id IS NULL
+      ${conditions.map((condition) => `AND ${condition}`).join('\n      ')}
+      ORDER BY ${cursorTime('b')} DESC, b.id DESC
+      LIMIT $${values.length}
     `;
 
+    const result = await query(sql, values);
+    return await this.attachLegs(result.rows);
+  }
+
+  /**
+   * Count public bets shared with a group
+   * @param {string} groupId - Group ID
+   * @param {object} filters - Same filters as findByGroupId (cursor and limit ignored)
+   * @returns {Promise<number>} Matching bet count
+   */
+  static async countByGroupId(groupId, filters = {}) {
     const values = [groupId];
-    let paramCount = 2;
+    const conditions = this._filterConditions({ ...filters, groupId: undefined }, values, 'b');
+
+    const sql = `
+      SELECT COUNT(*) as count
+      FROM bets b
+      JOIN bet_shares s ON s.bet_id = b.id AND s.group_id = $1
+      WHERE b.is_public = true AND b.parent_bet_id IS NULL
+      ${conditions.map((condition) => `AND ${condition}`).join('\n      ')}
+    `;
+
+    const result = await query(sql, values);
+    return parseInt(result.rows[0].count);
+  }
 
-    if (status) {
-      sql += ` AND b.status = $${paramCount}`;
-      values.push(status);
-      paramCount++;
+  /**
+   * Build SQL conditions for bet listing filters
+   * @private
+   * @param {object} filters - { status, resolved, sportType, groupId, betType,
+   *   gameDateFrom, gameDateTo, minConfidence, maxConfidence, team }
+   * @param {Array} values - Query values; filter values are appended
+   * @param {string} table - Table name or alias of the bets table
+   * @returns {Array<string>} Conditions to AND together
+   */
+  static _filterConditions(filters, values, table) {
+    const {
+      status,
+      resolved,
+      sportType,
+      groupId,
+      betType,
+      gameDateFrom,
+      gameDateTo,
+      minConfidence,
+      maxConfidence,
+      team,
+    } = filters;
+
+    const conditions = [];
+    const column = (name) => `${table}.${name}`;
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    if (status) conditions.push(`${column('status')} = ${param(status)}`);
+
+    if (resolved === true) {
+      conditions.push(`${column('status')} IN ('won', 'lost', 'push', 'void')`);
+    } else if (resolved === false) {
+      conditions.push(`${column('status')} = 'pending'`);
     }
 
-    if (sportType) {
-      sql += ` AND b.sport_type = $${paramCount}`;
-      values.push(sportType);
-      paramCount++;
+    if (sportType) conditions.push(`${column('sport_type')} = ${param(sportType)}`);
+    if (groupId) {
+      conditions.push(
+        `EXISTS (SELECT 1 FROM bet_shares s WHERE s.bet_id = ${column('id')} AND s.group_id = ${param(groupId)})`
+      );
     }
+    if (betType) conditions.push(`${column('bet_type')} = ${param(betType)}`);
+    if (gameDateFrom) conditions.push(`${column('game_date')} >= ${param(gameDateFrom)}`);
+    if (gameDateTo) conditions.push(`${column('game_date')} <= ${param(gameDateTo)}`);
 
-    sql += ` ORDER BY b.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    values.push(limit, offset);
+    if (minConfidence !== undefined) {
+      conditions.push(`${column('confidence_level')} >= ${param(minConfidence)}`);
+    }
 
-    const result = await query(sql, values);
-    return result.rows;
+    if (maxConfidence !== undefined) {
+      conditions.push(`${column('confidence_level')} <= ${param(maxConfidence)}`);
+    }
+
+    // Parlays match on the teams of any leg
+    if (team) {
+      const pattern = param(`%${team.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`(
+        ${column('home_team')} ILIKE ${pattern} OR ${column('away_team')} ILIKE ${pattern}
+        OR EXISTS (
+          SELECT 1 FROM bets leg
+          WHERE leg.parent_bet_id = ${column('id')}
+            AND (leg.home_team ILIKE ${pattern} OR leg.away_team ILIKE ${pattern})
+        )
+      )`);
+    }
+
+    return conditions;
   }
 
   /**
@@ -202,11 +429,14 @@ class Bet {
    */
   static async findByGameId(gameId) {
     const sql = `
-      SELECT id, user_id, group_id, game_id, sport_type,
+      SELECT id, user_id, group_id, parent_bet_id, game_id, sport_type,
              home_team, away_team, game_date,
-             bet_type, predicted_outcome, confidence_level,
-             status, actual_outcome, is_correct, resolved_at,
-             notes, is_public, created_at, updated_at
+             bet_type, market, (market IS NULL) as is_legacy,
+             predicted_outcome, confidence_level, stake,
+             odds_decimal, odds_format, odds_value,
+             ROUND(1 / odds_decimal, 4) as implied_probability,
+             status, actual_outcome, is_correct, resolved_at, void_reason,
+             notes, is_public, is_historical, created_at, updated_at
       FROM bets
       WHERE game_id = $1
       ORDER BY created_at DESC
@@ -216,14 +446,84 @@ class Bet {
     return result.rows;
   }
 
+  /**
+   * Find the content covered by bet receipts
+   * Timestamps and amounts are read as text so the content hashes the same
+   * regardless of the API server's time zone or number parsing.
+   * @param {Array<string>} ids - Bet IDs
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<Array>} Receipt content of the bets that still exist
+   */
+  static async findReceiptContent(ids, client = null) {
+    const sql = `
+      SELECT id, user_id, parent_bet_id, game_id, sport_type, home_team, away_team,
+             to_char(game_date, 'YYYY-MM-DD"T"HH24:MI:SS.US') as game_date,
+             bet_type, market, predicted_outcome, confidence_level,
+             stake::text as stake, odds_decimal::text as odds_decimal, odds_format, odds_value,
+             to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') as created_at
+      FROM bets
+      WHERE id = ANY($1)
+    `;
+
+    const result = client ? await client.query(sql, [ids]) : await query(sql, [ids]);
+    return result.rows;
+  }
+
+  /**
+   * Find legs of one or more parlays
+   * @param {Array<string>} parentIds - Parlay bet IDs
+   * @returns {Promise<Array>} Legs array
+   */
+  static async findLegs(parentIds) {
+    const sql = `
+      SELECT id, user_id, group_id, parent_bet_id, game_id, sport_type,
+             home_team, away_team, game_date,
+             bet_type, market, (market IS NULL) as is_legacy,
+             predicted_outcome, confidence_level, stake,
+             odds_decimal, odds_format, odds_value,
+             ROUND(1 / odds_decimal, 4) as implied_probability,
+             status, actual_outcome, is_correct, resolved_at, void_reason,
+             notes, is_public, created_at, updated_at
+      FROM bets
+      WHERE parent_bet_id = ANY($1)
+      ORDER BY game_date ASC
+    `;
+
+    const result = await query(sql, [parentIds]);
+    return result.rows;
+  }
+
+  /**
+   * Attach legs to the parlays in a list of bets
+   * @param {Array} bets - Bets array
+   * @returns {Promise<Array>} Bets with `legs` on each parlay
+   */
+  static async attachLegs(bets) {
+    const parlayIds = bets.filter((bet) => bet.bet_type === 'parlay').map((bet) => bet.id);
+    if (parlayIds.length === 0) return bets;
+
+    const legs = await this.findLegs(parlayIds);
+
+    for (const bet of bets) {
+      if (bet.bet_type === 'parlay') {
+        bet.legs = legs.filter((leg) => leg.parent_bet_id === bet.id);
+      }
+    }
+
+    return bets;
+  }
+
   /**
    * Update bet
    * @param {string} id - Bet ID
    * @param {object} updates - Fields to update
+   * @param {object} client - Optional pool client to run inside a transaction
    * @returns {Promise<object>} Updated bet
    */
-  static async update(id, updates) {
+  static async update(id, updates, client = null) {
     const allowedFields = [
+      'bet_type',
+      'market',
       'predicted_outcome',
       'confidence_level',
       'notes',
@@ -237,7 +537,7 @@ class Bet {
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key)) {
         fields.push(`${key} = $${paramCount}`);
-        values.push(value);
+        values.push(key === 'market' && value ? JSON.stringify(value) : value);
         paramCount++;
       }
     }
@@ -252,78 +552,160 @@ class Bet {
       UPDATE bets
       SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
       WHERE id = $${paramCount}
-      RETURNING id, user_id, group_id, game_id, sport_type,
+      RETURNING id, user_id, group_id, parent_bet_id, game_id, sport_type,
                 home_team, away_team, game_date,
-                bet_type, predicted_outcome, confidence_level,
-                status, actual_outcome, is_correct, resolved_at,
+                bet_type, market, (market IS NULL) as is_legacy,
+                predicted_outcome, confidence_level, stake,
+                odds_decimal, odds_format, odds_value,
+                ROUND(1 / odds_decimal, 4) as implied_probability,
+                status, actual_outcome, is_correct, resolved_at, void_reason,
                 notes, is_public, created_at, updated_at
     `;
 
-    const result = await query(sql, values);
+    const result = client ? await client.query(sql, values) : await query(sql, values);
     return result.rows[0];
   }
 
   /**
-   * Resolve bet (mark as won/lost)
+   * Resolve bet (mark as won, lost, push or void)
    * @param {string} id - Bet ID
-   * @param {string} actualOutcome - Actual game outcome
-   * @param {boolean} isCorrect - Whether bet was correct
-   * @returns {Promise<object>} Updated bet
+   * @param {object} resolution - { status, actualOutcome, voidReason, payoutOdds }
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object|undefined>} Updated bet, or undefined if not pending
    */
-  static async resolve(id, actualOutcome, isCorrect) {
-    const status = isCorrect ? 'won' : 'lost';
+  static async resolve(id, resolution, client = null) {
+    const { status, actualOutcome, voidReason, payoutOdds } = resolution;
 
     const sql = `
       UPDATE bets
       SET status = $1,
           actual_outcome = $2,
           is_correct = $3,
+          void_reason = $4,
+          payout_odds_decimal = $6,
           resolved_at = CURRENT_TIMESTAMP,
           updated_at = CURRENT_TIMESTAMP
-      WHERE id = $4
-      RETURNING id, user_id, group_id, game_id, sport_type,
+      WHERE id = $5 AND status = 'pending'
+      RETURNING id, user_id, group_id, parent_bet_id, game_id, sport_type,
                 home_team, away_team, game_date,
-                bet_type, predicted_outcome, confidence_level,
-                status, actual_outcome, is_correct, resolved_at,
+                bet_type, market, (market IS NULL) as is_legacy,
+                predicted_outcome, confidence_level, stake,
+                odds_decimal, odds_format, odds_value, payout_odds_decimal,
+                ROUND(1 / odds_decimal, 4) as implied_probability,
+                status, actual_outcome, is_correct, resolved_at, void_reason,
                 notes, is_public, created_at, updated_at
     `;
 
-    const result = await query(sql, [status, actualOutcome, isCorrect, id]);
+    const values = [
+      status,
+      actualOutcome || null,
+      isCorrectFor(status),
+      voidReason || null,
+      id,
+      payoutOdds || null,
+    ];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Re-grade a resolved bet
+   * The original resolution time is kept so streaks stay in order.
+   * @param {string} id - Bet ID
+   * @param {object} resolution - { status, actualOutcome, voidReason }
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object|undefined>} Updated bet, or undefined if not resolved
+   */
+  static async regrade(id, resolution, client = null) {
+    const { status, actualOutcome, voidReason } = resolution;
+
+    const sql = `
+      UPDATE bets
+      SET status = $1,
+          actual_outcome = COALESCE($2, actual_outcome),
+          is_correct = $3,
+          void_reason = $4,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5 AND status IN ('won', 'lost', 'push', 'void')
+      RETURNING id, user_id, group_id, parent_bet_id, game_id, sport_type,
+                home_team, away_team, game_date,
+                bet_type, market, (market IS NULL) as is_legacy,
+                predicted_outcome, confidence_level, stake,
+                odds_decimal, odds_format, odds_value, payout_odds_decimal,
+                ROUND(1 / odds_decimal, 4) as implied_probability,
+                status, actual_outcome, is_correct, resolved_at, void_reason,
+                notes, is_public, created_at, updated_at
+    `;
+
+    const values = [status, actualOutcome || null, isCorrectFor(status), voidReason || null, id];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
     return result.rows[0];
   }
 
   /**
    * Cancel bet
    * @param {string} id - Bet ID
+   * @param {object} client - Optional pool client to run inside a transaction
    * @returns {Promise<object>} Updated bet
    */
-  static async cancel(id) {
+  static async cancel(id, client = null) {
     const sql = `
       UPDATE bets
       SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
       WHERE id = $1 AND status = 'pending'
-      RETURNING id, user_id, group_id, game_id, sport_type,
+      RETURNING id, user_id, group_id, parent_bet_id, game_id, sport_type,
                 home_team, away_team, game_date,
-                bet_type, predicted_outcome, confidence_level,
+                bet_type, market, (market IS NULL) as is_legacy,
+                predicted_outcome, confidence_level, stake,
+                odds_decimal, odds_format, odds_value,
+                ROUND(1 / odds_decimal, 4) as implied_probability,
                 status, notes, is_public, created_at, updated_at
     `;
 
-    const result = await query(sql, [id]);
+    const result = client ? await client.query(sql, [id]) : await query(sql, [id]);
     return result.rows[0];
   }
 
+  /**
+   * Cancel the pending legs of a parlay
+   * @param {string} parentId - Parlay bet ID
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<number>} Number of cancelled legs
+   */
+  static async cancelLegs(parentId, client = null) {
+    const sql = `
+      UPDATE bets
+      SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE parent_bet_id = $1 AND status = 'pending'
+    `;
+
+    const result = client
+      ? await client.query(sql, [parentId])
+      : await query(sql, [parentId]);
+    return result.rowCount;
+  }
+
   /**
    * Delete bet
    * @param {string} id - Bet ID
+   * @param {object} client - Optional pool client to run inside a transaction
    * @returns {Promise<void>}
    */
-  static async delete(id) {
+  static async delete(id, client = null) {
     const sql = `DELETE FROM bets WHERE id = $1`;
-    await query(sql, [id]);
+
+    if (client) {
+      await client.query(sql, [id]);
+    } else {
+      await query(sql, [id]);
+    }
   }
 
   /**
    * Get bet statistics for a user
+   * Parlays count as a single bet; their legs are excluded. Pushes and
+   * voids are counted but left out of the win percentage. Historical
+   * imports are left out entirely, as in every statistic.
    * @param {string} userId - User ID
    * @returns {Promise<object>} Statistics
    */
@@ -333,8 +715,12 @@ class Bet {
         COUNT(*) as total_bets,
         COUNT(CASE WHEN status = 'won' THEN 1 END) as bets_won,
         COUNT(CASE WHEN status = 'lost' THEN 1 END) as bets_lost,
+        COUNT(CASE WHEN status = 'push' THEN 1 END) as bets_push,
+        COUNT(CASE WHEN status = 'void' THEN 1 END) as bets_void,
         COUNT(CASE WHEN status = 'pending' THEN 1 END) as bets_pending,
         COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as bets_cancelled,
+        COUNT(CASE WHEN bet_type = 'parlay' THEN 1 END) as total_parlays,
+        COUNT(CASE WHEN bet_type = 'parlay' AND status = 'won' THEN 1 END) as parlays_won,
         CASE
           WHEN COUNT(CASE WHEN status IN ('won', 'lost') THEN 1 END) > 0 THEN
             ROUND(
@@ -345,13 +731,175 @@ class Bet {
           ELSE 0
         END as win_percentage
       FROM bets
+      WHERE user_id = $1 AND parent_bet_id IS NULL AND NOT is_historical
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find public structured picks for consensus
+   * Straight bets and parlay legs both count as picks on their game;
+   * a leg takes its visibility and group from its parlay.
+   * @param {object} filters - { gameId, groupId, state } where state is
+   *   'pending', 'settled' (won, lost or push) or omitted for both
+   * @returns {Promise<Array>} Picks, newest game first
+   */
+  static async findPublicPicks({ gameId, groupId, state } = {}) {
+    const statuses = {
+      pending: "b.status = 'pending'",
+      settled: "b.status IN ('won', 'lost', 'push')",
+    };
+
+    const values = [];
+    const conditions = [
+      "b.bet_type <> 'parlay'",
+      'b.market IS NOT NULL',
+      'NOT b.is_historical',
+      'COALESCE(p.is_public, b.is_public) = true',
+      statuses[state] || "b.status IN ('pending', 'won', 'lost', 'push')",
+    ];
+
+    if (gameId) {
+      values.push(gameId);
+      conditions.push(`b.game_id = $${values.length}`);
+    }
+
+    if (groupId) {
+      values.push(groupId);
+      conditions.push(
+        `EXISTS (SELECT 1 FROM bet_shares s WHERE s.bet_id = COALESCE(p.id, b.id) AND s.group_id = $${values.length})`
+      );
+    }
+
+    const sql = `
+      SELECT b.id, b.user_id, b.game_id, b.sport_type, b.home_team, b.away_team,
+             b.game_date, b.market, b.confidence_level, b.status, b.created_at
+      FROM bets b
+      LEFT JOIN bets p ON p.id = b.parent_bet_id
+      WHERE ${conditions.join('\n        AND ')}
+      ORDER BY b.game_date DESC, b.game_id, b.created_at
+    `;
+
+    const result = await query(sql, values);
+    return result.rows;
+  }
+
+  /**
+   * Check whether a user has already tailed a bet
+   * @param {string} betId - Source bet ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Tailed status
+   */
+  static async hasTailed(betId, userId) {
+    const sql = `
+      SELECT EXISTS (
+        SELECT 1 FROM bets WHERE tailed_from_bet_id = $1 AND user_id = $2
+      ) as tailed
+    `;
+
+    const result = await query(sql, [betId, userId]);
+    return result.rows[0].tailed;
+  }
+
+  /**
+   * Get tailing statistics of a user
+   * `tailing` compares the user's graded tails with the bets they copied;
+   * `tailedBy` covers other users' tails of the user's bets.
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} { tailing, tailedBy }
+   */
+  static async getTailStats(userId) {
+    const tailingSql = `
+      SELECT
+        COUNT(*) as total,
+        COUNT(CASE WHEN t.status = 'won' THEN 1 END) as won,
+        COUNT(CASE WHEN t.status = 'lost' THEN 1 END) as lost,
+        COUNT(CASE WHEN t.status = 'push' THEN 1 END) as push,
+        COUNT(CASE WHEN s.status = 'won' THEN 1 END) as source_won,
+        COUNT(CASE WHEN s.status = 'lost' THEN 1 END) as source_lost,
+        COUNT(CASE WHEN s.status = t.status THEN 1 END) as matched_source
+      FROM bets t
+      LEFT JOIN bets s ON s.id = t.tailed_from_bet_id
+      WHERE t.user_id = $1
+        AND t.tailed_from_user_id IS NOT NULL
+        AND NOT t.is_historical
+        AND t.status IN ('won', 'lost', 'push')
+    `;
+
+    const tailedBySql = `
+      SELECT
+        COUNT(*) as tail_count,
+        COUNT(DISTINCT tailed_from_bet_id) as bets_tailed,
+        COUNT(DISTINCT user_id) as tailers,
+        COUNT(CASE WHEN status = 'won' THEN 1 END) as tails_won,
+        COUNT(CASE WHEN status = 'lost' THEN 1 END) as tails_lost
+      FROM bets
+      WHERE tailed_from_user_id = $1 AND NOT is_historical
+    `;
+
+    const tailing = await query(tailingSql, [userId]);
+    const tailedBy = await query(tailedBySql, [userId]);
+
+    return {
+      tailing: tailing.rows[0],
+      tailedBy: tailedBy.rows[0],
+    };
+  }
+
+  /**
+   * Get expected versus actual results of graded bets that have odds
+   * Expected wins are the sum of implied probabilities; units are the
+   * net profit of a flat one-unit stake on every bet.
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} Odds statistics
+   */
+  static async getOddsStats(userId) {
+    const sql = `
+      SELECT
+        COUNT(*) as bets_with_odds,
+        COALESCE(ROUND(SUM(1 / odds_decimal), 2), 0) as expected_wins,
+        COUNT(CASE WHEN status = 'won' THEN 1 END) as actual_wins,
+        COALESCE(
+          ROUND(SUM(
+            CASE WHEN status = 'won' THEN COALESCE(payout_odds_decimal, odds_decimal) - 1 ELSE -1 END
+          ), 2),
+          0
+        ) as actual_units
+      FROM bets
       WHERE user_id = $1
+        AND parent_bet_id IS NULL
+        AND NOT is_historical
+        AND odds_decimal IS NOT NULL
+        AND status IN ('won', 'lost')
     `;
 
     const result = await query(sql, [userId]);
     return result.rows[0];
   }
 
+  /**
+   * Find a user's graded bets, oldest resolution first
+   * Includes parlay legs (with parent_bet_id set) so picks can be
+   * broken down by team and side.
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Won, lost and pushed bets
+   */
+  static async findGradedByUserId(userId) {
+    const sql = `
+      SELECT id, parent_bet_id, bet_type, market, home_team, away_team,
+             confidence_level, stake, odds_decimal, payout_odds_decimal, status,
+             COALESCE(resolved_at, updated_at) as resolved_at
+      FROM bets
+      WHERE user_id = $1 AND status IN ('won', 'lost', 'push') AND NOT is_historical
+      ORDER BY COALESCE(resolved_at, updated_at) ASC, id ASC
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows;
+  }
+
   /**
    * Get bets by sport type statistics
    * @param {string} userId - User ID
@@ -364,6 +912,8 @@ class Bet {
         COUNT(*) as total,
         COUNT(CASE WHEN status = 'won' THEN 1 END) as won,
         COUNT(CASE WHEN status = 'lost' THEN 1 END) as lost,
+        COUNT(CASE WHEN status = 'push' THEN 1 END) as pushed,
+        COUNT(CASE WHEN status = 'void' THEN 1 END) as voided,
         CASE
           WHEN COUNT(CASE WHEN status IN ('won', 'lost') THEN 1 END) > 0 THEN
             ROUND(
@@ -374,7 +924,7 @@ class Bet {
           ELSE 0
         END as win_percentage
       FROM bets
-      WHERE user_id = $1
+      WHERE user_id = $1 AND parent_bet_id IS NULL AND NOT is_historical
       GROUP BY sport_type
       ORDER BY total DESC
     `;
@@ -0,0 +1,102 @@
+/**
+ * Bet Comment Model
+ * Database operations for comment threads on bets
+ */
+
+const { query } = require('../config/database');
+
+class BetComment {
+  /**
+   * Create a comment
+   * @param {object} commentData - { betId, userId, content }
+   * @returns {Promise<object>} Created comment
+   */
+  static async create(commentData) {
+    const { betId, userId, content } = commentData;
+
+    const sql = `
+      INSERT INTO bet_comments (bet_id, user_id, content)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `;
+
+    const result = await query(sql, [betId, userId, content]);
+    return await this.findById(result.rows[0].id);
+  }
+
+  /**
+   * Find comment by ID
+   * @param {string} id - Comment ID
+   * @returns {Promise<object|null>} Comment with author, or null
+   */
+  static async findById(id) {
+    const sql = `
+      SELECT c.id, c.bet_id, c.user_id, c.content, c.is_deleted, c.deleted_at, c.created_at,
+             u.username, u.display_name, u.avatar_url
+      FROM bet_comments c
+      JOIN users u ON c.user_id = u.id
+      WHERE c.id = $1
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get comments on a bet, oldest first
+   * @param {string} betId - Bet ID
+   * @param {object} options - { limit, offset }
+   * @returns {Promise<Array>} Comments with authors
+   */
+  static async findByBetId(betId, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+
+    const sql = `
+      SELECT c.id, c.bet_id, c.user_id, c.content, c.created_at,
+             u.username, u.display_name, u.avatar_url
+      FROM bet_comments c
+      JOIN users u ON c.user_id = u.id
+      WHERE c.bet_id = $1 AND c.is_deleted = false
+      ORDER BY c.created_at ASC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await query(sql, [betId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get comment count for a bet
+   * @param {string} betId - Bet ID
+   * @returns {Promise<number>} Comment count
+   */
+  static async getCount(betId) {
+    const sql = `
+      SELECT COUNT(*) as count
+      FROM bet_comments
+      WHERE bet_id = $1 AND is_deleted = false
+    `;
+
+    const result = await query(sql, [betId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Delete comment (soft delete)
+   * @param {string} id - Comment ID
+   * @returns {Promise<object>} Deleted comment
+   */
+  static async delete(id) {
+    const sql = `
+      UPDATE bet_comments
+      SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP, content = '[deleted]'
+      WHERE id = $1
+      RETURNING id, bet_id, user_id, content, is_deleted, deleted_at, created_at
+    `;
+
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+}
+
+module.exports = BetComment;
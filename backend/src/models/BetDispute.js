@@ -0,0 +1,156 @@
+/**
+ * Bet Dispute Model
+ * Database operations for disputes on resolved group bets
+ */
+
+const { query } = require('../config/database');
+
+const DISPUTE_FIELDS = `
+  d.id, d.bet_id, d.group_id, d.opened_by, d.reason, d.status,
+  d.previous_status, d.new_status, d.resolved_by, d.resolution_note,
+  d.created_at, d.resolved_at
+`;
+
+class BetDispute {
+  /**
+   * Open a dispute on a bet
+   * @param {object} disputeData - { betId, groupId, openedBy, reason, previousStatus }
+   * @returns {Promise<object>} Created dispute
+   */
+  static async create(disputeData) {
+    const { betId, groupId, openedBy, reason, previousStatus } = disputeData;
+
+    const sql = `
+      INSERT INTO bet_disputes (bet_id, group_id, opened_by, reason, previous_status)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, bet_id, group_id, opened_by, reason, status,
+                previous_status, new_status, resolved_by, resolution_note,
+                created_at, resolved_at
+    `;
+
+    const result = await query(sql, [betId, groupId, openedBy, reason, previousStatus]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find dispute by ID
+   * @param {string} id - Dispute ID
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @param {boolean} forUpdate - Lock the row until the transaction ends
+   * @returns {Promise<object|null>} Dispute or null
+   */
+  static async findById(id, client = null, forUpdate = false) {
+    const sql = `
+      SELECT ${DISPUTE_FIELDS}
+      FROM bet_disputes d
+      WHERE d.id = $1
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `;
+
+    const result = client ? await client.query(sql, [id]) : await query(sql, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the open dispute of a bet
+   * @param {string} betId - Bet ID
+   * @returns {Promise<object|null>} Open dispute or null
+   */
+  static async findOpenByBetId(betId) {
+    const sql = `
+      SELECT ${DISPUTE_FIELDS}
+      FROM bet_disputes d
+      WHERE d.bet_id = $1 AND d.status = 'open'
+    `;
+
+    const result = await query(sql, [betId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find disputes of a bet, oldest first
+   * @param {string} betId - Bet ID
+   * @returns {Promise<Array>} Disputes array
+   */
+  static async findByBetId(betId) {
+    const sql = `
+      SELECT ${DISPUTE_FIELDS},
+             o.username as opened_by_username, r.username as resolved_by_username
+      FROM bet_disputes d
+      LEFT JOIN users o ON d.opened_by = o.id
+      LEFT JOIN users r ON d.resolved_by = r.id
+      WHERE d.bet_id = $1
+      ORDER BY d.created_at ASC
+    `;
+
+    const result = await query(sql, [betId]);
+    return result.rows;
+  }
+
+  /**
+   * Find disputes in a group, newest first
+   * @param {string} groupId - Group ID
+   * @param {object} options - { status, limit, offset }
+   * @returns {Promise<Array>} Disputes with their bet
+   */
+  static async findByGroupId(groupId, options = {}) {
+    const { status, limit = 50, offset = 0 } = options;
+
+    const values = [groupId];
+    let statusCondition = '';
+
+    if (status) {
+      values.push(status);
+      statusCondition = `AND d.status = $${values.length}`;
+    }
+
+    values.push(limit, offset);
+
+    const sql = `
+      SELECT ${DISPUTE_FIELDS},
+             o.username as opened_by_username, r.username as resolved_by_username,
+             b.user_id as bet_user_id, b.predicted_outcome, b.home_team, b.away_team,
+             b.game_date, b.status as bet_status, b.actual_outcome
+      FROM bet_disputes d
+      JOIN bets b ON d.bet_id = b.id
+      LEFT JOIN users o ON d.opened_by = o.id
+      LEFT JOIN users r ON d.resolved_by = r.id
+      WHERE d.group_id = $1 ${statusCondition}
+      ORDER BY d.created_at DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+
+    const result = await query(sql, values);
+    return result.rows;
+  }
+
+  /**
+   * Close an open dispute
+   * @param {string} id - Dispute ID
+   * @param {object} resolution - { status, resolvedBy, note, newStatus }
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object|undefined>} Closed dispute, or undefined if it was not open
+   */
+  static async close(id, resolution, client = null) {
+    const { status, resolvedBy, note, newStatus } = resolution;
+
+    const sql = `
+      UPDATE bet_disputes
+      SET status = $1,
+          resolved_by = $2,
+          resolution_note = $3,
+          new_status = $4,
+          resolved_at = CURRENT_TIMESTAMP
+      WHERE id = $5 AND status = 'open'
+      RETURNING id, bet_id, group_id, opened_by, reason, status,
+                previous_status, new_status, resolved_by, resolution_note,
+                created_at, resolved_at
+    `;
+
+    const values = [status, resolvedBy, note || null, newStatus || null, id];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
+    return result.rows[0];
+  }
+}
+
+module.exports = BetDispute;
@@ -0,0 +1,65 @@
+/**
+ * Bet Reaction Model
+ * Database operations for emoji reactions on bets
+ */
+
+const { query } = require('../config/database');
+
+class BetReaction {
+  /**
+   * Add a reaction; adding the same emoji twice is a no-op
+   * @param {string} betId - Bet ID
+   * @param {string} userId - User ID
+   * @param {string} emoji - Emoji
+   * @returns {Promise<void>}
+   */
+  static async add(betId, userId, emoji) {
+    const sql = `
+      INSERT INTO bet_reactions (bet_id, user_id, emoji)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (bet_id, user_id, emoji) DO NOTHING
+    `;
+
+    await query(sql, [betId, userId, emoji]);
+  }
+
+  /**
+   * Remove a reaction
+   * @param {string} betId - Bet ID
+   * @param {string} userId - User ID
+   * @param {string} emoji - Emoji
+   * @returns {Promise<boolean>} True if a reaction was removed
+   */
+  static async remove(betId, userId, emoji) {
+    const sql = `
+      DELETE FROM bet_reactions
+      WHERE bet_id = $1 AND user_id = $2 AND emoji = $3
+    `;
+
+    const result = await query(sql, [betId, userId, emoji]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Summarize reactions on a bet
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Array>} [{ emoji, count, reacted }], most used first
+   */
+  static async summarize(betId, userId) {
+    const sql = `
+      SELECT emoji,
+             COUNT(*)::int as count,
+             BOOL_OR(user_id = $2) as reacted
+      FROM bet_reactions
+      WHERE bet_id = $1
+      GROUP BY emoji
+      ORDER BY count DESC, MIN(created_at) ASC
+    `;
+
+    const result = await query(sql, [betId, userId]);
+    return result.rows;
+  }
+}
+
+module.exports = BetReaction;
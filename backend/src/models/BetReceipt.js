@@ -0,0 +1,101 @@
+/**
+ * Bet Receipt Model
+ * Database operations for the append-only receipt chain of each user
+ */
+
+const { query } = require('../config/database');
+
+const RECEIPT_FIELDS = `
+  id, user_id, bet_id, sequence, kind, content_hash, previous_hash, receipt_hash, created_at
+`;
+
+class BetReceipt {
+  /**
+   * Append a receipt to a user's chain
+   * @param {object} receiptData - { userId, betId, sequence, kind, contentHash, previousHash, receiptHash }
+   * @param {object} client - Pool client of the surrounding transaction
+   * @returns {Promise<object>} Created receipt
+   */
+  static async create(receiptData, client) {
+    const { userId, betId, sequence, kind, contentHash, previousHash, receiptHash } = receiptData;
+
+    const sql = `
+      INSERT INTO bet_receipts (
+        user_id, bet_id, sequence, kind, content_hash, previous_hash, receipt_hash
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${RECEIPT_FIELDS}
+    `;
+
+    const values = [userId, betId, sequence, kind, contentHash, previousHash || null, receiptHash];
+
+    const result = await client.query(sql, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Lock a user's chain until the transaction ends, so receipts are
+   * appended one at a time
+   * @param {string} userId - User ID
+   * @param {object} client - Pool client of the surrounding transaction
+   */
+  static async lockChain(userId, client) {
+    await client.query('SELECT 1 FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  }
+
+  /**
+   * Find the last receipt of a user's chain
+   * @param {string} userId - User ID
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object|null>} Receipt or null for an empty chain
+   */
+  static async findLatestByUserId(userId, client = null) {
+    const sql = `
+      SELECT ${RECEIPT_FIELDS}
+      FROM bet_receipts
+      WHERE user_id = $1
+      ORDER BY sequence DESC
+      LIMIT 1
+    `;
+
+    const result = client ? await client.query(sql, [userId]) : await query(sql, [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a user's chain, in order
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Receipts array
+   */
+  static async findByUserId(userId) {
+    const sql = `
+      SELECT ${RECEIPT_FIELDS}
+      FROM bet_receipts
+      WHERE user_id = $1
+      ORDER BY sequence ASC
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Find the receipts of a bet, oldest first
+   * @param {string} betId - Bet ID
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<Array>} Receipts array
+   */
+  static async findByBetId(betId, client = null) {
+    const sql = `
+      SELECT ${RECEIPT_FIELDS}
+      FROM bet_receipts
+      WHERE bet_id = $1
+      ORDER BY sequence ASC
+    `;
+
+    const result = client ? await client.query(sql, [betId]) : await query(sql, [betId]);
+    return result.rows;
+  }
+}
+
+module.exports = BetReceipt;
@@ -0,0 +1,50 @@
+/**
+ * Bet Revision Model
+ * Database operations for the update history of bets
+ */
+
+const { query } = require('../config/database');
+
+class BetRevision {
+  /**
+   * Record the previous values of an updated bet
+   * @param {object} revisionData - { betId, changedBy, previousValues }
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object>} Created revision
+   */
+  static async create(revisionData, client = null) {
+    const { betId, changedBy, previousValues } = revisionData;
+
+    const sql = `
+      INSERT INTO bet_revisions (bet_id, changed_by, changed_fields, previous_values)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, bet_id, changed_by, changed_fields, previous_values, created_at
+    `;
+
+    const values = [betId, changedBy, Object.keys(previousValues), JSON.stringify(previousValues)];
+
+    const result = client ? await client.query(sql, values) : await query(sql, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Find revisions of a bet, oldest first
+   * @param {string} betId - Bet ID
+   * @returns {Promise<Array>} Revisions array
+   */
+  static async findByBetId(betId) {
+    const sql = `
+      SELECT r.id, r.bet_id, r.changed_by, r.changed_fields, r.previous_values, r.created_at,
+             u.username as changed_by_username, u.display_name as changed_by_display_name
+      FROM bet_revisions r
+      LEFT JOIN users u ON r.changed_by = u.id
+      WHERE r.bet_id = $1
+      ORDER BY r.created_at ASC
+    `;
+
+    const result = await query(sql, [betId]);
+    return result.rows;
+  }
+}
+
+module.exports = BetRevision;
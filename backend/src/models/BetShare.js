@@ -0,0 +1,65 @@
+/**
+ * Bet Share Model
+ * Database operations for the groups a bet is shared with
+ */
+
+const { query } = require('../config/database');
+
+class BetShare {
+  /**
+   * Share a bet with a group (no-op if already shared)
+   * @param {string} betId - Bet ID
+   * @param {string} groupId - Group ID
+   * @param {string} sharedBy - User ID
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object|null>} Created share, or null if it already existed
+   */
+  static async add(betId, groupId, sharedBy, client = null) {
+    const sql = `
+      INSERT INTO bet_shares (bet_id, group_id, shared_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (bet_id, group_id) DO NOTHING
+      RETURNING bet_id, group_id, shared_by, created_at
+    `;
+
+    const values = [betId, groupId, sharedBy];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Stop sharing a bet with a group
+   * @param {string} betId - Bet ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<boolean>} Whether a share was removed
+   */
+  static async remove(betId, groupId) {
+    const sql = `
+      DELETE FROM bet_shares
+      WHERE bet_id = $1 AND group_id = $2
+    `;
+
+    const result = await query(sql, [betId, groupId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Find the groups a bet is shared with, oldest share first
+   * @param {string} betId - Bet ID
+   * @returns {Promise<Array>} Shares with group names
+   */
+  static async findByBetId(betId) {
+    const sql = `
+      SELECT s.bet_id, s.group_id, s.shared_by, s.created_at, g.name as group_name
+      FROM bet_shares s
+      JOIN groups g ON s.group_id = g.id
+      WHERE s.bet_id = $1
+      ORDER BY s.created_at ASC
+    `;
+
+    const result = await query(sql, [betId]);
+    return result.rows;
+  }
+}
+
+module.exports = BetShare;
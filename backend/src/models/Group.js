@@ -12,13 +12,26 @@ class Group {
    * @returns {Promise<object>} Created group
    */
   static async create(groupData) {
-    const { name, description, ownerId, avatarUrl, isPrivate, maxMembers } = groupData;
+    const {
+      name,
+      description,
+      ownerId,
+      avatarUrl,
+      isPrivate,
+      maxMembers,
+      betLockMinutes,
+      leaderboardScoring,
+    } = groupData;
 
     const sql = `
-      INSERT INTO groups (name, description, owner_id, avatar_url, is_private, max_members)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO groups (
+        name, description, owner_id, avatar_url, is_private, max_members, bet_lock_minutes,
+        leaderboard_scoring
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING id, name, description, owner_id, avatar_url,
-                is_private, is_active, max_members, created_at, updated_at
+                is_private, is_active, max_members, bet_lock_minutes, leaderboard_scoring,
+                created_at, updated_at
     `;
 
     const values = [
@@ -28,6 +41,8 @@ class Group {
       avatarUrl || null,
       isPrivate !== undefined ? isPrivate : false,
       maxMembers || 50,
+      betLockMinutes || 0,
+      leaderboardScoring || 'flat',
     ];
 
     const result = await query(sql, values);
@@ -42,7 +57,8 @@ class Group {
   static async findById(id) {
     const sql = `
       SELECT g.id, g.name, g.description, g.owner_id, g.avatar_url,
-             g.is_private, g.is_active, g.max_members, g.created_at, g.updated_at,
+             g.is_private, g.is_active, g.max_members, g.bet_lock_minutes, g.leaderboard_scoring,
+             g.created_at, g.updated_at,
              u.username as owner_username, u.display_name as owner_display_name
       FROM groups g
       JOIN users u ON g.owner_id = u.id
@@ -61,7 +77,8 @@ class Group {
   static async findByUserId(userId) {
     const sql = `
       SELECT g.id, g.name, g.description, g.owner_id, g.avatar_url,
-             g.is_private, g.is_active, g.max_members, g.created_at, g.updated_at,
+             g.is_private, g.is_active, g.max_members, g.bet_lock_minutes, g.leaderboard_scoring,
+             g.created_at, g.updated_at,
              gm.role, gm.joined_at,
              u.username as owner_username
       FROM groups g
@@ -108,7 +125,15 @@ class Group {
    * @returns {Promise<object>} Updated group
    */
   static async update(id, updates) {
-    const allowedFields = ['name', 'description', 'avatar_url', 'is_private', 'max_members'];
+    const allowedFields = [
+      'name',
+      'description',
+      'avatar_url',
+      'is_private',
+      'max_members',
+      'bet_lock_minutes',
+      'leaderboard_scoring',
+    ];
     const fields = [];
     const values = [];
     let paramCount = 1;
@@ -132,13 +157,37 @@ class Group {
       SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
       WHERE id = $${paramCount}
       RETURNING id, name, description, owner_id, avatar_url,
-                is_private, is_active, max_members, created_at, updated_at
+                is_private, is_active, max_members, bet_lock_minutes, leaderboard_scoring,
+                created_at, updated_at
     `;
 
     const result = await query(sql, values);
     return result.rows[0];
   }
 
+  /**
+   * Change the owner of a group if it is still owned by the expected user
+   * @param {string} id - Group ID
+   * @param {string} currentOwnerId - Expected current owner
+   * @param {string} newOwnerId - New owner
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object|null>} Updated group, or null if the owner changed meanwhile
+   */
+  static async setOwner(id, currentOwnerId, newOwnerId, client = null) {
+    const sql = `
+      UPDATE groups
+      SET owner_id = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND owner_id = $2
+      RETURNING id, name, description, owner_id, avatar_url,
+                is_private, is_active, max_members, bet_lock_minutes, leaderboard_scoring,
+                created_at, updated_at
+    `;
+
+    const values = [id, currentOwnerId, newOwnerId];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
+    return result.rows[0] || null;
+  }
+
   /**
    * Deactivate group
    * @param {string} id - Group ID
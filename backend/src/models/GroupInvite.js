@@ -0,0 +1,118 @@
+/**
+ * Group Invite Model
+ * Database operations for group invite codes
+ */
+
+const { query } = require('../config/database');
+
+// Derived state of an invite, in the order the conditions are checked
+const STATUS_SQL = `
+  CASE
+    WHEN revoked_at IS NOT NULL THEN 'revoked'
+    WHEN expires_at IS NOT NULL AND expires_at <= NOW() THEN 'expired'
+    WHEN max_uses IS NOT NULL AND use_count >= max_uses THEN 'used_up'
+    ELSE 'active'
+  END
+`;
+
+const INVITE_COLUMNS = `
+  id, group_id, code, created_by, expires_at, max_uses, use_count,
+  revoked_at, created_at, ${STATUS_SQL} as status
+`;
+
+class GroupInvite {
+  /**
+   * Create an invite
+   * @param {object} inviteData - { groupId, code, createdBy, expiresAt, maxUses }
+   * @returns {Promise<object>} Created invite
+   */
+  static async create(inviteData) {
+    const { groupId, code, createdBy, expiresAt = null, maxUses = null } = inviteData;
+
+    const sql = `
+      INSERT INTO group_invites (group_id, code, created_by, expires_at, max_uses)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${INVITE_COLUMNS}
+    `;
+
+    const result = await query(sql, [groupId, code, createdBy, expiresAt, maxUses]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find an invite of a group by ID
+   * @param {string} groupId - Group ID
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<object|null>} Invite or null
+   */
+  static async findById(groupId, inviteId) {
+    const sql = `
+      SELECT ${INVITE_COLUMNS}
+      FROM group_invites
+      WHERE group_id = $1 AND id = $2
+    `;
+
+    const result = await query(sql, [groupId, inviteId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the invites of a group, newest first
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array>} Invites with creator names
+   */
+  static async findByGroupId(groupId) {
+    const sql = `
+      SELECT i.*, u.username as created_by_username
+      FROM (
+        SELECT ${INVITE_COLUMNS}
+        FROM group_invites
+        WHERE group_id = $1
+      ) i
+      LEFT JOIN users u ON i.created_by = u.id
+      ORDER BY i.created_at DESC
+    `;
+
+    const result = await query(sql, [groupId]);
+    return result.rows;
+  }
+
+  /**
+   * Use an active invite once
+   * @param {string} groupId - Group ID
+   * @param {string} code - Invite code
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object|null>} Used invite, or null if the code is not active for the group
+   */
+  static async redeem(groupId, code, client = null) {
+    const sql = `
+      UPDATE group_invites
+      SET use_count = use_count + 1
+      WHERE group_id = $1 AND code = $2 AND ${STATUS_SQL} = 'active'
+      RETURNING ${INVITE_COLUMNS}
+    `;
+
+    const values = [groupId, code];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Revoke an invite
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<object|null>} Revoked invite, or null if it was already revoked
+   */
+  static async revoke(inviteId) {
+    const sql = `
+      UPDATE group_invites
+      SET revoked_at = NOW()
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING ${INVITE_COLUMNS}
+    `;
+
+    const result = await query(sql, [inviteId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = GroupInvite;
@@ -0,0 +1,153 @@
+/**
+ * Group Join Request Model
+ * Database operations for requests to join private groups
+ */
+
+const { query } = require('../config/database');
+
+const REQUEST_FIELDS = `
+  r.id, r.group_id, r.user_id, r.message, r.status,
+  r.decided_by, r.created_at, r.decided_at
+`;
+
+class GroupJoinRequest {
+  /**
+   * Create a pending request
+   * @param {object} requestData - { groupId, userId, message }
+   * @returns {Promise<object>} Created request
+   */
+  static async create(requestData) {
+    const { groupId, userId, message = null } = requestData;
+
+    const sql = `
+      INSERT INTO group_join_requests (group_id, user_id, message)
+      VALUES ($1, $2, $3)
+      RETURNING id, group_id, user_id, message, status, decided_by, created_at, decided_at
+    `;
+
+    const result = await query(sql, [groupId, userId, message]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find a request of a group by ID
+   * @param {string} groupId - Group ID
+   * @param {string} requestId - Request ID
+   * @returns {Promise<object|null>} Request or null
+   */
+  static async findById(groupId, requestId) {
+    const sql = `
+      SELECT ${REQUEST_FIELDS}
+      FROM group_join_requests r
+      WHERE r.group_id = $1 AND r.id = $2
+    `;
+
+    const result = await query(sql, [groupId, requestId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the pending request of a user for a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} Pending request or null
+   */
+  static async findPending(groupId, userId) {
+    const sql = `
+      SELECT ${REQUEST_FIELDS}
+      FROM group_join_requests r
+      WHERE r.group_id = $1 AND r.user_id = $2 AND r.status = 'pending'
+    `;
+
+    const result = await query(sql, [groupId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the latest denied request of a user for a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} Denied request or null
+   */
+  static async findLatestDenied(groupId, userId) {
+    const sql = `
+      SELECT ${REQUEST_FIELDS}
+      FROM group_join_requests r
+      WHERE r.group_id = $1 AND r.user_id = $2 AND r.status = 'denied'
+      ORDER BY r.decided_at DESC
+      LIMIT 1
+    `;
+
+    const result = await query(sql, [groupId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find requests in a group, oldest first
+   * @param {string} groupId - Group ID
+   * @param {object} options - { status, limit, offset }
+   * @returns {Promise<Array>} Requests with requester names
+   */
+  static async findByGroupId(groupId, options = {}) {
+    const { status = 'pending', limit = 50, offset = 0 } = options;
+
+    const sql = `
+      SELECT ${REQUEST_FIELDS},
+             u.username, u.display_name, u.avatar_url,
+             d.username as decided_by_username
+      FROM group_join_requests r
+      JOIN users u ON r.user_id = u.id
+      LEFT JOIN users d ON r.decided_by = d.id
+      WHERE r.group_id = $1 AND r.status = $2
+      ORDER BY r.created_at ASC
+      LIMIT $3 OFFSET $4
+    `;
+
+    const result = await query(sql, [groupId, status, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Decide a pending request
+   * @param {string} id - Request ID
+   * @param {object} decision - { status, decidedBy }
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object|null>} Decided request, or null if it was not pending
+   */
+  static async decide(id, decision, client = null) {
+    const { status, decidedBy } = decision;
+
+    const sql = `
+      UPDATE group_join_requests
+      SET status = $2, decided_by = $3, decided_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING id, group_id, user_id, message, status, decided_by, created_at, decided_at
+    `;
+
+    const values = [id, status, decidedBy];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Cancel a user's pending request for a group, e.g. once they joined by invite
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<Array>} Cancelled requests
+   */
+  static async cancelPending(groupId, userId, client = null) {
+    const sql = `
+      UPDATE group_join_requests
+      SET status = 'cancelled', decided_at = NOW()
+      WHERE group_id = $1 AND user_id = $2 AND status = 'pending'
+      RETURNING id, group_id, user_id, message, status, decided_by, created_at, decided_at
+    `;
+
+    const values = [groupId, userId];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
+    return result.rows;
+  }
+}
+
+module.exports = GroupJoinRequest;
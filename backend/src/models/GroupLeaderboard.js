@@ -0,0 +1,236 @@
+/**
+ * Group Leaderboard Model
+ * Database operations for the points graded bets score in their groups
+ * and the standings they add up to
+ */
+
+const { query } = require('../config/database');
+
+// Entry column holding the points of each scoring rule
+const SCORE_COLUMNS = {
+  flat: 'flat_points',
+  confidence: 'confidence_points',
+  units: 'units',
+};
+
+class GroupLeaderboard {
+  /**
+   * Record the points of a graded bet in every group it is shared with
+   * @param {string} betId - Bet ID
+   * @param {object} points - { flatPoints, confidencePoints, units }
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<number>} Number of groups the bet was recorded in
+   */
+  static async addBet(betId, points, client = null) {
+    const { flatPoints, confidencePoints, units } = points;
+
+    const sql = `
+      INSERT INTO group_leaderboard_entries (
+        group_id, bet_id, user_id, status, flat_points, confidence_points, units, resolved_at
+      )
+      SELECT s.group_id, b.id, b.user_id, b.status, $2, $3, $4,
+             COALESCE(b.resolved_at, b.updated_at)
+      FROM bet_shares s
+      JOIN bets b ON b.id = s.bet_id
+      WHERE s.bet_id = $1 AND NOT b.is_historical
+      ON CONFLICT (group_id, bet_id) DO UPDATE
+      SET status = EXCLUDED.status,
+          flat_points = EXCLUDED.flat_points,
+          confidence_points = EXCLUDED.confidence_points,
+          units = EXCLUDED.units,
+          resolved_at = EXCLUDED.resolved_at
+    `;
+
+    const values = [betId, flatPoints, confidencePoints, units];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
+    return result.rowCount;
+  }
+
+  /**
+   * Remove a bet from every group leaderboard
+   * @param {string} betId - Bet ID
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<void>}
+   */
+  static async removeBet(betId, client = null) {
+    const sql = `DELETE FROM group_leaderboard_entries WHERE bet_id = $1`;
+
+    if (client) {
+      await client.query(sql, [betId]);
+    } else {
+      await query(sql, [betId]);
+    }
+  }
+
+  /**
+   * Recompute a member's all-time standings in every group a bet is shared with
+   * The standings rows are locked before the totals are read, so concurrent
+   * results of the same member cannot overwrite each other's totals.
+   * @param {string} betId - Bet that was just recorded or removed
+   * @param {string} userId - Bet owner
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<void>}
+   */
+  static async refreshStandings(betId, userId, client = null) {
+    const lockSql = `
+      INSERT INTO group_leaderboard_standings (group_id, user_id)
+      SELECT s.group_id, $2
+      FROM bet_shares s
+      WHERE s.bet_id = $1
+      ORDER BY s.group_id
+      ON CONFLICT (group_id, user_id) DO UPDATE SET user_id = EXCLUDED.user_id
+    `;
+
+    const refreshSql = `
+      UPDATE group_leaderboard_standings st
+      SET flat_points = t.flat_points,
+          confidence_points = t.confidence_points,
+          units = t.units,
+          bets = t.bets,
+          won = t.won,
+          lost = t.lost,
+          push = t.push,
+          last_result_at = t.last_result_at
+      FROM (
+        SELECT s.group_id,
+               COALESCE(SUM(e.flat_points), 0) as flat_points,
+               COALESCE(SUM(e.confidence_points), 0) as confidence_points,
+               COALESCE(SUM(e.units), 0) as units,
+               COUNT(e.bet_id) as bets,
+               COUNT(CASE WHEN e.status = 'won' THEN 1 END) as won,
+               COUNT(CASE WHEN e.status = 'lost' THEN 1 END) as lost,
+               COUNT(CASE WHEN e.status = 'push' THEN 1 END) as push,
+               MAX(e.resolved_at) as last_result_at
+        FROM bet_shares s
+        LEFT JOIN group_leaderboard_entries e
+          ON e.group_id = s.group_id AND e.user_id = $2
+        WHERE s.bet_id = $1
+        GROUP BY s.group_id
+      ) t
+      WHERE st.group_id = t.group_id AND st.user_id = $2
+    `;
+
+    // Separate statements: the totals must be read after the lock is held
+    if (client) {
+      await client.query(lockSql, [betId, userId]);
+      await client.query(refreshSql, [betId, userId]);
+    } else {
+      await query(lockSql, [betId, userId]);
+      await query(refreshSql, [betId, userId]);
+    }
+  }
+
+  /**
+   * Rank the active members of a group
+   * Ties are broken by more wins, then fewer losses, then whoever reached
+   * their total first, then username, so every member has a distinct rank.
+   * Members without graded bets are listed with zero points.
+   * All-time rankings read the precomputed standings; a window or season
+   * totals the entries inside it. A season only counts bets placed inside
+   * it whose games (every leg of a parlay) start inside it and are of an
+   * allowed sport.
+   * @param {string} groupId - Group ID
+   * @param {object} options - { scoring, since, season: { startsAt, endsAt, sports }, limit, offset }
+   * @returns {Promise<Array>} Standings, best first (all of them when limit is null)
+   */
+  static async getStandings(groupId, options = {}) {
+    const { scoring = 'flat', since = null, season = null, limit = 50, offset = 0 } = options;
+
+    const column = SCORE_COLUMNS[scoring];
+    if (!column) {
+      throw new Error('Invalid leaderboard scoring');
+    }
+
+    const values = [groupId];
+    let standingsSql;
+
+    if (!since && !season) {
+      standingsSql = `
+        SELECT gm.user_id, u.username, u.display_name, u.avatar_url,
+               COALESCE(st.${column}, 0) as points,
+               COALESCE(st.bets, 0) as bets,
+               COALESCE(st.won, 0) as won,
+               COALESCE(st.lost, 0) as lost,
+               COALESCE(st.push, 0) as push,
+               st.last_result_at
+        FROM group_members gm
+        JOIN users u ON gm.user_id = u.id
+        LEFT JOIN group_leaderboard_standings st
+          ON st.group_id = gm.group_id AND st.user_id = gm.user_id
+        WHERE gm.group_id = $1 AND gm.is_active = true`;
+    } else {
+      values.push(since);
+      standingsSql = this._windowStandingsSql(column, season, values);
+    }
+
+    values.push(limit, offset);
+
+    const sql = `
+      WITH standings AS (${standingsSql}
+      ),
+      ranked AS (
+        SELECT ROW_NUMBER() OVER (
+                 ORDER BY points DESC, won DESC, lost ASC,
+                          last_result_at ASC NULLS LAST, username ASC
+               ) as rank,
+               standings.*
+        FROM standings
+      )
+      SELECT * FROM ranked
+      ORDER BY rank
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+
+    const result = await query(sql, values);
+    return result.rows;
+  }
+
+  /**
+   * Standings query totalling the entries of a window or season
+   * @private
+   * @param {string} column - Score column
+   * @param {object|null} season - { startsAt, endsAt, sports }
+   * @param {Array} values - Query values ($1 group, $2 since); season values are appended
+   * @returns {string} SQL selecting one row per active member
+   */
+  static _windowStandingsSql(column, season, values) {
+    let seasonFilter = '';
+
+    if (season) {
+      values.push(season.startsAt, season.endsAt, season.sports || null);
+      seasonFilter = `
+         AND EXISTS (
+           SELECT 1 FROM bets b
+           WHERE b.id = e.bet_id
+             AND b.created_at >= $3 AND b.created_at < $4
+             AND NOT EXISTS (
+               SELECT 1 FROM bets g
+               WHERE (g.parent_bet_id = b.id OR (g.id = b.id AND b.bet_type <> 'parlay'))
+                 AND NOT (
+                   ($5::text[] IS NULL OR g.sport_type = ANY($5))
+                   AND g.game_date >= $3 AND g.game_date < $4
+                 )
+             )
+         )`;
+    }
+
+    return `
+        SELECT gm.user_id, u.username, u.display_name, u.avatar_url,
+               COALESCE(SUM(e.${column}), 0) as points,
+               COUNT(e.bet_id) as bets,
+               COUNT(CASE WHEN e.status = 'won' THEN 1 END) as won,
+               COUNT(CASE WHEN e.status = 'lost' THEN 1 END) as lost,
+               COUNT(CASE WHEN e.status = 'push' THEN 1 END) as push,
+               MAX(e.resolved_at) as last_result_at
+        FROM group_members gm
+        JOIN users u ON gm.user_id = u.id
+        LEFT JOIN group_leaderboard_entries e
+          ON e.group_id = gm.group_id
+         AND e.user_id = gm.user_id
+         AND ($2::timestamp IS NULL OR e.resolved_at >= $2)${seasonFilter}
+        WHERE gm.group_id = $1 AND gm.is_active = true
+        GROUP BY gm.user_id, u.username, u.display_name, u.avatar_url`;
+  }
+}
+
+module.exports = GroupLeaderboard;
@@ -9,9 +9,10 @@ class GroupMember {
   /**
    * Add member to group
    * @param {object} memberData - Member data
+   * @param {object} client - Optional pool client to run inside a transaction
    * @returns {Promise<object>} Created membership
    */
-  static async add(memberData) {
+  static async add(memberData, client = null) {
     const { groupId, userId, role = 'member' } = memberData;
 
     const sql = `
@@ -20,7 +21,8 @@ class GroupMember {
       RETURNING id, group_id, user_id, role, joined_at, is_active
     `;
 
-    const result = await query(sql, [groupId, userId, role]);
+    const values = [groupId, userId, role];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
     return result.rows[0];
   }
 
@@ -73,17 +75,19 @@ class GroupMember {
    * @param {string} groupId - Group ID
    * @param {string} userId - User ID
    * @param {string} role - New role
-   * @returns {Promise<object>} Updated member
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object|undefined>} Updated member, or undefined if not an active member
    */
-  static async updateRole(groupId, userId, role) {
+  static async updateRole(groupId, userId, role, client = null) {
     const sql = `
       UPDATE group_members
       SET role = $1
-      WHERE group_id = $2 AND user_id = $3
+      WHERE group_id = $2 AND user_id = $3 AND is_active = true
       RETURNING id, group_id, user_id, role, joined_at, is_active
     `;
 
-    const result = await query(sql, [role, groupId, userId]);
+    const values = [role, groupId, userId];
+    const result = client ? await client.query(sql, values) : await query(sql, values);
     return result.rows[0];
   }
 
@@ -134,6 +138,25 @@ class GroupMember {
     return result.rows.length > 0;
   }
 
+  /**
+   * Check if two users are active members of at least one common group
+   * @param {string} userId - User ID
+   * @param {string} otherUserId - Other user ID
+   * @returns {Promise<boolean>} Shared membership status
+   */
+  static async sharesGroup(userId, otherUserId) {
+    const sql = `
+      SELECT 1 FROM group_members a
+      JOIN group_members b ON b.group_id = a.group_id
+      WHERE a.user_id = $1 AND a.is_active = true
+        AND b.user_id = $2 AND b.is_active = true
+      LIMIT 1
+    `;
+
+    const result = await query(sql, [userId, otherUserId]);
+    return result.rows.length > 0;
+  }
+
   /**
    * Check if user has admin or owner role
    * @param {string} groupId - Group ID
@@ -0,0 +1,123 @@
+/**
+ * Group Season Model
+ * Database operations for time-boxed group competitions
+ */
+
+const { query } = require('../config/database');
+
+// Derived state of a season, in the order the conditions are checked
+const STATUS_SQL = `
+  CASE
+    WHEN finalized_at IS NOT NULL THEN 'final'
+    WHEN NOW() < starts_at THEN 'upcoming'
+    WHEN NOW() < ends_at THEN 'active'
+    ELSE 'closed'
+  END
+`;
+
+// Everything but the archived table, which only the season itself returns
+const SEASON_COLUMNS = `
+  id, group_id, name, starts_at, ends_at, sports, scoring, created_by,
+  created_at, finalized_at, ${STATUS_SQL} as status
+`;
+
+class GroupSeason {
+  /**
+   * Create a season
+   * @param {object} seasonData - { groupId, name, startsAt, endsAt, sports, scoring, createdBy }
+   * @returns {Promise<object>} Created season
+   */
+  static async create(seasonData) {
+    const { groupId, name, startsAt, endsAt, sports = null, scoring, createdBy } = seasonData;
+
+    const sql = `
+      INSERT INTO group_seasons (group_id, name, starts_at, ends_at, sports, scoring, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${SEASON_COLUMNS}
+    `;
+
+    const values = [groupId, name, startsAt, endsAt, sports, scoring, createdBy];
+    const result = await query(sql, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Find a season of a group by ID, with its archived table
+   * @param {string} groupId - Group ID
+   * @param {string} seasonId - Season ID
+   * @returns {Promise<object|null>} Season or null
+   */
+  static async findById(groupId, seasonId) {
+    const sql = `
+      SELECT ${SEASON_COLUMNS}, final_standings
+      FROM group_seasons
+      WHERE group_id = $1 AND id = $2
+    `;
+
+    const result = await query(sql, [groupId, seasonId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the seasons of a group, latest start first
+   * @param {string} groupId - Group ID
+   * @param {object} options - { status, limit, offset }
+   * @returns {Promise<Array>} Seasons with creator names
+   */
+  static async findByGroupId(groupId, options = {}) {
+    const { status = null, limit = 50, offset = 0 } = options;
+
+    const sql = `
+      SELECT s.*, u.username as created_by_username
+      FROM (
+        SELECT ${SEASON_COLUMNS}
+        FROM group_seasons
+        WHERE group_id = $1
+      ) s
+      LEFT JOIN users u ON s.created_by = u.id
+      WHERE $2::text IS NULL OR s.status = $2
+      ORDER BY s.starts_at DESC, s.created_at DESC
+      LIMIT $3 OFFSET $4
+    `;
+
+    const result = await query(sql, [groupId, status, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get the seasons of a group that ended before a cutoff and are not archived yet
+   * @param {string} groupId - Group ID
+   * @param {Date} endedBefore - Cutoff
+   * @returns {Promise<Array>} Seasons
+   */
+  static async findDueForFinalization(groupId, endedBefore) {
+    const sql = `
+      SELECT ${SEASON_COLUMNS}
+      FROM group_seasons
+      WHERE group_id = $1 AND finalized_at IS NULL AND ends_at <= $2
+    `;
+
+    const result = await query(sql, [groupId, endedBefore]);
+    return result.rows;
+  }
+
+  /**
+   * Archive the final table of a season (once)
+   * @param {string} id - Season ID
+   * @param {Array} standings - Final standings
+   * @returns {Promise<object|null>} Finalized season, or null if it was already archived
+   */
+  static async finalize(id, standings) {
+    const sql = `
+      UPDATE group_seasons
+      SET final_standings = $2, finalized_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND finalized_at IS NULL
+      RETURNING ${SEASON_COLUMNS}, final_standings
+    `;
+
+    const result = await query(sql, [id, JSON.stringify(standings)]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = GroupSeason;
@@ -0,0 +1,82 @@
+/**
+ * Idempotency Key Model
+ * Database operations for stored responses of idempotent requests
+ */
+
+const { query } = require('../config/database');
+
+class IdempotencyKey {
+  /**
+   * Claim a key for a request that is about to run
+   * Expired keys of the user are dropped first, so a key can be reused after its window.
+   * @param {object} keyData - { userId, key, fingerprint, ttlSeconds }
+   * @returns {Promise<boolean>} Whether the key was claimed (false if it is already in use)
+   */
+  static async claim(keyData) {
+    const { userId, key, fingerprint, ttlSeconds } = keyData;
+
+    await query('DELETE FROM idempotency_keys WHERE user_id = $1 AND expires_at <= NOW()', [
+      userId,
+    ]);
+
+    const sql = `
+      INSERT INTO idempotency_keys (user_id, key, fingerprint, expires_at)
+      VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+      ON CONFLICT (user_id, key) DO NOTHING
+      RETURNING key
+    `;
+
+    const result = await query(sql, [userId, key, fingerprint, ttlSeconds]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Find an unexpired key
+   * @param {string} userId - User ID
+   * @param {string} key - Idempotency key
+   * @returns {Promise<object|null>} Key with its stored response, or null
+   */
+  static async find(userId, key) {
+    const sql = `
+      SELECT user_id, key, fingerprint, response_status, response_body, created_at, expires_at
+      FROM idempotency_keys
+      WHERE user_id = $1 AND key = $2 AND expires_at > NOW()
+    `;
+
+    const result = await query(sql, [userId, key]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store the response of a claimed key
+   * @param {string} userId - User ID
+   * @param {string} key - Idempotency key
+   * @param {number} status - HTTP status
+   * @param {object} body - JSON response body
+   */
+  static async complete(userId, key, status, body) {
+    const sql = `
+      UPDATE idempotency_keys
+      SET response_status = $3, response_body = $4
+      WHERE user_id = $1 AND key = $2
+    `;
+
+    await query(sql, [userId, key, status, JSON.stringify(body)]);
+  }
+
+  /**
+   * Release a claimed key without a response, so the request can be retried
+   * @param {string} userId - User ID
+   * @param {string} key - Idempotency key
+   */
+  static async release(userId, key) {
+    const sql = `
+      DELETE FROM idempotency_keys
+      WHERE user_id = $1 AND key = $2 AND response_status IS NULL
+    `;
+
+    await query(sql, [userId, key]);
+  }
+}
+
+module.exports = IdempotencyKey;
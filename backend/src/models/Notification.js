@@ -0,0 +1,100 @@
+/**
+ * Notification Model
+ * Database operations for user notifications
+ */
+
+const { query } = require('../config/database');
+
+class Notification {
+  /**
+   * Create a notification
+   * @param {object} notificationData - { userId, type, data }
+   * @returns {Promise<object>} Created notification
+   */
+  static async create(notificationData) {
+    const { userId, type, data = {} } = notificationData;
+
+    const sql = `
+      INSERT INTO notifications (user_id, type, data)
+      VALUES ($1, $2, $3)
+      RETURNING id, user_id, type, data, is_read, read_at, created_at
+    `;
+
+    const result = await query(sql, [userId, type, JSON.stringify(data)]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {object} options - { unreadOnly, limit, offset }
+   * @returns {Promise<Array>} Notifications
+   */
+  static async findByUserId(userId, options = {}) {
+    const { unreadOnly = false, limit = 50, offset = 0 } = options;
+
+    const sql = `
+      SELECT id, user_id, type, data, is_read, read_at, created_at
+      FROM notifications
+      WHERE user_id = $1
+      ${unreadOnly ? 'AND is_read = false' : ''}
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await query(sql, [userId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unread count
+   */
+  static async countUnread(userId) {
+    const sql = `
+      SELECT COUNT(*) as count
+      FROM notifications
+      WHERE user_id = $1 AND is_read = false
+    `;
+
+    const result = await query(sql, [userId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {string} id - Notification ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<object|null>} Updated notification, or null if not the user's
+   */
+  static async markRead(id, userId) {
+    const sql = `
+      UPDATE notifications
+      SET is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, user_id, type, data, is_read, read_at, created_at
+    `;
+
+    const result = await query(sql, [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  static async markAllRead(userId) {
+    const sql = `
+      UPDATE notifications
+      SET is_read = true, read_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND is_read = false
+    `;
+
+    const result = await query(sql, [userId]);
+    return result.rowCount;
+  }
+}
+
+module.exports = Notification;
@@ -31,7 +31,11 @@ class Score {
       metadata,
     } = scoreData;
 
+    // previous_status lets callers detect status transitions (e.g. a game going final)
     const sql = `
+      WITH previous AS (
+        SELECT status FROM scores WHERE game_id = $1
+      )
       INSERT INTO scores (
         game_id, sport_type, home_team, away_team,
         home_team_logo, away_team_logo, home_score, away_score,
@@ -54,7 +58,8 @@ class Score {
                 home_team_logo, away_team_logo, home_score, away_score,
                 status, period, time_remaining,
                 scheduled_at, started_at, completed_at, venue, metadata,
-                last_updated, created_at
+                last_updated, created_at,
+                (SELECT status FROM previous) as previous_status
     `;
 
     const values = [
@@ -235,6 +240,36 @@ class Score {
     return result.rows;
   }
 
+  /**
+   * Find final games that still have pending gradeable bets
+   * These are games whose settlement failed when they went final.
+   * @param {string} sportType - Sport type
+   * @returns {Promise<Array>} Scores
+   */
+  static async findFinalWithPendingBets(sportType) {
+    const sql = `
+      SELECT id, game_id, sport_type, home_team, away_team,
+             home_team_logo, away_team_logo, home_score, away_score,
+             status, period, time_remaining,
+             scheduled_at, started_at, completed_at, venue, metadata,
+             last_updated, created_at
+      FROM scores s
+      WHERE sport_type = $1
+        AND status = 'final'
+        AND EXISTS (
+          SELECT 1 FROM bets b
+          WHERE b.game_id = s.game_id
+            AND b.status = 'pending'
+            AND b.market IS NOT NULL
+            AND NOT b.is_historical
+        )
+      ORDER BY completed_at ASC
+    `;
+
+    const result = await query(sql, [sportType]);
+    return result.rows;
+  }
+
   /**
    * Delete old scores
    * @param {number} days - Days to keep
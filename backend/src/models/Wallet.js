@@ -0,0 +1,127 @@
+/**
+ * Wallet Model
+ * Database operations for play-money wallets and their ledger
+ */
+
+const { query } = require('../config/database');
+
+class Wallet {
+  /**
+   * Create a wallet for a user (no-op if one exists)
+   * @param {string} userId - User ID
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @returns {Promise<object|null>} Created wallet, or null if it already existed
+   */
+  static async create(userId, client = null) {
+    const sql = `
+      INSERT INTO wallets (user_id)
+      VALUES ($1)
+      ON CONFLICT (user_id) DO NOTHING
+      RETURNING id, user_id, balance, created_at, updated_at
+    `;
+
+    const result = client ? await client.query(sql, [userId]) : await query(sql, [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find wallet by user ID
+   * @param {string} userId - User ID
+   * @param {object} client - Optional pool client to run inside a transaction
+   * @param {boolean} forUpdate - Lock the row until the transaction ends
+   * @returns {Promise<object|null>} Wallet or null
+   */
+  static async findByUserId(userId, client = null, forUpdate = false) {
+    const sql = `
+      SELECT id, user_id, balance, created_at, updated_at
+      FROM wallets
+      WHERE user_id = $1
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `;
+
+    const result = client ? await client.query(sql, [userId]) : await query(sql, [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Apply a signed amount to a wallet and append it to the ledger
+   * @param {string} walletId - Wallet ID
+   * @param {object} entry - Ledger entry { type, amount, betId, description, createdBy }
+   * @param {object} client - Pool client of the surrounding transaction
+   * @returns {Promise<object>} Ledger entry
+   */
+  static async applyTransaction(walletId, entry, client) {
+    const { type, amount, betId, description, createdBy } = entry;
+
+    const updateSql = `
+      UPDATE wallets
+      SET balance = balance + $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING balance
+    `;
+
+    const updated = await client.query(updateSql, [amount, walletId]);
+
+    const insertSql = `
+      INSERT INTO wallet_transactions (
+        wallet_id, bet_id, type, amount, balance_after, description, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, wallet_id, bet_id, type, amount, balance_after,
+                description, created_by, created_at
+    `;
+
+    const values = [
+      walletId,
+      betId || null,
+      type,
+      amount,
+      updated.rows[0].balance,
+      description || null,
+      createdBy || null,
+    ];
+
+    const result = await client.query(insertSql, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Find ledger entries for a wallet
+   * @param {string} walletId - Wallet ID
+   * @param {object} options - Query options
+   * @returns {Promise<Array>} Ledger entries, newest first
+   */
+  static async findTransactions(walletId, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+
+    const sql = `
+      SELECT id, wallet_id, bet_id, type, amount, balance_after,
+             description, created_by, created_at
+      FROM wallet_transactions
+      WHERE wallet_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await query(sql, [walletId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get ledger entry count for a wallet
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<number>} Entry count
+   */
+  static async getTransactionCount(walletId) {
+    const sql = `
+      SELECT COUNT(*) as count
+      FROM wallet_transactions
+      WHERE wallet_id = $1
+    `;
+
+    const result = await query(sql, [walletId]);
+    return parseInt(result.rows[0].count);
+  }
+}
+
+module.exports = Wallet;
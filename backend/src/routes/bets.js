@@ -9,6 +9,7 @@ const BetController = require('../controllers/betController');
 const { authenticate } = require('../middleware/auth');
 const { requireFields, sanitizeBody } = require('../middleware/validator');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { idempotent } = require('../middleware/idempotency');
 
 // All bet routes require authentication
 router.use(authenticate);
@@ -16,48 +17,116 @@ router.use(authenticate);
 // Create bet
 router.post(
   '/',
+  idempotent,
   sanitizeBody,
-  requireFields([
-    'gameId',
-    'sportType',
-    'homeTeam',
-    'awayTeam',
-    'gameDate',
-    'betType',
-    'betDetails',
-    'predictedOutcome',
-  ]),
+  requireFields(['gameId', 'market']),
   asyncHandler(BetController.create)
 );
 
+// Parlays
+router.post(
+  '/parlays',
+  idempotent,
+  sanitizeBody,
+  requireFields(['legs']),
+  asyncHandler(BetController.createParlay)
+);
+
+router.get('/parlays', asyncHandler(BetController.getMyParlays));
+
+router.get('/parlays/:id', asyncHandler(BetController.getParlayById));
+
 // Get current user's bets
 router.get('/my/bets', asyncHandler(BetController.getMyBets));
 
 // Get current user's statistics
 router.get('/my/stats', asyncHandler(BetController.getMyStats));
 
+// Export and import bet history
+router.get('/my/export', asyncHandler(BetController.exportMyBets));
+
+router.post(
+  '/my/import',
+  sanitizeBody,
+  requireFields(['format', 'data']),
+  asyncHandler(BetController.importMyBets)
+);
+
+// Verify a user's receipt chain
+router.get('/receipts/verify', asyncHandler(BetController.verifyReceipts));
+
 // Get bets for a group
 router.get('/group/:groupId', asyncHandler(BetController.getGroupBets));
 
+// Get group consensus picks and their record
+router.get('/group/:groupId/consensus', asyncHandler(BetController.getGroupConsensus));
+
 // Get bets for a game
 router.get('/game/:gameId', asyncHandler(BetController.getGameBets));
 
+// Get consensus of public picks on a game
+router.get('/game/:gameId/consensus', asyncHandler(BetController.getGameConsensus));
+
 // Get bet by ID
 router.get('/:id', asyncHandler(BetController.getById));
 
+// Get bet revision history
+router.get('/:id/revisions', asyncHandler(BetController.getRevisions));
+
+// Get bet receipts
+router.get('/:id/receipts', asyncHandler(BetController.getReceipts));
+
+// Bet comments
+router.get('/:id/comments', asyncHandler(BetController.getComments));
+router.post(
+  '/:id/comments',
+  sanitizeBody,
+  requireFields(['content']),
+  asyncHandler(BetController.addComment)
+);
+router.delete('/:id/comments/:commentId', asyncHandler(BetController.deleteComment));
+
+// Bet reactions
+router.get('/:id/reactions', asyncHandler(BetController.getReactions));
+router.post('/:id/reactions', requireFields(['emoji']), asyncHandler(BetController.addReaction));
+router.delete('/:id/reactions/:emoji', asyncHandler(BetController.removeReaction));
+
+// Bet disputes
+router.get('/:id/disputes', asyncHandler(BetController.getDisputes));
+router.post(
+  '/:id/disputes',
+  sanitizeBody,
+  requireFields(['reason']),
+  asyncHandler(BetController.openDispute)
+);
+router.post(
+  '/:id/disputes/:disputeId/resolve',
+  sanitizeBody,
+  requireFields(['action']),
+  asyncHandler(BetController.resolveDispute)
+);
+
+// Bet shares
+router.get('/:id/shares', asyncHandler(BetController.getShares));
+router.post('/:id/shares', requireFields(['groupId']), asyncHandler(BetController.share));
+router.delete('/:id/shares/:groupId', asyncHandler(BetController.unshare));
+
 // Update bet
 router.patch('/:id', sanitizeBody, asyncHandler(BetController.update));
 
 // Resolve bet
 router.post(
   '/:id/resolve',
-  requireFields(['actualOutcome', 'isCorrect']),
+  requireFields(['actualOutcome']),
   asyncHandler(BetController.resolve)
 );
 
 // Cancel bet
 router.post('/:id/cancel', asyncHandler(BetController.cancel));
 
+// Tail (copy) another user's bet
+router.post('/:id/tail', sanitizeBody, asyncHandler(BetController.tail));
+
 // Delete bet
 router.delete('/:id', asyncHandler(BetController.delete));
 
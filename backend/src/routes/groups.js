@@ -9,6 +9,7 @@ const GroupController = require('../controllers/groupController');
 const { authenticate } = require('../middleware/auth');
 const { requireFields, sanitizeBody } = require('../middleware/validator');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { idempotent } = require('../middleware/idempotency');
 
 // All group routes require authentication
 router.use(authenticate);
@@ -32,7 +33,7 @@ router.patch('/:id', sanitizeBody, asyncHandler(GroupController.update));
 router.delete('/:id', asyncHandler(GroupController.delete));
 
 // Group membership
-router.post('/:id/join', asyncHandler(GroupController.join));
+router.post('/:id/join', sanitizeBody, asyncHandler(GroupController.join));
 
 router.post('/:id/leave', asyncHandler(GroupController.leave));
 
@@ -46,9 +47,35 @@ router.patch(
 
 router.delete('/:id/members/:userId', asyncHandler(GroupController.removeMember));
 
+router.post(
+  '/:id/transfer-ownership',
+  requireFields(['newOwnerId']),
+  asyncHandler(GroupController.transferOwnership)
+);
+
+// Join requests
+router.post('/:id/join-requests', sanitizeBody, asyncHandler(GroupController.requestToJoin));
+
+router.get('/:id/join-requests', asyncHandler(GroupController.getJoinRequests));
+
+router.post(
+  '/:id/join-requests/:requestId/approve',
+  asyncHandler(GroupController.approveJoinRequest)
+);
+
+router.post('/:id/join-requests/:requestId/deny', asyncHandler(GroupController.denyJoinRequest));
+
+// Group invites
+router.get('/:id/invites', asyncHandler(GroupController.getInvites));
+
+router.post('/:id/invites', sanitizeBody, asyncHandler(GroupController.createInvite));
+
+router.delete('/:id/invites/:inviteId', asyncHandler(GroupController.revokeInvite));
+
 // Group messages
 router.post(
   '/:id/messages',
+  idempotent,
   sanitizeBody,
   requireFields(['content']),
   asyncHandler(GroupController.sendMessage)
@@ -67,4 +94,22 @@ router.patch(
 
 router.delete('/:groupId/messages/:messageId', asyncHandler(GroupController.deleteMessage));
 
+// Leaderboard
+router.get('/:id/leaderboard', asyncHandler(GroupController.getLeaderboard));
+
+// Seasons
+router.get('/:id/seasons', asyncHandler(GroupController.getSeasons));
+
+router.post(
+  '/:id/seasons',
+  sanitizeBody,
+  requireFields(['name', 'startsAt', 'endsAt']),
+  asyncHandler(GroupController.createSeason)
+);
+
+router.get('/:id/seasons/:seasonId', asyncHandler(GroupController.getSeason));
+
+// Bet disputes
+router.get('/:id/disputes', asyncHandler(GroupController.getDisputes));
+
 module.exports = router;
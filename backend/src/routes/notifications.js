@@ -0,0 +1,24 @@
+/**
+ * Notification Routes
+ * /api/notifications endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const NotificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// All notification routes require authentication
+router.use(authenticate);
+
+// Get current user's notifications
+router.get('/', asyncHandler(NotificationController.getMyNotifications));
+
+// Mark all notifications as read
+router.post('/read-all', asyncHandler(NotificationController.markAllRead));
+
+// Mark a notification as read
+router.post('/:id/read', asyncHandler(NotificationController.markRead));
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Wallet Routes
+ * /api/wallet endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const WalletController = require('../controllers/walletController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { requireFields, sanitizeBody } = require('../middleware/validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// All wallet routes require authentication
+router.use(authenticate);
+
+// Get current user's balance and history
+router.get('/', asyncHandler(WalletController.getMyWallet));
+
+// Admin balance adjustment
+router.post(
+  '/adjustments',
+  requireAdmin,
+  sanitizeBody,
+  requireFields(['userId', 'amount', 'reason']),
+  asyncHandler(WalletController.adjust)
+);
+
+module.exports = router;
@@ -4,76 +4,391 @@
  */
 
 const Bet = require('../models/Bet');
+const BetRevision = require('../models/BetRevision');
+const BetShare = require('../models/BetShare');
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+const Score = require('../models/Score');
+const ReceiptService = require('./receiptService');
+const ScoreService = require('./scoreService');
+const SettlementService = require('./settlementService');
+const StatsService = require('./statsService');
+const WalletService = require('./walletService');
+const { transaction } = require('../config/database');
+const { validateMarket, describeMarket } = require('../utils/markets');
+const { validateOdds, combineDecimalOdds } = require('../utils/odds');
+const { parseCsvRecords } = require('../utils/csv');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+// Page size of bet listings
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Maximum number of legs in a parlay
+const MAX_PARLAY_LEGS = 10;
+
+// Results a bet can be manually resolved to
+const RESOLUTION_STATUSES = ['won', 'lost', 'push', 'void'];
+
+// Score statuses after which a game no longer takes bets
+const STARTED_GAME_STATUSES = ['live', 'halftime', 'final'];
+
+// Columns of a bet history export, in order
+const EXPORT_COLUMNS = [
+  'id',
+  'created_at',
+  'group_id',
+  'game_id',
+  'sport_type',
+  'home_team',
+  'away_team',
+  'game_date',
+  'bet_type',
+  'market',
+  'predicted_outcome',
+  'odds_format',
+  'odds_value',
+  'odds_decimal',
+  'implied_probability',
+  'confidence_level',
+  'stake',
+  'status',
+  'actual_outcome',
+  'is_correct',
+  'void_reason',
+  'resolved_at',
+  'notes',
+  'is_public',
+];
+
+// Bet fields whose previous values are kept when they change
+const REVISION_FIELDS = [
+  'bet_type',
+  'market',
+  'predicted_outcome',
+  'confidence_level',
+  'notes',
+  'is_public',
+];
+
+// Bets fetched per query while exporting
+const EXPORT_BATCH_SIZE = 200;
+
+// Maximum number of rows in one import
+const MAX_IMPORT_ROWS = 500;
 
 class BetService {
   /**
    * Create a new bet
    * @param {string} userId - User ID
    * @param {object} betData - Bet data
+   * @param {object} options - See validateBet
    * @returns {Promise<object>} Created bet
    */
-  static async createBet(userId, betData) {
+  static async createBet(userId, betData, options = {}) {
+    const prepared = await this.validateBet(userId, betData, options);
+
+    // Create bet, issue its receipt and reserve its stake atomically
+    return await transaction(async (client) => {
+      const bet = await Bet.create(prepared, client);
+      bet.receipt = await ReceiptService.issueReceipt(bet.id, 'placed', client);
+
+      if (bet.group_id) {
+        await BetShare.add(bet.id, bet.group_id, userId, client);
+      }
+
+      if (bet.stake) {
+        await WalletService.reserveStake(bet, client);
+      }
+
+      return bet;
+    });
+  }
+
+  /**
+   * Validate a new bet without creating it
+   * Applies every createBet rule except the wallet balance check.
+   * With `allowHistorical` (imports), a pick on a game that has already
+   * started is accepted as a historical bet instead. It must carry its
+   * recorded `result` and is created with it, is never graded, stays private,
+   * drops its stake and group, and is left out of every statistic.
+   * @param {string} userId - User ID
+   * @param {object} betData - Bet data
+   * @param {object} options - { allowHistorical }
+   * @returns {Promise<object>} Normalized data for Bet.create
+   */
+  static async validateBet(userId, betData, options = {}) {
     const {
       groupId,
-      gameId,
-      sportType,
-      homeTeam,
-      awayTeam,
-      gameDate,
-      betType,
       betDetails,
-      predictedOutcome,
       confidenceLevel,
       notes,
       isPublic,
+      stake,
+      tailedFromBetId,
+      tailedFromUserId,
     } = betData;
 
-    // Validate required fields
-    if (!gameId || !sportType || !homeTeam || !awayTeam || !gameDate) {
-      throw new Error('Missing required game information');
-    }
-
-    if (!betType || !betDetails || !predictedOutcome) {
-      throw new Error('Missing required bet information');
-    }
-
-    // Validate sport type
-    const validSports = ['football', 'basketball', 'baseball', 'soccer', 'hockey', 'other'];
-    if (!validSports.includes(sportType)) {
-      throw new Error('Invalid sport type');
-    }
+    const selection = await this._validateSelection(betData);
 
     // Validate confidence level if provided
     if (confidenceLevel !== undefined && (confidenceLevel < 1 || confidenceLevel > 5)) {
       throw new Error('Confidence level must be between 1 and 5');
     }
 
-    // Validate game date
-    const gameDateTime = new Date(gameDate);
-    if (isNaN(gameDateTime.getTime())) {
-      throw new Error('Invalid game date');
+    if (stake !== undefined && stake !== null) {
+      WalletService.validateStake(stake);
     }
 
-    // Create bet
-    const bet = await Bet.create({
+    if (options.allowHistorical && (await this._hasStarted(selection))) {
+      if (!RESOLUTION_STATUSES.includes(betData.result)) {
+        const allowed = RESOLUTION_STATUSES.join(', ');
+        throw new Error(
+          JSON.stringify({ status: [`Game has already started; status must be one of: ${allowed}`] })
+        );
+      }
+
+      return {
+        userId,
+        ...selection,
+        betDetails,
+        confidenceLevel,
+        notes,
+        isPublic: false,
+        isHistorical: true,
+        status: betData.result,
+      };
+    }
+
+    await this._assertGroupMember(groupId, userId);
+    await this._assertBettingOpen([selection], groupId);
+
+    return {
       userId,
       groupId,
-      gameId,
-      sportType,
-      homeTeam,
-      awayTeam,
-      gameDate: gameDateTime,
-      betType,
+      ...selection,
+      betDetails,
+      confidenceLevel,
+      notes,
+      isPublic,
+      stake,
+      tailedFromBetId,
+      tailedFromUserId,
+    };
+  }
+
+  /**
+   * Create a parlay from several picks on different games
+   * @param {string} userId - User ID
+   * @param {object} parlayData - Parlay data with `legs`
+   * @returns {Promise<object>} Created parlay with legs
+   */
+  static async createParlay(userId, parlayData) {
+    const {
+      groupId,
+      legs,
+      odds,
       betDetails,
-      predictedOutcome,
       confidenceLevel,
       notes,
       isPublic,
+      stake,
+      tailedFromBetId,
+      tailedFromUserId,
+    } = parlayData;
+
+    if (!Array.isArray(legs) || legs.length < 2) {
+      throw new Error('A parlay needs at least 2 legs');
+    }
+
+    if (legs.length > MAX_PARLAY_LEGS) {
+      throw new Error(`A parlay can have at most ${MAX_PARLAY_LEGS} legs`);
+    }
+
+    // Validate confidence level if provided
+    if (confidenceLevel !== undefined && (confidenceLevel < 1 || confidenceLevel > 5)) {
+      throw new Error('Confidence level must be between 1 and 5');
+    }
+
+    if (stake !== undefined && stake !== null) {
+      WalletService.validateStake(stake);
+    }
+
+    // Each leg follows the same rules as a single bet
+    const selections = [];
+    for (const leg of legs) {
+      selections.push(await this._validateSelection(leg));
+    }
+
+    const gameIds = new Set(selections.map((leg) => leg.gameId));
+    if (gameIds.size !== selections.length) {
+      throw new Error('Parlay legs must be on different games');
+    }
+
+    await this._assertGroupMember(groupId, userId);
+    await this._assertBettingOpen(selections, groupId);
+
+    const sports = new Set(selections.map((leg) => leg.sportType));
+    const firstGameDate = new Date(Math.min(...selections.map((leg) => leg.gameDate.getTime())));
+
+    // Explicit parlay odds win; otherwise combine the legs' odds when all have them
+    let parlayOdds = this._validateOdds(odds);
+    if (!parlayOdds && selections.every((leg) => leg.odds)) {
+      const decimal = combineDecimalOdds(selections.map((leg) => leg.odds.decimal));
+      parlayOdds = { decimal, format: 'decimal', value: String(decimal) };
+    }
+
+    // The stake is carried by the parlay, not its legs
+    return await transaction(async (client) => {
+      const parlay = await Bet.createParlay(
+        {
+          userId,
+          groupId,
+          sportType: sports.size === 1 ? selections[0].sportType : 'other',
+          gameDate: firstGameDate,
+          betType: 'parlay',
+          market: { type: 'parlay', legs: selections.length },
+          betDetails,
+          predictedOutcome: `${selections.length}-leg parlay: ${selections
+            .map((leg) => leg.predictedOutcome)
+            .join(', ')}`,
+          confidenceLevel,
+          notes,
+          isPublic,
+          stake,
+          odds: parlayOdds,
+          tailedFromBetId,
+          tailedFromUserId,
+        },
+        selections.map((leg) => ({ ...leg, userId, groupId, isPublic })),
+        client
+      );
+
+      if (parlay.group_id) {
+        await BetShare.add(parlay.id, parlay.group_id, userId, client);
+      }
+
+      parlay.receipt = await ReceiptService.issueReceipt(parlay.id, 'placed', client);
+      for (const leg of parlay.legs) {
+        leg.receipt = await ReceiptService.issueReceipt(leg.id, 'placed', client);
+      }
+
+      if (parlay.stake) {
+        await WalletService.reserveStake(parlay, client);
+      }
+
+      return parlay;
     });
+  }
+
+  /**
+   * Get a parlay with its legs
+   * @param {string} parlayId - Parlay bet ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<object>} Parlay with legs
+   */
+  static async getParlay(parlayId, userId) {
+    const bet = await this.getBet(parlayId, userId);
+
+    if (bet.bet_type !== 'parlay') {
+      throw new Error('Parlay not found');
+    }
 
     return bet;
   }
 
+  /**
+   * Tail (copy) another user's public bet onto the caller's account
+   * The copy takes the source's game, market and odds; the caller picks
+   * their own group, stake, confidence and notes. Parlays are copied leg
+   * by leg, and every normal bet rule applies to the new bet.
+   * @param {string} betId - Source bet ID
+   * @param {string} userId - Tailing user ID
+   * @param {object} options - { groupId, stake, confidenceLevel, notes, isPublic }
+   * @returns {Promise<object>} Created bet
+   */
+  static async tailBet(betId, userId, options = {}) {
+    const source = await this.getBet(betId, userId);
+
+    if (source.user_id === userId) {
+      throw new Error('You cannot tail your own bet');
+    }
+
+    if (source.parent_bet_id) {
+      throw new Error('Parlay legs cannot be tailed');
+    }
+
+    if (source.status !== 'pending') {
+      throw new Error('Only pending bets can be tailed');
+    }
+
+    if (await Bet.hasTailed(source.id, userId)) {
+      throw new Error('You have already tailed this bet');
+    }
+
+    // Tails land in the source's group when the caller is a member of it
+    let groupId = options.groupId;
+    if (groupId === undefined && source.group_id) {
+      groupId = (await GroupMember.isMember(source.group_id, userId)) ? source.group_id : null;
+    } else if (groupId && !(await GroupMember.isMember(groupId, userId))) {
+      throw new Error('Not a member of this group');
+    }
+
+    const betData = {
+      groupId,
+      odds: this._oddsOf(source),
+      confidenceLevel: options.confidenceLevel,
+      notes: options.notes,
+      isPublic: options.isPublic,
+      stake: options.stake,
+      tailedFromBetId: source.id,
+      tailedFromUserId: source.user_id,
+    };
+
+    if (source.bet_type === 'parlay') {
+      return await this.createParlay(userId, {
+        ...betData,
+        legs: source.legs.map((leg) => ({
+          gameId: leg.game_id,
+          market: leg.market,
+          odds: this._oddsOf(leg),
+        })),
+      });
+    }
+
+    if (!source.market) {
+      throw new Error('Legacy bets cannot be tailed');
+    }
+
+    return await this.createBet(userId, {
+      ...betData,
+      gameId: source.game_id,
+      market: source.market,
+    });
+  }
+
+  /**
+   * Get user's parlays
+   * @param {string} userId - User ID
+   * @param {object} filters - Optional listing filters
+   * @returns {Promise<object>} Parlays with legs and paging metadata
+   */
+  static async getUserParlays(userId, filters = {}) {
+    const listing = this._listingFilters({ ...filters, betType: 'parlay' });
+
+    const rows = await Bet.findByUserId(userId, { ...listing, limit: listing.limit + 1 });
+    const total = await Bet.countByUserId(userId, listing);
+
+    const { items: parlays, nextCursor } = this._paginate(rows, listing.limit);
+
+    return {
+      parlays,
+      count: parlays.length,
+      total,
+      nextCursor,
+    };
+  }
+
   /**
    * Get bet by ID
    * @param {string} betId - Bet ID
@@ -92,40 +407,58 @@ class BetService {
       throw new Error('Access denied');
     }
 
+    if (bet.bet_type === 'parlay') {
+      bet.legs = await Bet.findLegs([bet.id]);
+    }
+
     return bet;
   }
 
   /**
    * Get user's bets
    * @param {string} userId - User ID
-   * @param {object} filters - Optional filters
+   * @param {object} filters - Optional listing filters
    * @returns {Promise<object>} Bets and metadata
    */
   static async getUserBets(userId, filters = {}) {
-    const bets = await Bet.findByUserId(userId, filters);
+    const listing = this._listingFilters(filters);
+
+    const rows = await Bet.findByUserId(userId, { ...listing, limit: listing.limit + 1 });
+    const total = await Bet.countByUserId(userId, listing);
     const stats = await Bet.getUserStats(userId);
     const sportStats = await Bet.getStatsBySport(userId);
 
+    const { items: bets, nextCursor } = this._paginate(rows, listing.limit);
+
     return {
       bets,
       stats,
       sportStats,
       count: bets.length,
+      total,
+      nextCursor,
     };
   }
 
   /**
    * Get group bets
    * @param {string} groupId - Group ID
-   * @param {object} filters - Optional filters
+   * @param {object} filters - Optional listing filters
    * @returns {Promise<object>} Bets and metadata
    */
   static async getGroupBets(groupId, filters = {}) {
-    const bets = await Bet.findByGroupId(groupId, filters);
+    const listing = this._listingFilters(filters);
+
+    const rows = await Bet.findByGroupId(groupId, { ...listing, limit: listing.limit + 1 });
+    const total = await Bet.countByGroupId(groupId, listing);
+
+    const { items: bets, nextCursor } = this._paginate(rows, listing.limit);
 
     return {
       bets,
       count: bets.length,
+      total,
+      nextCursor,
     };
   }
 
@@ -171,24 +504,163 @@ class BetService {
       throw new Error('Only pending bets can be updated');
     }
 
+    if (currentBet.parent_bet_id) {
+      throw new Error('Parlay legs cannot be changed individually');
+    }
+
+    await this._assertBetOpen(currentBet);
+
     // Validate confidence level if updating
     if (updates.confidenceLevel && (updates.confidenceLevel < 1 || updates.confidenceLevel > 5)) {
       throw new Error('Confidence level must be between 1 and 5');
     }
 
-    const updatedBet = await Bet.update(betId, updates);
-    return updatedBet;
+    // Structured bets change their prediction through the market
+    if (updates.predicted_outcome !== undefined && !currentBet.is_legacy) {
+      throw new Error('Structured bets are updated through their market');
+    }
+
+    if (updates.market !== undefined) {
+      if (currentBet.is_legacy) {
+        throw new Error('Legacy bets cannot be given a market');
+      }
+
+      const game = { homeTeam: currentBet.home_team, awayTeam: currentBet.away_team };
+      const marketValidation = validateMarket(updates.market, game);
+      if (!marketValidation.valid) {
+        throw new Error(JSON.stringify({ market: marketValidation.errors }));
+      }
+
+      updates.market = marketValidation.market;
+      updates.bet_type = marketValidation.market.type;
+      updates.predicted_outcome = describeMarket(marketValidation.market, game);
+    }
+
+    // Update and record the previous values atomically
+    return await transaction(async (client) => {
+      const lockedBet = await Bet.findById(betId, false, client, true);
+      const previousValues = this._changedValues(lockedBet, updates);
+
+      const updatedBet = await Bet.update(betId, updates, client);
+
+      if (Object.keys(previousValues).length > 0) {
+        await BetRevision.create({ betId, changedBy: userId, previousValues }, client);
+      }
+
+      await ReceiptService.recordUpdate(betId, client);
+
+      return updatedBet;
+    });
+  }
+
+  /**
+   * Share a bet with another group
+   * Shares follow the bet lock of the target group, so a pick cannot be
+   * shown to a group once its games are locked there.
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Bet owner ID
+   * @param {string} groupId - Group to share with
+   * @returns {Promise<object>} Created share
+   */
+  static async shareBet(betId, userId, groupId) {
+    const bet = await this._findSharableBet(betId, userId);
+
+    await this._assertGroupMember(groupId, userId);
+    await this._assertBetOpen(bet, groupId);
+
+    const share = await BetShare.add(betId, groupId, userId);
+    if (!share) {
+      throw new Error('Bet is already shared with this group');
+    }
+
+    return share;
+  }
+
+  /**
+   * Stop sharing a bet with a group
+   * Like sharing, this is only possible until the group's bet lock, so
+   * losing picks cannot be hidden after the fact.
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Bet owner ID
+   * @param {string} groupId - Group to stop sharing with
+   */
+  static async unshareBet(betId, userId, groupId) {
+    const bet = await this._findSharableBet(betId, userId);
+
+    if (bet.group_id === groupId) {
+      throw new Error('A bet cannot be unshared from the group it was placed in');
+    }
+
+    await this._assertBetOpen(bet, groupId);
+
+    const removed = await BetShare.remove(betId, groupId);
+    if (!removed) {
+      throw new Error('Bet is not shared with this group');
+    }
+  }
+
+  /**
+   * Get the groups a bet is shared with
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<object>} Shares, oldest first
+   */
+  static async getBetShares(betId, userId) {
+    // Same access rules as viewing the bet
+    await this.getBet(betId, userId);
+
+    const shares = await BetShare.findByBetId(betId);
+
+    return {
+      shares,
+      count: shares.length,
+    };
+  }
+
+  /**
+   * Get the revision history of a bet
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<object>} Revisions, oldest first
+   */
+  static async getBetRevisions(betId, userId) {
+    // Same access rules as viewing the bet
+    await this.getBet(betId, userId);
+
+    const revisions = await BetRevision.findByBetId(betId);
+
+    return {
+      revisions,
+      count: revisions.length,
+    };
   }
 
   /**
-   * Resolve bet (mark as won/lost)
+   * Get the receipts of a bet
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<object>} Receipts and whether the bet still matches them
+   */
+  static async getBetReceipts(betId, userId) {
+    // Same access rules as viewing the bet
+    await this.getBet(betId, userId);
+
+    return await ReceiptService.getBetReceipts(betId);
+  }
+
+  /**
+   * Resolve bet manually (mark as won, lost, push or void)
    * @param {string} betId - Bet ID
    * @param {string} userId - User ID
-   * @param {string} actualOutcome - Actual game outcome
-   * @param {boolean} isCorrect - Whether bet was correct
+   * @param {string} actualOutcome - Actual game outcome (the reason, for voids)
+   * @param {string} result - 'won', 'lost', 'push' or 'void'
    * @returns {Promise<object>} Updated bet
    */
-  static async resolveBet(betId, userId, actualOutcome, isCorrect) {
+  static async resolveBet(betId, userId, actualOutcome, result) {
+    if (!RESOLUTION_STATUSES.includes(result)) {
+      throw new Error('Invalid bet result');
+    }
+
     // Check if bet exists and user owns it
     const isOwner = await Bet.isOwner(betId, userId);
     if (!isOwner) {
@@ -206,7 +678,30 @@ class BetService {
       throw new Error('Only pending bets can be resolved');
     }
 
-    const resolvedBet = await Bet.resolve(betId, actualOutcome, isCorrect);
+    if (currentBet.bet_type === 'parlay') {
+      throw new Error('Parlays are resolved from their legs');
+    }
+
+    // Manual resolution is a fallback for bets the settlement engine cannot grade
+    const isAutoGradeable = await SettlementService.isAutoGradeable(currentBet);
+    if (isAutoGradeable) {
+      throw new Error('Bet is settled automatically when the game is final');
+    }
+
+    const resolvedBet = await SettlementService.resolveBet(betId, {
+      status: result,
+      actualOutcome,
+      voidReason: result === 'void' ? actualOutcome : null,
+    });
+    if (!resolvedBet) {
+      throw new Error('Only pending bets can be resolved');
+    }
+
+    // A resolved leg may complete its parlay
+    if (currentBet.parent_bet_id) {
+      await SettlementService.settleParlay(currentBet.parent_bet_id);
+    }
+
     return resolvedBet;
   }
 
@@ -223,12 +718,31 @@ class BetService {
       throw new Error('Bet not found or access denied');
     }
 
-    const cancelledBet = await Bet.cancel(betId);
-    if (!cancelledBet) {
-      throw new Error('Bet cannot be cancelled (already resolved or cancelled)');
+    const currentBet = await Bet.findById(betId);
+    if (currentBet && currentBet.parent_bet_id) {
+      throw new Error('Parlay legs cannot be changed individually');
+    }
+
+    // A pending bet cannot be pulled once its result is being decided
+    if (currentBet && currentBet.status === 'pending') {
+      await this._assertBetOpen(currentBet);
     }
 
-    return cancelledBet;
+    // Cancel and refund the stake atomically
+    return await transaction(async (client) => {
+      const cancelledBet = await Bet.cancel(betId, client);
+      if (!cancelledBet) {
+        throw new Error('Bet cannot be cancelled (already resolved or cancelled)');
+      }
+
+      if (cancelledBet.bet_type === 'parlay') {
+        await Bet.cancelLegs(betId, client);
+      }
+
+      await WalletService.settleStake(cancelledBet, client);
+
+      return cancelledBet;
+    });
   }
 
   /**
@@ -255,7 +769,151 @@ class BetService {
       throw new Error('Only pending or cancelled bets can be deleted');
     }
 
-    await Bet.delete(betId);
+    if (currentBet.parent_bet_id) {
+      throw new Error('Parlay legs cannot be changed individually');
+    }
+
+    if (currentBet.status === 'pending') {
+      await this._assertBetOpen(currentBet);
+    }
+
+    // Deleting a parlay cascades to its legs; a pending stake is refunded first
+    await transaction(async (client) => {
+      if (currentBet.status === 'pending') {
+        await WalletService.refundStake(currentBet, client);
+      }
+
+      await Bet.delete(betId, client);
+    });
+  }
+
+  /**
+   * Iterate over a user's bets in batches, newest first
+   * Used by the export so large histories are never loaded at once.
+   * @param {string} userId - User ID
+   * @param {object} filters - Same listing filters as getUserBets (limit/cursor ignored)
+   * @returns {AsyncGenerator<object>} Bets
+   */
+  static async *iterateUserBets(userId, filters = {}) {
+    const listing = this._listingFilters({ ...filters, limit: undefined, cursor: undefined });
+    let cursor = null;
+
+    while (true) {
+      const bets = await Bet.findByUserId(userId, {
+        ...listing,
+        limit: EXPORT_BATCH_SIZE,
+        cursor,
+      });
+
+      for (const bet of bets) {
+        yield bet;
+      }
+
+      if (bets.length < EXPORT_BATCH_SIZE) return;
+
+      const last = bets[bets.length - 1];
+      cursor = { createdAt: new Date(last.created_at), id: last.id };
+    }
+  }
+
+  /**
+   * Get the export columns of a bet
+   * Parlays carry their legs; CSV exports only use the columns.
+   * @param {object} bet - Bet row
+   * @returns {object} Record keyed by EXPORT_COLUMNS
+   */
+  static toExportRecord(bet) {
+    const record = Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, bet[column] ?? null]));
+
+    if (bet.legs) {
+      record.legs = bet.legs.map((leg) => this.toExportRecord(leg));
+    }
+
+    return record;
+  }
+
+  /**
+   * Get the export column names
+   * @returns {Array<string>} Column names
+   */
+  static getExportColumns() {
+    return [...EXPORT_COLUMNS];
+  }
+
+  /**
+   * Import bets from a CSV or JSON export
+   * Each row goes through the createBet rules; valid rows are created unless
+   * this is a dry run, and failures are reported per row.
+   * @param {string} userId - User ID
+   * @param {object} importData - { format: 'csv' | 'json', data, dryRun }
+   * @returns {Promise<object>} Import summary with per-row results
+   */
+  static async importBets(userId, importData) {
+    const { format, data, dryRun = false } = importData;
+
+    let records;
+    if (format === 'csv') {
+      if (typeof data !== 'string') {
+        throw new Error('CSV import data must be a string');
+      }
+      records = parseCsvRecords(data);
+    } else if (format === 'json') {
+      if (!Array.isArray(data)) {
+        throw new Error('JSON import data must be an array');
+      }
+      records = data;
+    } else {
+      throw new Error('Import format must be csv or json');
+    }
+
+    if (records.length === 0) {
+      throw new Error('Import contains no rows');
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Import is limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const results = [];
+
+    for (const [index, record] of records.entries()) {
+      // Row numbers match the file: the CSV header is line 1
+      const row = format === 'csv' ? index + 2 : index + 1;
+
+      try {
+        const betData = this._fromImportRecord(record);
+
+        // Rows on games that have started are imported as historical bets
+        if (dryRun) {
+          const prepared = await this.validateBet(userId, betData, { allowHistorical: true });
+          results.push({
+            row,
+            success: true,
+            ...(prepared.isHistorical ? this._describeHistoricalRow(betData) : {}),
+          });
+        } else {
+          const bet = await this.createBet(userId, betData, { allowHistorical: true });
+          results.push({
+            row,
+            success: true,
+            betId: bet.id,
+            ...(bet.is_historical ? this._describeHistoricalRow(betData) : {}),
+          });
+        }
+      } catch (error) {
+        results.push({ row, success: false, ...this._describeRowError(error) });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    return {
+      dryRun: Boolean(dryRun),
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    };
   }
 
   /**
@@ -266,11 +924,466 @@ class BetService {
   static async getUserStatistics(userId) {
     const stats = await Bet.getUserStats(userId);
     const sportStats = await Bet.getStatsBySport(userId);
+    const oddsStats = await Bet.getOddsStats(userId);
+    const tailStats = await Bet.getTailStats(userId);
+    const advanced = await StatsService.getAdvancedStats(userId);
 
     return {
       overall: stats,
       bySport: sportStats,
+      odds: oddsStats,
+      tails: tailStats,
+      ...advanced,
+    };
+  }
+
+  /**
+   * Validate the game and market of a single bet or parlay leg
+   * Game info comes from the scores cache; any game fields the client sends
+   * must agree with it.
+   * @private
+   * @param {object} betData - Bet data
+   * @returns {Promise<object>} Normalized game and market fields for Bet.create
+   */
+  static async _validateSelection(betData) {
+    const { gameId, market, odds } = betData;
+
+    // Validate required fields
+    if (!gameId) {
+      throw new Error('Missing required game information');
+    }
+
+    if (!market) {
+      throw new Error('Missing required bet information');
+    }
+
+    const game = await ScoreService.getGameById(gameId);
+
+    const mismatches = this._findGameMismatches(betData, game);
+    if (Object.keys(mismatches).length > 0) {
+      throw new Error(JSON.stringify(mismatches));
+    }
+
+    const homeTeam = game.home_team;
+    const awayTeam = game.away_team;
+
+    // Validate market against the game's teams
+    const marketValidation = validateMarket(market, { homeTeam, awayTeam });
+    if (!marketValidation.valid) {
+      throw new Error(JSON.stringify({ market: marketValidation.errors }));
+    }
+
+    const normalizedOdds = this._validateOdds(odds);
+
+    return {
+      gameId: game.game_id,
+      sportType: game.sport_type,
+      homeTeam,
+      awayTeam,
+      gameDate: new Date(game.scheduled_at),
+      betType: marketValidation.market.type,
+      market: marketValidation.market,
+      predictedOutcome: describeMarket(marketValidation.market, { homeTeam, awayTeam }),
+      odds: normalizedOdds,
+    };
+  }
+
+  /**
+   * Compare client-sent game fields with the cached game
+   * @private
+   * @param {object} betData - Bet data
+   * @param {object} game - Score row
+   * @returns {object} Validation errors keyed by field (empty if consistent)
+   */
+  static _findGameMismatches(betData, game) {
+    const { sportType, homeTeam, awayTeam, gameDate } = betData;
+    const errors = {};
+
+    const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+    if (sportType !== undefined && !sameText(sportType, game.sport_type)) {
+      errors.sportType = [`Does not match the game (${game.sport_type})`];
+    }
+
+    if (homeTeam !== undefined && !sameText(homeTeam, game.home_team)) {
+      errors.homeTeam = [`Does not match the game (${game.home_team})`];
+    }
+
+    if (awayTeam !== undefined && !sameText(awayTeam, game.away_team)) {
+      errors.awayTeam = [`Does not match the game (${game.away_team})`];
+    }
+
+    if (gameDate !== undefined) {
+      // Compared to the minute; sources disagree on seconds
+      const sent = new Date(gameDate).getTime();
+      const scheduled = new Date(game.scheduled_at);
+
+      if (isNaN(sent)) {
+        errors.gameDate = ['Invalid game date'];
+      } else if (Math.floor(sent / 60000) !== Math.floor(scheduled.getTime() / 60000)) {
+        errors.gameDate = [`Does not match the game (${scheduled.toISOString()})`];
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Recorded odds of a bet in the form createBet accepts
+   * @private
+   * @param {object} bet - Bet row
+   * @returns {object|undefined} { format, value } or undefined without odds
+   */
+  static _oddsOf(bet) {
+    if (!bet.odds_format) return undefined;
+
+    return {
+      format: bet.odds_format,
+      value: bet.odds_format === 'fractional' ? bet.odds_value : Number(bet.odds_value),
+    };
+  }
+
+  /**
+   * Validate optional odds and normalize them to decimal
+   * @private
+   * @param {object} odds - Odds { format, value } or undefined
+   * @returns {object|null} Normalized odds { decimal, format, value } or null
+   */
+  static _validateOdds(odds) {
+    if (odds === undefined || odds === null) return null;
+
+    const oddsValidation = validateOdds(odds);
+    if (!oddsValidation.valid) {
+      throw new Error(JSON.stringify({ odds: oddsValidation.errors }));
+    }
+
+    return oddsValidation.odds;
+  }
+
+  /**
+   * Map an exported (or hand-written) record to createBet input
+   * CSV values arrive as strings; empty fields count as missing.
+   * @private
+   * @param {object} record - Import record keyed by export column names
+   * @returns {object} Bet data for createBet
+   */
+  static _fromImportRecord(record) {
+    const value = (key) => {
+      const field = record[key];
+      return field === '' || field === null ? undefined : field;
     };
+
+    if (value('bet_type') === 'parlay') {
+      throw new Error(JSON.stringify({ bet_type: ['Parlays cannot be imported'] }));
+    }
+
+    let market = value('market');
+    if (typeof market === 'string') {
+      try {
+        market = JSON.parse(market);
+      } catch (error) {
+        throw new Error(JSON.stringify({ market: ['Market must be valid JSON'] }));
+      }
+    }
+
+    let odds;
+    if (value('odds_format') !== undefined) {
+      const format = value('odds_format');
+      const oddsValue = value('odds_value');
+      odds = {
+        format,
+        value: format === 'fractional' || oddsValue === undefined ? oddsValue : Number(oddsValue),
+      };
+    }
+
+    const number = (key, parse) => (value(key) === undefined ? undefined : parse(value(key)));
+    const isPublic = value('is_public');
+
+    return {
+      gameId: value('game_id'),
+      groupId: value('group_id'),
+      sportType: value('sport_type'),
+      homeTeam: value('home_team'),
+      awayTeam: value('away_team'),
+      gameDate: value('game_date'),
+      market,
+      odds,
+      confidenceLevel: number('confidence_level', (field) => parseInt(field)),
+      stake: number('stake', (field) => parseFloat(field)),
+      notes: value('notes'),
+      isPublic: isPublic === undefined ? undefined : isPublic === true || isPublic === 'true',
+      result: value('status'),
+    };
+  }
+
+  /**
+   * Describe an import row that became a historical bet
+   * Lists the row's fields that a historical bet cannot keep, so the report
+   * matches what was stored.
+   * @private
+   * @param {object} betData - Bet data of the row
+   * @returns {object} { historical, warnings? }
+   */
+  static _describeHistoricalRow(betData) {
+    const warnings = {};
+
+    if (betData.stake !== undefined) {
+      warnings.stake = ['Game has already started; imported without a stake'];
+    }
+    if (betData.groupId !== undefined) {
+      warnings.group_id = ['Game has already started; imported without a group'];
+    }
+    if (betData.isPublic) {
+      warnings.is_public = ['Game has already started; imported as private'];
+    }
+
+    return {
+      historical: true,
+      ...(Object.keys(warnings).length > 0 ? { warnings } : {}),
+    };
+  }
+
+  /**
+   * Describe an error for an import row the way errorHandler would
+   * @private
+   * @param {Error} error - Error thrown while validating or creating the row
+   * @returns {object} { error, errors? }
+   */
+  static _describeRowError(error) {
+    if (error.message.startsWith('{')) {
+      try {
+        return { error: 'Validation failed', errors: JSON.parse(error.message) };
+      } catch (parseError) {
+        // Not JSON, fall through
+      }
+    }
+
+    return { error: error.message };
+  }
+
+  /**
+   * Validate and normalise bet listing filters from a query string
+   * @private
+   * @param {object} filters - Raw filters
+   * @returns {object} Filters for Bet.findByUserId / findByGroupId
+   */
+  static _listingFilters(filters) {
+    const errors = {};
+    const listing = {
+      status: filters.status || undefined,
+      sportType: filters.sportType || undefined,
+      groupId: filters.groupId || undefined,
+      betType: filters.betType || undefined,
+      team: typeof filters.team === 'string' && filters.team.trim() ? filters.team.trim() : undefined,
+      limit: DEFAULT_PAGE_SIZE,
+    };
+
+    if (filters.limit !== undefined && filters.limit !== '') {
+      const limit = Number(filters.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        errors.limit = [`Limit must be between 1 and ${MAX_PAGE_SIZE}`];
+      } else {
+        listing.limit = limit;
+      }
+    }
+
+    if (filters.cursor) {
+      listing.cursor = decodeCursor(filters.cursor);
+    }
+
+    for (const key of ['gameDateFrom', 'gameDateTo']) {
+      if (!filters[key]) continue;
+
+      const date = new Date(filters[key]);
+      if (isNaN(date.getTime())) {
+        errors[key] = ['Must be a valid date'];
+      } else {
+        listing[key] = date;
+      }
+    }
+
+    if (listing.gameDateFrom && listing.gameDateTo && listing.gameDateFrom > listing.gameDateTo) {
+      errors.gameDateTo = ['Must not be before gameDateFrom'];
+    }
+
+    for (const key of ['minConfidence', 'maxConfidence']) {
+      if (filters[key] === undefined || filters[key] === '') continue;
+
+      const level = Number(filters[key]);
+      if (!Number.isInteger(level) || level < 1 || level > 5) {
+        errors[key] = ['Confidence must be between 1 and 5'];
+      } else {
+        listing[key] = level;
+      }
+    }
+
+    if (
+      listing.minConfidence !== undefined &&
+      listing.maxConfidence !== undefined &&
+      listing.minConfidence > listing.maxConfidence
+    ) {
+      errors.maxConfidence = ['Must not be below minConfidence'];
+    }
+
+    if (filters.resolved !== undefined && filters.resolved !== '') {
+      if (filters.resolved === true || filters.resolved === 'true') {
+        listing.resolved = true;
+      } else if (filters.resolved === false || filters.resolved === 'false') {
+        listing.resolved = false;
+      } else {
+        errors.resolved = ['Must be true or false'];
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new Error(JSON.stringify(errors));
+    }
+
+    return listing;
+  }
+
+  /**
+   * Trim a page fetched with one extra row and build its next cursor
+   * @private
+   * @param {Array} rows - Rows fetched with limit + 1
+   * @param {number} limit - Page size
+   * @returns {object} { items, nextCursor }
+   */
+  static _paginate(rows, limit) {
+    if (rows.length <= limit) {
+      return { items: rows, nextCursor: null };
+    }
+
+    const items = rows.slice(0, limit);
+    return { items, nextCursor: encodeCursor(items[items.length - 1]) };
+  }
+
+  /**
+   * Get the current values of the fields an update changes
+   * @private
+   * @param {object} bet - Bet row before the update
+   * @param {object} updates - Fields to update
+   * @returns {object} Previous values keyed by field
+   */
+  static _changedValues(bet, updates) {
+    // JSONB does not keep key order, so objects are compared by sorted keys
+    const normalize = (value) => {
+      if (value === undefined) return null;
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.keys(value)
+            .sort()
+            .map((key) => [key, normalize(value[key])])
+        );
+      }
+      return value;
+    };
+
+    const previousValues = {};
+
+    for (const field of REVISION_FIELDS) {
+      if (updates[field] === undefined) continue;
+
+      if (JSON.stringify(normalize(bet[field])) !== JSON.stringify(normalize(updates[field]))) {
+        previousValues[field] = bet[field] ?? null;
+      }
+    }
+
+    return previousValues;
+  }
+
+  /**
+   * Find a bet its owner can share or unshare
+   * @private
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<object>} Pending top-level bet
+   */
+  static async _findSharableBet(betId, userId) {
+    const isOwner = await Bet.isOwner(betId, userId);
+    if (!isOwner) {
+      throw new Error('Bet not found or access denied');
+    }
+
+    const bet = await Bet.findById(betId);
+
+    if (bet.parent_bet_id) {
+      throw new Error('Parlay legs are shared with their parlay');
+    }
+
+    if (bet.status !== 'pending') {
+      throw new Error('Only pending bets can be shared or unshared');
+    }
+
+    return bet;
+  }
+
+  /**
+   * Ensure a user belongs to the group a bet is placed in or shared with
+   * @private
+   * @param {string} groupId - Optional group ID
+   * @param {string} userId - User ID
+   */
+  static async _assertGroupMember(groupId, userId) {
+    if (groupId && !(await GroupMember.isMember(groupId, userId))) {
+      throw new Error('Not a member of this group');
+    }
+  }
+
+  /**
+   * Ensure an existing bet can still be changed
+   * A parlay is locked as soon as any of its legs is.
+   * @private
+   * @param {object} bet - Bet row
+   * @param {string} groupId - Group whose bet lock applies (default: the bet's own group)
+   */
+  static async _assertBetOpen(bet, groupId = bet.group_id) {
+    const games = bet.bet_type === 'parlay' ? await Bet.findLegs([bet.id]) : [bet];
+
+    await this._assertBettingOpen(
+      games.map((game) => ({ gameId: game.game_id, gameDate: game.game_date })),
+      groupId
+    );
+  }
+
+  /**
+   * Ensure none of the given games has started or entered its group's lock window
+   * @private
+   * @param {Array<object>} games - Games { gameId, gameDate }
+   * @param {string} groupId - Optional group whose bet lock applies
+   */
+  static async _assertBettingOpen(games, groupId) {
+    let lockMinutes = 0;
+    if (groupId) {
+      const group = await Group.findById(groupId);
+      lockMinutes = group ? group.bet_lock_minutes : 0;
+    }
+
+    for (const game of games) {
+      if (await this._hasStarted(game)) {
+        throw new Error('Game has already started');
+      }
+
+      const kickoff = new Date(game.gameDate).getTime();
+      if (Date.now() >= kickoff - lockMinutes * 60 * 1000) {
+        throw new Error('Bets on this game are locked');
+      }
+    }
+  }
+
+  /**
+   * Check whether a game has started, by its live status or its kickoff time
+   * @private
+   * @param {object} game - Game { gameId, gameDate }
+   * @returns {Promise<boolean>} Started status
+   */
+  static async _hasStarted({ gameId, gameDate }) {
+    const score = await Score.findByGameId(gameId);
+    if (score && STARTED_GAME_STATUSES.includes(score.status)) {
+      return true;
+    }
+
+    return Date.now() >= new Date(gameDate).getTime();
   }
 }
 
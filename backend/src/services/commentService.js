@@ -0,0 +1,166 @@
+/**
+ * Comment Service
+ * Comment threads and emoji reactions on bets
+ */
+
+const BetComment = require('../models/BetComment');
+const BetReaction = require('../models/BetReaction');
+const BetShare = require('../models/BetShare');
+const BetService = require('./betService');
+const NotificationService = require('./notificationService');
+const { broadcastToGroup } = require('../websocket');
+
+// Maximum comment length in characters
+const MAX_COMMENT_LENGTH = 1000;
+
+// Longest emoji sequence accepted (UTF-16 code units), e.g. family emoji
+const MAX_EMOJI_LENGTH = 16;
+
+class CommentService {
+  /**
+   * Get the comments on a bet
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Requesting user ID
+   * @param {object} options - { limit, offset }
+   * @returns {Promise<object>} Comments and metadata
+   */
+  static async getComments(betId, userId, options = {}) {
+    // Same visibility as the bet itself
+    await BetService.getBet(betId, userId);
+
+    const comments = await BetComment.findByBetId(betId, options);
+    const total = await BetComment.getCount(betId);
+
+    return {
+      comments,
+      count: comments.length,
+      total,
+    };
+  }
+
+  /**
+   * Comment on a bet
+   * The comment is broadcast to every group the bet is shared with and its author is notified.
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Commenting user ID
+   * @param {string} content - Comment text
+   * @returns {Promise<object>} Created comment
+   */
+  static async addComment(betId, userId, content) {
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw new Error('Comment content required');
+    }
+
+    if (content.trim().length > MAX_COMMENT_LENGTH) {
+      throw new Error(`Comment too long (max ${MAX_COMMENT_LENGTH} characters)`);
+    }
+
+    const bet = await BetService.getBet(betId, userId);
+
+    const comment = await BetComment.create({ betId, userId, content: content.trim() });
+
+    const shares = await BetShare.findByBetId(bet.id);
+    for (const share of shares) {
+      broadcastToGroup(share.group_id, {
+        type: 'bet_comment',
+        group_id: share.group_id,
+        bet_id: bet.id,
+        comment,
+      });
+    }
+
+    if (bet.user_id !== userId) {
+      await NotificationService.notify(bet.user_id, 'bet_comment', {
+        bet_id: bet.id,
+        comment_id: comment.id,
+        user_id: userId,
+        username: comment.username,
+        preview: comment.content.slice(0, 100),
+      });
+    }
+
+    return comment;
+  }
+
+  /**
+   * Delete a comment
+   * Comments can be deleted by their author or by the bet's owner.
+   * @param {string} betId - Bet ID
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<object>} Deleted comment
+   */
+  static async deleteComment(betId, commentId, userId) {
+    const bet = await BetService.getBet(betId, userId);
+
+    const comment = await BetComment.findById(commentId);
+    if (!comment || comment.bet_id !== bet.id || comment.is_deleted) {
+      throw new Error('Comment not found');
+    }
+
+    if (comment.user_id !== userId && bet.user_id !== userId) {
+      throw new Error('Can only delete your own comments or comments on your bets');
+    }
+
+    return await BetComment.delete(commentId);
+  }
+
+  /**
+   * Get the reactions on a bet
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Array>} [{ emoji, count, reacted }]
+   */
+  static async getReactions(betId, userId) {
+    await BetService.getBet(betId, userId);
+    return await BetReaction.summarize(betId, userId);
+  }
+
+  /**
+   * React to a bet with an emoji
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Reacting user ID
+   * @param {string} emoji - Emoji
+   * @returns {Promise<Array>} Updated reaction summary
+   */
+  static async addReaction(betId, userId, emoji) {
+    this._validateEmoji(emoji);
+    await BetService.getBet(betId, userId);
+
+    await BetReaction.add(betId, userId, emoji);
+    return await BetReaction.summarize(betId, userId);
+  }
+
+  /**
+   * Remove an emoji reaction from a bet
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Reacting user ID
+   * @param {string} emoji - Emoji
+   * @returns {Promise<Array>} Updated reaction summary
+   */
+  static async removeReaction(betId, userId, emoji) {
+    await BetService.getBet(betId, userId);
+
+    await BetReaction.remove(betId, userId, emoji);
+    return await BetReaction.summarize(betId, userId);
+  }
+
+  /**
+   * Check that a reaction is made of emoji only
+   * @private
+   * @param {string} emoji - Emoji
+   */
+  static _validateEmoji(emoji) {
+    const valid =
+      typeof emoji === 'string' &&
+      emoji.length <= MAX_EMOJI_LENGTH &&
+      /\p{Extended_Pictographic}/u.test(emoji) &&
+      /^[\p{Extended_Pictographic}\p{Emoji_Component}]+$/u.test(emoji);
+
+    if (!valid) {
+      throw new Error('Invalid emoji');
+    }
+  }
+}
+
+module.exports = CommentService;
@@ -0,0 +1,270 @@
+/**
+ * Consensus Service
+ * Crowd view of public picks per game and per group
+ */
+
+const Bet = require('../models/Bet');
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+const { describeMarket } = require('../utils/markets');
+
+// Weight of a pick without a confidence level when weighting by confidence
+const DEFAULT_CONFIDENCE = 3;
+
+// Settled consensus calls listed in a group's history
+const HISTORY_LIMIT = 20;
+
+class ConsensusService {
+  /**
+   * Get the consensus of public picks on a game
+   * @param {string} gameId - Game ID
+   * @param {string} userId - Requesting user ID
+   * @param {object} options - { groupId, weighted }
+   * @returns {Promise<object|null>} Game consensus, or null without picks
+   */
+  static async getGameConsensus(gameId, userId, { groupId, weighted = false } = {}) {
+    if (groupId) {
+      await this._assertGroupAccess(groupId, userId);
+    }
+
+    const picks = await Bet.findPublicPicks({ gameId, groupId });
+    if (picks.length === 0) return null;
+
+    return this.buildGameConsensus(picks, { weighted });
+  }
+
+  /**
+   * Get a group's consensus on open games and its record on settled ones
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {object} options - { weighted }
+   * @returns {Promise<object>} { games, history }
+   */
+  static async getGroupConsensus(groupId, userId, { weighted = false } = {}) {
+    await this._assertGroupAccess(groupId, userId);
+
+    const pending = await Bet.findPublicPicks({ groupId, state: 'pending' });
+    const settled = await Bet.findPublicPicks({ groupId, state: 'settled' });
+
+    const games = this._byGame(pending).map((picks) => this.buildGameConsensus(picks, { weighted }));
+    const settledGames = this._byGame(settled).map((picks) =>
+      this.buildGameConsensus(picks, { weighted })
+    );
+
+    return {
+      weighted,
+      games,
+      history: this.buildHistory(settledGames),
+    };
+  }
+
+  /**
+   * Aggregate the picks on one game by market
+   * Each user counts once per market type, with their latest pick.
+   * @param {Array} picks - Picks on the same game, oldest first
+   * @param {object} options - { weighted }
+   * @returns {object} Game consensus
+   */
+  static buildGameConsensus(picks, { weighted = false } = {}) {
+    const [first] = picks;
+    const game = { homeTeam: first.home_team, awayTeam: first.away_team };
+
+    const latest = new Map();
+    for (const pick of picks) {
+      latest.set(`${pick.user_id}:${pick.market.type}`, pick);
+    }
+
+    const markets = new Map();
+    for (const pick of latest.values()) {
+      const { type } = pick.market;
+      const choice = pick.market.side || pick.market.selection;
+      if (!choice) continue;
+
+      if (!markets.has(type)) markets.set(type, new Map());
+      const options = markets.get(type);
+
+      if (!options.has(choice)) options.set(choice, []);
+      options.get(choice).push(pick);
+    }
+
+    return {
+      game_id: first.game_id,
+      sport_type: first.sport_type,
+      home_team: first.home_team,
+      away_team: first.away_team,
+      game_date: first.game_date,
+      weighted,
+      pickers: new Set(picks.map((pick) => pick.user_id)).size,
+      markets: [...markets.entries()].map(([type, options]) =>
+        this._marketConsensus(type, options, game, weighted)
+      ),
+    };
+  }
+
+  /**
+   * Record of the consensus on settled games
+   * Markets without a consensus (a tie) or without a graded pick at the
+   * consensus line are left out.
+   * @param {Array} games - Game consensus of settled games, newest first
+   * @returns {object} { record, recent }
+   */
+  static buildHistory(games) {
+    const calls = [];
+
+    for (const game of games) {
+      for (const market of game.markets) {
+        if (!market.consensus || !market.result) continue;
+
+        calls.push({
+          game_id: game.game_id,
+          home_team: game.home_team,
+          away_team: game.away_team,
+          game_date: game.game_date,
+          type: market.type,
+          label: market.consensus.label,
+          percentage: market.consensus.percentage,
+          result: market.result,
+        });
+      }
+    }
+
+    const count = (result) => calls.filter((call) => call.result === result).length;
+    const won = count('won');
+    const lost = count('lost');
+
+    return {
+      record: {
+        total: calls.length,
+        won,
+        lost,
+        push: count('push'),
+        win_percentage: won + lost > 0 ? Math.round((won / (won + lost)) * 10000) / 100 : 0,
+      },
+      recent: calls.slice(0, HISTORY_LIMIT),
+    };
+  }
+
+  /**
+   * Consensus of one market on a game
+   * @private
+   * @param {string} type - Market type
+   * @param {Map} options - Side or selection -> picks
+   * @param {object} game - Game teams { homeTeam, awayTeam }
+   * @param {boolean} weighted - Weight picks by confidence
+   * @returns {object} Market consensus
+   */
+  static _marketConsensus(type, options, game, weighted) {
+    const weightOf = (pick) => (weighted ? pick.confidence_level || DEFAULT_CONFIDENCE : 1);
+
+    const rows = [...options.entries()].map(([choice, picks]) => {
+      const lines = this._lineCounts(picks);
+      const line = lines.length > 0 ? lines[0].line : null;
+
+      return {
+        choice,
+        label: describeMarket({ type, side: choice, selection: choice, line }, game),
+        line,
+        lines,
+        picks: picks.length,
+        weight: picks.reduce((sum, pick) => sum + weightOf(pick), 0),
+        result: this._resultAtLine(picks, line),
+      };
+    });
+
+    const totalWeight = rows.reduce((sum, row) => sum + row.weight, 0);
+    for (const row of rows) {
+      row.percentage = Math.round((row.weight / totalWeight) * 10000) / 100;
+    }
+
+    rows.sort((a, b) => b.weight - a.weight || a.choice.localeCompare(b.choice));
+
+    // A tie for the top spot means there is no consensus
+    const [top, runnerUp] = rows;
+    const consensus = !runnerUp || top.weight > runnerUp.weight ? top : null;
+
+    return {
+      type,
+      picks: rows.reduce((sum, row) => sum + row.picks, 0),
+      weight: totalWeight,
+      consensus: consensus
+        ? { choice: consensus.choice, label: consensus.label, percentage: consensus.percentage }
+        : null,
+      result: consensus ? consensus.result : null,
+      options: rows.map(({ result, ...row }) => row),
+    };
+  }
+
+  /**
+   * Pick counts per line, most common first
+   * @private
+   * @param {Array} picks - Picks on one side or selection
+   * @returns {Array} [{ line, picks }]; empty for moneylines
+   */
+  static _lineCounts(picks) {
+    const counts = new Map();
+
+    for (const pick of picks) {
+      const { line } = pick.market;
+      if (typeof line !== 'number') continue;
+      counts.set(line, (counts.get(line) || 0) + 1);
+    }
+
+    return [...counts.entries()]
+      .map(([line, count]) => ({ line, picks: count }))
+      .sort((a, b) => b.picks - a.picks || a.line - b.line);
+  }
+
+  /**
+   * Graded result of the picks at a line
+   * @private
+   * @param {Array} picks - Picks on one side or selection
+   * @param {number|null} line - Line to look at (null for moneylines)
+   * @returns {string|null} 'won', 'lost', 'push' or null if none is graded
+   */
+  static _resultAtLine(picks, line) {
+    const graded = picks.find(
+      (pick) =>
+        ['won', 'lost', 'push'].includes(pick.status) &&
+        (line === null || pick.market.line === line)
+    );
+
+    return graded ? graded.status : null;
+  }
+
+  /**
+   * Split picks into per-game lists, keeping their order
+   * @private
+   * @param {Array} picks - Picks ordered by game
+   * @returns {Array<Array>} Picks per game
+   */
+  static _byGame(picks) {
+    const games = new Map();
+
+    for (const pick of picks) {
+      if (!games.has(pick.game_id)) games.set(pick.game_id, []);
+      games.get(pick.game_id).push(pick);
+    }
+
+    return [...games.values()];
+  }
+
+  /**
+   * Check that a user may see a group's picks
+   * @private
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   */
+  static async _assertGroupAccess(groupId, userId) {
+    const group = await Group.findById(groupId);
+
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (group.is_private && !(await GroupMember.isMember(groupId, userId))) {
+      throw new Error('Access denied to private group');
+    }
+  }
+}
+
+module.exports = ConsensusService;
@@ -0,0 +1,275 @@
+/**
+ * Dispute Service
+ * Group members challenge resolved bets; group admins uphold or re-grade them
+ */
+
+const Bet = require('../models/Bet');
+const BetDispute = require('../models/BetDispute');
+const BetRevision = require('../models/BetRevision');
+const GroupMember = require('../models/GroupMember');
+const BetService = require('./betService');
+const LeaderboardService = require('./leaderboardService');
+const NotificationService = require('./notificationService');
+const StatsService = require('./statsService');
+const WalletService = require('./walletService');
+const { transaction } = require('../config/database');
+
+// Bet statuses that can be disputed and that a re-grade can set
+const RESOLVED_STATUSES = ['won', 'lost', 'push', 'void'];
+
+const DISPUTE_STATUSES = ['open', 'upheld', 'regraded'];
+
+// Maximum dispute reason length in characters
+const MAX_REASON_LENGTH = 1000;
+
+// Bet fields recorded in the revision written by a re-grade
+const REGRADE_FIELDS = ['status', 'is_correct', 'actual_outcome', 'void_reason'];
+
+class DisputeService {
+  /**
+   * Open a dispute on a resolved group bet
+   * The bet's owner is notified when someone else disputes it.
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Disputing user ID
+   * @param {string} reason - Why the result looks wrong
+   * @returns {Promise<object>} Created dispute
+   */
+  static async openDispute(betId, userId, reason) {
+    if (typeof reason !== 'string' || reason.trim().length === 0) {
+      throw new Error('Dispute reason required');
+    }
+
+    if (reason.trim().length > MAX_REASON_LENGTH) {
+      throw new Error(`Dispute reason too long (max ${MAX_REASON_LENGTH} characters)`);
+    }
+
+    // Same access rules as viewing the bet
+    const bet = await BetService.getBet(betId, userId);
+
+    if (bet.parent_bet_id) {
+      throw new Error('Parlay legs cannot be disputed');
+    }
+
+    if (!RESOLVED_STATUSES.includes(bet.status)) {
+      throw new Error('Only resolved bets can be disputed');
+    }
+
+    if (!bet.group_id) {
+      throw new Error('Only group bets can be disputed');
+    }
+
+    // Disputes go to the group the bet was placed in, never to a group it was
+    // only shared with, so the owner cannot pick the admins who decide
+    const groupId = bet.group_id;
+    const isMember = await GroupMember.isMember(groupId, userId);
+    if (!isMember) {
+      throw new Error('Not a member of this group');
+    }
+
+    const openDispute = await BetDispute.findOpenByBetId(betId);
+    if (openDispute) {
+      throw new Error('This bet already has an open dispute');
+    }
+
+    const dispute = await BetDispute.create({
+      betId,
+      groupId,
+      openedBy: userId,
+      reason: reason.trim(),
+      previousStatus: bet.status,
+    });
+
+    if (bet.user_id !== userId) {
+      await NotificationService.notify(bet.user_id, 'bet_disputed', {
+        bet_id: bet.id,
+        dispute_id: dispute.id,
+        user_id: userId,
+        reason: dispute.reason,
+      });
+    }
+
+    return dispute;
+  }
+
+  /**
+   * Get the disputes of a bet
+   * @param {string} betId - Bet ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<object>} Disputes, oldest first
+   */
+  static async getBetDisputes(betId, userId) {
+    await BetService.getBet(betId, userId);
+
+    const disputes = await BetDispute.findByBetId(betId);
+
+    return {
+      disputes,
+      count: disputes.length,
+    };
+  }
+
+  /**
+   * Get the disputes in a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {object} options - { status, limit, offset }
+   * @returns {Promise<object>} Disputes, newest first
+   */
+  static async getGroupDisputes(groupId, userId, options = {}) {
+    if (options.status && !DISPUTE_STATUSES.includes(options.status)) {
+      throw new Error('Invalid dispute status');
+    }
+
+    const isMember = await GroupMember.isMember(groupId, userId);
+    if (!isMember) {
+      throw new Error('Not a member of this group');
+    }
+
+    const disputes = await BetDispute.findByGroupId(groupId, options);
+
+    return {
+      disputes,
+      count: disputes.length,
+    };
+  }
+
+  /**
+   * Close a dispute (group admins only)
+   * Upholding keeps the result. Re-grading sets a new result, records the
+   * old one as a bet revision, corrects the settled stake and group
+   * leaderboard points, and drops the owner's cached statistics.
+   * @param {string} betId - Disputed bet ID
+   * @param {string} disputeId - Dispute ID
+   * @param {string} adminId - Admin user ID
+   * @param {object} decision - { action: 'uphold'|'regrade', result, actualOutcome, note }
+   * @returns {Promise<object>} { dispute, bet } (bet is null when upheld)
+   */
+  static async resolveDispute(betId, disputeId, adminId, decision = {}) {
+    const { action, result, actualOutcome, note } = decision;
+
+    if (action !== 'uphold' && action !== 'regrade') {
+      throw new Error('Dispute action must be uphold or regrade');
+    }
+
+    if (action === 'regrade' && !RESOLVED_STATUSES.includes(result)) {
+      throw new Error('Invalid bet result');
+    }
+
+    const dispute = await BetDispute.findById(disputeId);
+    if (!dispute || dispute.bet_id !== betId) {
+      throw new Error('Dispute not found');
+    }
+
+    const isAdmin = await GroupMember.isAdmin(dispute.group_id, adminId);
+    if (!isAdmin) {
+      throw new Error('Only group admins can resolve disputes');
+    }
+
+    // An admin cannot rule on their own bet, least of all re-grade it to a win
+    const disputedBet = await Bet.findById(dispute.bet_id);
+    if (disputedBet && disputedBet.user_id === adminId) {
+      throw new Error('You cannot resolve a dispute on your own bet');
+    }
+
+    const outcome = await transaction(async (client) => {
+      const locked = await BetDispute.findById(disputeId, client, true);
+      if (locked.status !== 'open') {
+        throw new Error('Dispute is already closed');
+      }
+
+      if (action === 'uphold') {
+        const closed = await BetDispute.close(
+          disputeId,
+          { status: 'upheld', resolvedBy: adminId, note },
+          client
+        );
+
+        return { dispute: closed, bet: null };
+      }
+
+      const before = await Bet.findById(dispute.bet_id, false, client, true);
+      if (before.status === result) {
+        throw new Error('Re-grade must change the bet result');
+      }
+
+      const after = await Bet.regrade(
+        before.id,
+        {
+          status: result,
+          actualOutcome,
+          voidReason: result === 'void' ? note || 'Voided on dispute' : null,
+        },
+        client
+      );
+
+      await BetRevision.create(
+        { betId: before.id, changedBy: adminId, previousValues: this._regradedValues(before, after) },
+        client
+      );
+
+      await WalletService.regradeStake(before, after, adminId, client);
+      await LeaderboardService.recordBet(after, client);
+
+      const closed = await BetDispute.close(
+        disputeId,
+        { status: 'regraded', resolvedBy: adminId, note, newStatus: result },
+        client
+      );
+
+      return { dispute: closed, bet: after };
+    });
+
+    if (outcome.bet) {
+      StatsService.invalidate(outcome.bet.user_id);
+    }
+
+    await this._notifyClosed(outcome.dispute, outcome.bet, adminId);
+
+    return outcome;
+  }
+
+  /**
+   * Previous values of the fields a re-grade changed
+   * @private
+   * @param {object} before - Bet before the re-grade
+   * @param {object} after - Re-graded bet
+   * @returns {object} Field -> previous value
+   */
+  static _regradedValues(before, after) {
+    const previousValues = {};
+
+    for (const field of REGRADE_FIELDS) {
+      if (before[field] !== after[field]) {
+        previousValues[field] = before[field];
+      }
+    }
+
+    return previousValues;
+  }
+
+  /**
+   * Tell whoever opened a dispute, and the bet's owner on a re-grade,
+   * how it was closed
+   * @private
+   * @param {object} dispute - Closed dispute
+   * @param {object|null} bet - Re-graded bet, or null when upheld
+   * @param {string} adminId - Admin who closed it
+   */
+  static async _notifyClosed(dispute, bet, adminId) {
+    const recipients = new Set([dispute.opened_by]);
+    if (bet) recipients.add(bet.user_id);
+    recipients.delete(adminId);
+    recipients.delete(null);
+
+    for (const recipient of recipients) {
+      await NotificationService.notify(recipient, 'dispute_resolved', {
+        bet_id: dispute.bet_id,
+        dispute_id: dispute.id,
+        status: dispute.status,
+        new_status: dispute.new_status,
+      });
+    }
+  }
+}
+
+module.exports = DisputeService;
@@ -4,7 +4,27 @@
  */
 
 const Group = require('../models/Group');
+const GroupInvite = require('../models/GroupInvite');
+const GroupJoinRequest = require('../models/GroupJoinRequest');
 const GroupMember = require('../models/GroupMember');
+const NotificationService = require('./notificationService');
+const { transaction } = require('../config/database');
+const { generateToken } = require('../utils/encryption');
+
+// Longest bet lock a group can configure (one day)
+const MAX_BET_LOCK_MINUTES = 1440;
+
+// How the group leaderboard scores bets (see LeaderboardService.scoreBet)
+const LEADERBOARD_SCORING_RULES = ['flat', 'confidence', 'units'];
+
+// Invite codes are 12 hex characters; uses are capped like group size
+const INVITE_CODE_BYTES = 6;
+const MAX_INVITE_USES = 500;
+
+// Join requests: message length, and how long a denied user waits before asking again
+const MAX_JOIN_REQUEST_MESSAGE_LENGTH = 500;
+const JOIN_REQUEST_COOLDOWN_HOURS = parseInt(process.env.JOIN_REQUEST_COOLDOWN_HOURS) || 24;
+const JOIN_REQUEST_STATUSES = ['pending', 'approved', 'denied', 'cancelled'];
 
 class GroupService {
   /**
@@ -14,7 +34,15 @@ class GroupService {
    * @returns {Promise<object>} Created group
    */
   static async createGroup(userId, groupData) {
-    const { name, description, avatarUrl, isPrivate, maxMembers } = groupData;
+    const {
+      name,
+      description,
+      avatarUrl,
+      isPrivate,
+      maxMembers,
+      betLockMinutes,
+      leaderboardScoring,
+    } = groupData;
 
     // Validate required fields
     if (!name || name.trim().length < 3) {
@@ -25,6 +53,14 @@ class GroupService {
       throw new Error('Max members must be between 1 and 500');
     }
 
+    if (betLockMinutes !== undefined) {
+      this._validateBetLock(betLockMinutes);
+    }
+
+    if (leaderboardScoring !== undefined) {
+      this._validateLeaderboardScoring(leaderboardScoring);
+    }
+
     // Create group
     const group = await Group.create({
       name: name.trim(),
@@ -33,6 +69,8 @@ class GroupService {
       avatarUrl,
       isPrivate,
       maxMembers,
+      betLockMinutes,
+      leaderboardScoring,
     });
 
     // Add owner as member with 'owner' role
@@ -130,6 +168,14 @@ class GroupService {
       throw new Error('Max members must be between 1 and 500');
     }
 
+    if (updates.bet_lock_minutes !== undefined) {
+      this._validateBetLock(updates.bet_lock_minutes);
+    }
+
+    if (updates.leaderboard_scoring !== undefined) {
+      this._validateLeaderboardScoring(updates.leaderboard_scoring);
+    }
+
     return await Group.update(groupId, updates);
   }
 
@@ -151,42 +197,282 @@ class GroupService {
 
   /**
    * Join a group
+   * Private groups need an invite code; a code is validated and used up even for
+   * public groups. Codes never bypass the member limit.
    * @param {string} groupId - Group ID
    * @param {string} userId - User ID
+   * @param {string} joinCode - Optional invite code
    * @returns {Promise<object>} Membership
    */
-  static async joinGroup(groupId, userId) {
+  static async joinGroup(groupId, userId, joinCode = null) {
     const group = await Group.findById(groupId);
 
     if (!group) {
       throw new Error('Group not found');
     }
 
-    // Check if already a member
+    await this._assertCanJoin(group, userId);
+
+    if (!joinCode) {
+      // Private groups require invitation
+      if (group.is_private) {
+        throw new Error('Cannot join private group without invitation');
+      }
+
+      const membership = await GroupMember.add({
+        groupId,
+        userId,
+        role: 'member',
+      });
+      await GroupJoinRequest.cancelPending(groupId, userId);
+      return membership;
+    }
+
+    // The use is only counted if the membership is created
+    return await transaction(async (client) => {
+      const invite = await GroupInvite.redeem(
+        groupId,
+        String(joinCode).trim().toLowerCase(),
+        client
+      );
+      if (!invite) {
+        throw new Error('Invalid or expired invite code');
+      }
+
+      const membership = await GroupMember.add({ groupId, userId, role: 'member' }, client);
+
+      // A request still waiting for the admins is moot once the user is in
+      await GroupJoinRequest.cancelPending(groupId, userId, client);
+      return membership;
+    });
+  }
+
+  /**
+   * Ask to join a private group
+   * A user whose last request was denied has to wait out the cooldown.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {string} message - Optional note to the admins
+   * @returns {Promise<object>} Created request
+   */
+  static async requestToJoin(groupId, userId, message = null) {
+    const group = await Group.findById(groupId);
+
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (!group.is_private) {
+      throw new Error('Public groups can be joined directly');
+    }
+
     const isMember = await GroupMember.isMember(groupId, userId);
     if (isMember) {
       throw new Error('Already a member of this group');
     }
 
-    // Check if group is at max capacity
-    const memberCount = await Group.getMemberCount(groupId);
-    if (memberCount >= group.max_members) {
-      throw new Error('Group is at maximum capacity');
+    if (message && message.trim().length > MAX_JOIN_REQUEST_MESSAGE_LENGTH) {
+      throw new Error(
+        `Join request message too long (max ${MAX_JOIN_REQUEST_MESSAGE_LENGTH} characters)`
+      );
     }
 
-    // Private groups require invitation (for now, we'll throw error)
-    if (group.is_private) {
-      throw new Error('Cannot join private group without invitation');
+    const pending = await GroupJoinRequest.findPending(groupId, userId);
+    if (pending) {
+      throw new Error('You already have a pending request for this group');
     }
 
-    // Add member
-    const membership = await GroupMember.add({
+    const denied = await GroupJoinRequest.findLatestDenied(groupId, userId);
+    if (denied && new Date() < this._cooldownEnd(denied)) {
+      throw new Error('Your last request was denied; try again later');
+    }
+
+    return await GroupJoinRequest.create({
       groupId,
       userId,
-      role: 'member',
+      message: message ? message.trim() : null,
     });
+  }
+
+  /**
+   * Get a group's join requests, oldest first (admins only)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {object} options - { status (default 'pending'), limit, offset }
+   * @returns {Promise<object>} Requests and count
+   */
+  static async getJoinRequests(groupId, userId, options = {}) {
+    await this._assertJoinRequestAdmin(groupId, userId);
+
+    if (options.status && !JOIN_REQUEST_STATUSES.includes(options.status)) {
+      throw new Error('Invalid join request status');
+    }
+
+    const requests = await GroupJoinRequest.findByGroupId(groupId, options);
+
+    return {
+      requests,
+      count: requests.length,
+    };
+  }
+
+  /**
+   * Approve or deny a pending join request (admins only)
+   * Approval goes through the same checks as joinGroup. The requester is notified.
+   * A request from a user who has joined in the meantime is closed as cancelled.
+   * @param {string} groupId - Group ID
+   * @param {string} requestId - Request ID
+   * @param {string} adminId - Deciding admin ID
+   * @param {boolean} approve - Approve (true) or deny (false)
+   * @returns {Promise<object>} { request, membership } (membership only on approval)
+   */
+  static async decideJoinRequest(groupId, requestId, adminId, approve) {
+    const group = await this._assertJoinRequestAdmin(groupId, adminId);
+
+    const request = await GroupJoinRequest.findById(groupId, requestId);
+    if (!request) {
+      throw new Error('Join request not found');
+    }
+
+    if (request.status !== 'pending') {
+      throw new Error('Join request was already decided');
+    }
+
+    // e.g. they joined by invite code before the admins got to the request
+    if (await GroupMember.isMember(groupId, request.user_id)) {
+      const cancelled = await GroupJoinRequest.decide(requestId, {
+        status: 'cancelled',
+        decidedBy: adminId,
+      });
+      if (!cancelled) {
+        throw new Error('Join request was already decided');
+      }
+
+      return { request: cancelled, membership: null };
+    }
+
+    let decided;
+    let membership = null;
+
+    if (approve) {
+      await this._assertCanJoin(group, request.user_id);
+
+      // The request is only marked approved if the membership is created
+      await transaction(async (client) => {
+        decided = await GroupJoinRequest.decide(
+          requestId,
+          { status: 'approved', decidedBy: adminId },
+          client
+        );
+        if (!decided) {
+          throw new Error('Join request was already decided');
+        }
+
+        membership = await GroupMember.add(
+          { groupId, userId: request.user_id, role: 'member' },
+          client
+        );
+      });
+    } else {
+      decided = await GroupJoinRequest.decide(requestId, { status: 'denied', decidedBy: adminId });
+      if (!decided) {
+        throw new Error('Join request was already decided');
+      }
+    }
+
+    await NotificationService.notify(
+      request.user_id,
+      approve ? 'join_request_approved' : 'join_request_denied',
+      {
+        group_id: groupId,
+        group_name: group.name,
+        request_id: requestId,
+        ...(approve ? {} : { retry_after: this._cooldownEnd(decided).toISOString() }),
+      }
+    );
+
+    return { request: decided, membership };
+  }
+
+  /**
+   * Create an invite code (admins only)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {object} options - { expiresAt, maxUses }, both optional
+   * @returns {Promise<object>} Created invite
+   */
+  static async createInvite(groupId, userId, options = {}) {
+    const { expiresAt, maxUses } = options;
+
+    await this._assertInviteAdmin(groupId, userId);
+
+    if (
+      maxUses !== undefined &&
+      maxUses !== null &&
+      (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES)
+    ) {
+      throw new Error(`Max uses must be between 1 and ${MAX_INVITE_USES}`);
+    }
+
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiry = new Date(expiresAt);
+
+      if (Number.isNaN(expiry.getTime())) {
+        throw new Error('Invalid invite expiry');
+      }
+      if (expiry <= new Date()) {
+        throw new Error('Invite expiry must be in the future');
+      }
+    }
+
+    return await GroupInvite.create({
+      groupId,
+      code: generateToken(INVITE_CODE_BYTES),
+      createdBy: userId,
+      expiresAt: expiry,
+      maxUses: maxUses ?? null,
+    });
+  }
+
+  /**
+   * Get a group's invites, newest first (admins only)
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<object>} Invites with their status
+   */
+  static async getInvites(groupId, userId) {
+    await this._assertInviteAdmin(groupId, userId);
+
+    const invites = await GroupInvite.findByGroupId(groupId);
+
+    return {
+      invites,
+      count: invites.length,
+    };
+  }
+
+  /**
+   * Revoke an invite (admins only)
+   * @param {string} groupId - Group ID
+   * @param {string} inviteId - Invite ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<object>} Revoked invite
+   */
+  static async revokeInvite(groupId, inviteId, userId) {
+    await this._assertInviteAdmin(groupId, userId);
 
-    return membership;
+    const invite = await GroupInvite.findById(groupId, inviteId);
+    if (!invite) {
+      throw new Error('Invite not found');
+    }
+
+    const revoked = await GroupInvite.revoke(inviteId);
+    if (!revoked) {
+      throw new Error('Invite is already revoked');
+    }
+
+    return revoked;
   }
 
   /**
@@ -241,8 +527,13 @@ class GroupService {
    * @returns {Promise<object>} Updated member
    */
   static async updateMemberRole(groupId, userId, targetUserId, newRole) {
+    // Ownership moves with groups.owner_id, so it has its own endpoint
+    if (newRole === 'owner') {
+      throw new Error('Use transfer ownership to make a member the owner');
+    }
+
     // Validate role
-    const validRoles = ['owner', 'admin', 'member'];
+    const validRoles = ['admin', 'member'];
     if (!validRoles.includes(newRole)) {
       throw new Error('Invalid role');
     }
@@ -267,6 +558,51 @@ class GroupService {
     return await GroupMember.updateRole(groupId, targetUserId, newRole);
   }
 
+  /**
+   * Transfer ownership of a group to another active member
+   * The previous owner stays in the group as an admin.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Current owner ID
+   * @param {string} newOwnerId - New owner ID
+   * @returns {Promise<object>} { group, owner, previousOwner }
+   */
+  static async transferOwnership(groupId, userId, newOwnerId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (group.owner_id !== userId) {
+      throw new Error('Only group owner can transfer ownership');
+    }
+
+    if (newOwnerId === userId) {
+      throw new Error('You already own this group');
+    }
+
+    const isMember = await GroupMember.isMember(groupId, newOwnerId);
+    if (!isMember) {
+      throw new Error('User is not a member of this group');
+    }
+
+    return await transaction(async (client) => {
+      const updated = await Group.setOwner(groupId, userId, newOwnerId, client);
+      if (!updated) {
+        throw new Error('Only group owner can transfer ownership');
+      }
+
+      // Demote first: a group has a single owner row at any time
+      const previousOwner = await GroupMember.updateRole(groupId, userId, 'admin', client);
+
+      const owner = await GroupMember.updateRole(groupId, newOwnerId, 'owner', client);
+      if (!owner) {
+        throw new Error('User is not a member of this group');
+      }
+
+      return { group: updated, owner, previousOwner };
+    });
+  }
+
   /**
    * Remove member from group
    * @param {string} groupId - Group ID
@@ -294,6 +630,97 @@ class GroupService {
 
     await GroupMember.remove(groupId, targetUserId);
   }
+
+  /**
+   * Check that a user can be added to a group (not a member yet, group not full)
+   * @private
+   * @param {object} group - Group
+   * @param {string} userId - Joining user ID
+   */
+  static async _assertCanJoin(group, userId) {
+    // Check if already a member
+    const isMember = await GroupMember.isMember(group.id, userId);
+    if (isMember) {
+      throw new Error('Already a member of this group');
+    }
+
+    // Check if group is at max capacity
+    const memberCount = await Group.getMemberCount(group.id);
+    if (memberCount >= group.max_members) {
+      throw new Error('Group is at maximum capacity');
+    }
+  }
+
+  /**
+   * Check that a group exists and the user may review its join requests
+   * @private
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} Group
+   */
+  static async _assertJoinRequestAdmin(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    const isAdmin = await GroupMember.isAdmin(groupId, userId);
+    if (!isAdmin) {
+      throw new Error('Only group admins can review join requests');
+    }
+
+    return group;
+  }
+
+  /**
+   * When a denied user may ask to join again
+   * @private
+   * @param {object} request - Denied request
+   * @returns {Date} End of the cooldown
+   */
+  static _cooldownEnd(request) {
+    return new Date(new Date(request.decided_at).getTime() + JOIN_REQUEST_COOLDOWN_HOURS * 3600000);
+  }
+
+  /**
+   * Check that a group exists and the user may manage its invites
+   * @private
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   */
+  static async _assertInviteAdmin(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    const isAdmin = await GroupMember.isAdmin(groupId, userId);
+    if (!isAdmin) {
+      throw new Error('Only group admins can manage invites');
+    }
+  }
+
+  /**
+   * Validate a group's bet lock window
+   * @private
+   * @param {*} minutes - Minutes before kickoff
+   */
+  static _validateBetLock(minutes) {
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_BET_LOCK_MINUTES) {
+      throw new Error(`Bet lock must be between 0 and ${MAX_BET_LOCK_MINUTES} minutes`);
+    }
+  }
+
+  /**
+   * Validate a leaderboard scoring rule
+   * @private
+   * @param {string} scoring - Scoring rule
+   */
+  static _validateLeaderboardScoring(scoring) {
+    if (!LEADERBOARD_SCORING_RULES.includes(scoring)) {
+      throw new Error('Leaderboard scoring must be flat, confidence or units');
+    }
+  }
 }
 
 module.exports = GroupService;
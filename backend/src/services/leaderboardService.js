@@ -0,0 +1,150 @@
+/**
+ * Leaderboard Service
+ * Group leaderboards scored from bets as they resolve
+ */
+
+const Group = require('../models/Group');
+const GroupLeaderboard = require('../models/GroupLeaderboard');
+const GroupMember = require('../models/GroupMember');
+
+// Selectable windows, in days back from now (null: all time)
+const LEADERBOARD_WINDOWS = { week: 7, month: 30, year: 365, all: null };
+
+// Results that score; void and cancelled bets are left out
+const SCORED_STATUSES = ['won', 'lost', 'push'];
+
+// Payout of a winning bet without recorded odds
+const EVEN_MONEY = 2.0;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class LeaderboardService {
+  /**
+   * Get a group's leaderboard under the group's scoring rule
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {object} options - { window, limit, offset }
+   * @param {Date} now - Reference time for the window
+   * @returns {Promise<object>} { scoring, window, since, standings, count }
+   */
+  static async getLeaderboard(groupId, userId, options = {}, now = new Date()) {
+    const { window = 'all', limit, offset } = options;
+
+    if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_WINDOWS, window)) {
+      throw new Error('Leaderboard window must be week, month, year or all');
+    }
+
+    // Same access rules as the member list (member or public group)
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    const isMember = await GroupMember.isMember(groupId, userId);
+    if (group.is_private && !isMember) {
+      throw new Error('Access denied to private group');
+    }
+
+    const days = LEADERBOARD_WINDOWS[window];
+    const since = days === null ? null : new Date(now.getTime() - days * DAY);
+    const scoring = group.leaderboard_scoring;
+
+    const standings = await this.getStandings(groupId, { scoring, since, limit, offset });
+
+    return {
+      scoring,
+      window,
+      since,
+      standings,
+      count: standings.length,
+    };
+  }
+
+  /**
+   * Ranked standings of a group's active members
+   * @param {string} groupId - Group ID
+   * @param {object} options - See GroupLeaderboard.getStandings
+   * @returns {Promise<Array>} Standings, best first
+   */
+  static async getStandings(groupId, options) {
+    const rows = await GroupLeaderboard.getStandings(groupId, options);
+
+    return rows.map((row) => ({
+      rank: parseInt(row.rank),
+      user_id: row.user_id,
+      username: row.username,
+      display_name: row.display_name,
+      avatar_url: row.avatar_url,
+      points: this._round(parseFloat(row.points)),
+      bets: parseInt(row.bets),
+      won: parseInt(row.won),
+      lost: parseInt(row.lost),
+      push: parseInt(row.push),
+      last_result_at: row.last_result_at,
+    }));
+  }
+
+  /**
+   * Record a bet's points on the leaderboards of the groups it is shared with
+   * Called whenever a bet is resolved or re-graded, in the same transaction.
+   * Bets that no longer score (voided on re-grade) are removed; parlay legs
+   * never score on their own. The owner's standings in those groups are
+   * updated with it, so all-time rankings need no totalling when read.
+   * @param {object} bet - Resolved bet
+   * @param {object} client - Pool client of the surrounding transaction
+   * @returns {Promise<void>}
+   */
+  static async recordBet(bet, client) {
+    await GroupLeaderboard.removeBet(bet.id, client);
+
+    if (bet.parent_bet_id) {
+      return;
+    }
+
+    if (SCORED_STATUSES.includes(bet.status)) {
+      await GroupLeaderboard.addBet(bet.id, this.scoreBet(bet), client);
+    }
+
+    await GroupLeaderboard.refreshStandings(bet.id, bet.user_id, client);
+  }
+
+  /**
+   * Points of a graded bet under each scoring rule
+   * - flat: 1 point per win
+   * - confidence: the bet's confidence level (1-5, 1 when unset) per win
+   * - units: profit of a one-unit stake at the odds the bet paid (even money
+   *   without odds), so a loss costs 1
+   * Pushes score nothing.
+   * @param {object} bet - Graded bet
+   * @returns {object} { flatPoints, confidencePoints, units }
+   */
+  static scoreBet(bet) {
+    if (bet.status === 'won') {
+      const odds = bet.payout_odds_decimal || bet.odds_decimal;
+
+      return {
+        flatPoints: 1,
+        confidencePoints: bet.confidence_level || 1,
+        units: (odds ? parseFloat(odds) : EVEN_MONEY) - 1,
+      };
+    }
+
+    return {
+      flatPoints: 0,
+      confidencePoints: 0,
+      units: bet.status === 'lost' ? -1 : 0,
+    };
+  }
+
+  /**
+   * Round to 2 decimal places
+   * @private
+   * @param {number} value - Value
+   * @returns {number} Rounded value
+   */
+  static _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = LeaderboardService;
@@ -0,0 +1,73 @@
+/**
+ * Notification Service
+ * Stores user notifications and pushes them over WebSocket
+ */
+
+const Notification = require('../models/Notification');
+const { sendToUser } = require('../websocket');
+
+class NotificationService {
+  /**
+   * Notify a user
+   * The notification is stored, then pushed to the user's open connections.
+   * @param {string} userId - User to notify
+   * @param {string} type - Notification type, e.g. 'bet_comment'
+   * @param {object} data - Type-specific payload
+   * @returns {Promise<object>} Created notification
+   */
+  static async notify(userId, type, data = {}) {
+    const notification = await Notification.create({ userId, type, data });
+
+    sendToUser(userId, {
+      type: 'notification',
+      notification,
+    });
+
+    return notification;
+  }
+
+  /**
+   * Get a user's notifications
+   * @param {string} userId - User ID
+   * @param {object} options - { unreadOnly, limit, offset }
+   * @returns {Promise<object>} Notifications and unread count
+   */
+  static async getNotifications(userId, options = {}) {
+    const notifications = await Notification.findByUserId(userId, options);
+    const unread = await Notification.countUnread(userId);
+
+    return {
+      notifications,
+      count: notifications.length,
+      unread,
+    };
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {string} notificationId - Notification ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} Updated notification
+   */
+  static async markRead(notificationId, userId) {
+    const notification = await Notification.markRead(notificationId, userId);
+
+    if (!notification) {
+      throw new Error('Notification not found');
+    }
+
+    return notification;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} { updated }
+   */
+  static async markAllRead(userId) {
+    const updated = await Notification.markAllRead(userId);
+    return { updated };
+  }
+}
+
+module.exports = NotificationService;
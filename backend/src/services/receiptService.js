@@ -0,0 +1,198 @@
+/**
+ * Receipt Service
+ * Issues hash-chained bet receipts and verifies a user's chain
+ */
+
+const Bet = require('../models/Bet');
+const BetReceipt = require('../models/BetReceipt');
+const GroupMember = require('../models/GroupMember');
+const { hashContent, hashReceipt } = require('../utils/receipts');
+const { isValidUUID } = require('../utils/validation');
+
+class ReceiptService {
+  /**
+   * Append a receipt for a bet to its owner's chain
+   * @param {string} betId - Bet ID
+   * @param {string} kind - 'placed' or 'updated'
+   * @param {object} client - Pool client of the transaction that wrote the bet
+   * @returns {Promise<object>} Created receipt
+   */
+  static async issueReceipt(betId, kind, client) {
+    const [content] = await Bet.findReceiptContent([betId], client);
+    return await this._append(content, kind, client);
+  }
+
+  /**
+   * Append an 'updated' receipt if an update changed the receipt content
+   * Changes to notes or visibility are not covered and add no receipt.
+   * @param {string} betId - Bet ID
+   * @param {object} client - Pool client of the transaction that updated the bet
+   * @returns {Promise<object|null>} Created receipt, or null if the content is unchanged
+   */
+  static async recordUpdate(betId, client) {
+    const [content] = await Bet.findReceiptContent([betId], client);
+    const receipts = await BetReceipt.findByBetId(betId, client);
+    const latest = receipts[receipts.length - 1];
+
+    if (latest && latest.content_hash === hashContent(content)) {
+      return null;
+    }
+
+    return await this._append(content, 'updated', client);
+  }
+
+  /**
+   * Get the receipts of a bet and whether its current content matches the latest
+   * Callers check access to the bet first.
+   * @param {string} betId - Bet ID
+   * @returns {Promise<object>} { receipts, content_hash, matches }
+   */
+  static async getBetReceipts(betId) {
+    const receipts = await BetReceipt.findByBetId(betId);
+    const [content] = await Bet.findReceiptContent([betId]);
+
+    const latest = receipts[receipts.length - 1];
+    const contentHash = content ? hashContent(content) : null;
+
+    return {
+      receipts,
+      content_hash: contentHash,
+      matches: latest ? latest.content_hash === contentHash : null,
+    };
+  }
+
+  /**
+   * Verify a receipt chain on behalf of a user
+   * Users can verify their own chain and the chains of members of their groups.
+   * @param {string} userId - Owner of the chain
+   * @param {string} requesterId - Requesting user ID
+   * @returns {Promise<object>} Verification report (see verifyChain)
+   */
+  static async verifyChainFor(userId, requesterId) {
+    if (!isValidUUID(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    if (userId !== requesterId && !(await GroupMember.sharesGroup(requesterId, userId))) {
+      throw new Error('Access denied to receipt chain');
+    }
+
+    return await this.verifyChain(userId);
+  }
+
+  /**
+   * Recompute a user's receipt chain and report every break
+   * - missing_receipt: a sequence number is skipped
+   * - broken_link: previous_hash is not the hash of the receipt before
+   * - receipt_altered: a stored receipt no longer hashes to its receipt_hash
+   * - content_altered: a bet no longer matches its latest receipt
+   * Deleted bets are counted but cannot be checked.
+   * @param {string} userId - Owner of the chain
+   * @returns {Promise<object>} Verification report
+   */
+  static async verifyChain(userId) {
+    const receipts = await BetReceipt.findByUserId(userId);
+
+    const betIds = [...new Set(receipts.map((receipt) => receipt.bet_id))];
+    const contents = betIds.length > 0 ? await Bet.findReceiptContent(betIds) : [];
+    const contentById = new Map(contents.map((content) => [content.id, content]));
+
+    const breaks = [];
+    const latestByBet = new Map();
+    let previous = null;
+
+    for (const receipt of receipts) {
+      const brokenAt = (reason) =>
+        breaks.push({ sequence: receipt.sequence, bet_id: receipt.bet_id, reason });
+
+      const expectedSequence = previous ? previous.sequence + 1 : 1;
+      if (receipt.sequence !== expectedSequence) {
+        brokenAt('missing_receipt');
+      }
+
+      if (receipt.previous_hash !== (previous ? previous.receipt_hash : null)) {
+        brokenAt('broken_link');
+      }
+
+      const receiptHash = hashReceipt({
+        userId: receipt.user_id,
+        sequence: receipt.sequence,
+        betId: receipt.bet_id,
+        kind: receipt.kind,
+        contentHash: receipt.content_hash,
+        previousHash: receipt.previous_hash,
+      });
+      if (receiptHash !== receipt.receipt_hash) {
+        brokenAt('receipt_altered');
+      }
+
+      latestByBet.set(receipt.bet_id, receipt);
+      previous = receipt;
+    }
+
+    let deleted = 0;
+
+    for (const [betId, receipt] of latestByBet) {
+      const content = contentById.get(betId);
+
+      if (!content) {
+        deleted++;
+      } else if (hashContent(content) !== receipt.content_hash) {
+        breaks.push({ sequence: receipt.sequence, bet_id: betId, reason: 'content_altered' });
+      }
+    }
+
+    breaks.sort((a, b) => a.sequence - b.sequence);
+
+    return {
+      user_id: userId,
+      valid: breaks.length === 0,
+      receipts: receipts.length,
+      bets: latestByBet.size,
+      deleted,
+      head: previous ? previous.receipt_hash : null,
+      breaks,
+    };
+  }
+
+  /**
+   * Append receipt content to its owner's chain
+   * @private
+   * @param {object} content - Receipt content of a bet
+   * @param {string} kind - 'placed' or 'updated'
+   * @param {object} client - Pool client of the surrounding transaction
+   * @returns {Promise<object>} Created receipt
+   */
+  static async _append(content, kind, client) {
+    await BetReceipt.lockChain(content.user_id, client);
+
+    const previous = await BetReceipt.findLatestByUserId(content.user_id, client);
+    const sequence = previous ? previous.sequence + 1 : 1;
+    const previousHash = previous ? previous.receipt_hash : null;
+    const contentHash = hashContent(content);
+
+    const receiptHash = hashReceipt({
+      userId: content.user_id,
+      sequence,
+      betId: content.id,
+      kind,
+      contentHash,
+      previousHash,
+    });
+
+    return await BetReceipt.create(
+      {
+        userId: content.user_id,
+        betId: content.id,
+        sequence,
+        kind,
+        contentHash,
+        previousHash,
+        receiptHash,
+      },
+      client
+    );
+  }
+}
+
+module.exports = ReceiptService;
@@ -5,6 +5,7 @@
 
 const Score = require('../models/Score');
 const SportsAPIService = require('./sportsApiService');
+const SettlementService = require('./settlementService');
 
 // Cache TTL in seconds
 const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 300; // 5 minutes default
@@ -62,7 +63,7 @@ class ScoreService {
       const apiGame = await SportsAPIService.fetchGameById(gameId);
 
       if (apiGame) {
-        game = await Score.upsert(apiGame);
+        game = await this._saveScore(apiGame);
       }
     }
 
@@ -110,7 +111,7 @@ class ScoreService {
 
     // Update cache
     for (const game of apiGames) {
-      await Score.upsert(game);
+      await this._saveScore(game);
     }
 
     // Return from database
@@ -132,10 +133,12 @@ class ScoreService {
 
       // Update database
       for (const score of apiScores) {
-        await Score.upsert(score);
+        await this._saveScore(score);
         updateCount++;
       }
 
+      await this._settleMissedGames(sportType);
+
       console.log(`Refreshed ${updateCount} ${sportType} scores`);
       return updateCount;
     } catch (error) {
@@ -206,6 +209,60 @@ class ScoreService {
     return stats;
   }
 
+  /**
+   * Retry settlement of final games that still have pending bets
+   * Settling a game that just went final can fail (e.g. a lost database
+   * connection); the next refresh picks it up here so its bets do not stay
+   * pending.
+   * @private
+   * @param {string} sportType - Sport type
+   * @returns {Promise<number>} Number of games retried
+   */
+  static async _settleMissedGames(sportType) {
+    const games = await Score.findFinalWithPendingBets(sportType);
+
+    for (const game of games) {
+      try {
+        await SettlementService.settleGame(game);
+      } catch (error) {
+        console.error(`Error settling bets for game ${game.game_id}:`, error.message);
+      }
+    }
+
+    return games.length;
+  }
+
+  /**
+   * Upsert a score and settle bets if the game just went final,
+   * or void them if it was just postponed or cancelled
+   * @private
+   * @param {object} scoreData - Score data
+   * @returns {Promise<object>} Upserted score
+   */
+  static async _saveScore(scoreData) {
+    const game = await Score.upsert(scoreData);
+
+    if (game.status === 'final' && game.previous_status !== 'final') {
+      try {
+        await SettlementService.settleGame(game);
+      } catch (error) {
+        // Settlement failures must not block score updates; the next
+        // refresh retries them (see _settleMissedGames)
+        console.error(`Error settling bets for game ${game.game_id}:`, error.message);
+      }
+    }
+
+    if (SettlementService.isVoidStatus(game.status) && game.previous_status !== game.status) {
+      try {
+        await SettlementService.voidGame(game);
+      } catch (error) {
+        console.error(`Error voiding bets for game ${game.game_id}:`, error.message);
+      }
+    }
+
+    return game;
+  }
+
   /**
    * Check if score data is stale
    * @private
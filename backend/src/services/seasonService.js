@@ -0,0 +1,219 @@
+/**
+ * Season Service
+ * Time-boxed group competitions with live standings and archived final tables
+ */
+
+const Group = require('../models/Group');
+const GroupMember = require('../models/GroupMember');
+const GroupSeason = require('../models/GroupSeason');
+const LeaderboardService = require('./leaderboardService');
+
+const SPORT_TYPES = ['football', 'basketball', 'baseball', 'soccer', 'hockey', 'other'];
+const SCORING_RULES = ['flat', 'confidence', 'units'];
+const SEASON_STATUSES = ['upcoming', 'active', 'closed', 'final'];
+const MAX_SEASON_NAME_LENGTH = 100;
+
+// Time after a season ends for late results and disputes before its table is archived
+const SEASON_FINALIZE_HOURS = parseInt(process.env.SEASON_FINALIZE_HOURS) || 48;
+
+const HOUR = 60 * 60 * 1000;
+
+class SeasonService {
+  /**
+   * Create a season (group owner only)
+   * Scoring defaults to the group's leaderboard scoring; without sports,
+   * games of every sport count.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Owner ID
+   * @param {object} seasonData - { name, startsAt, endsAt, sports, scoring }
+   * @param {Date} now - Reference time
+   * @returns {Promise<object>} Created season
+   */
+  static async createSeason(groupId, userId, seasonData = {}, now = new Date()) {
+    const { name, startsAt, endsAt, sports, scoring } = seasonData;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (group.owner_id !== userId) {
+      throw new Error('Only group owner can manage seasons');
+    }
+
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName) {
+      throw new Error('Season name is required');
+    }
+    if (trimmedName.length > MAX_SEASON_NAME_LENGTH) {
+      throw new Error(`Season name too long (max ${MAX_SEASON_NAME_LENGTH} characters)`);
+    }
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (!startsAt || !endsAt || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error('Invalid season dates');
+    }
+    if (end <= start) {
+      throw new Error('Season must end after it starts');
+    }
+    if (end <= now) {
+      throw new Error('Season end must be in the future');
+    }
+
+    if (scoring !== undefined && !SCORING_RULES.includes(scoring)) {
+      throw new Error('Season scoring must be flat, confidence or units');
+    }
+
+    return await GroupSeason.create({
+      groupId,
+      name: trimmedName,
+      startsAt: start,
+      endsAt: end,
+      sports: this._normalizeSports(sports),
+      scoring: scoring || group.leaderboard_scoring,
+      createdBy: userId,
+    });
+  }
+
+  /**
+   * Get the seasons of a group, latest first
+   * Seasons due for archiving are archived first, so history always shows
+   * final tables.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Requesting user ID
+   * @param {object} options - { status, limit, offset }
+   * @param {Date} now - Reference time
+   * @returns {Promise<object>} { seasons, count }
+   */
+  static async getSeasons(groupId, userId, options = {}, now = new Date()) {
+    if (options.status && !SEASON_STATUSES.includes(options.status)) {
+      throw new Error('Season status must be upcoming, active, closed or final');
+    }
+
+    await this._assertCanView(groupId, userId);
+
+    const due = await GroupSeason.findDueForFinalization(groupId, this._finalizeCutoff(now));
+    for (const season of due) {
+      await this._finalize(season);
+    }
+
+    const seasons = await GroupSeason.findByGroupId(groupId, options);
+
+    return {
+      seasons,
+      count: seasons.length,
+    };
+  }
+
+  /**
+   * Get a season with its standings
+   * Standings are live until the season is archived, then the archived
+   * final table is returned.
+   * @param {string} groupId - Group ID
+   * @param {string} seasonId - Season ID
+   * @param {string} userId - Requesting user ID
+   * @param {Date} now - Reference time
+   * @returns {Promise<object>} { season, final, standings }
+   */
+  static async getSeason(groupId, seasonId, userId, now = new Date()) {
+    await this._assertCanView(groupId, userId);
+
+    let season = await GroupSeason.findById(groupId, seasonId);
+    if (!season) {
+      throw new Error('Season not found');
+    }
+
+    if (!season.finalized_at && new Date(season.ends_at) <= this._finalizeCutoff(now)) {
+      season = await this._finalize(season);
+    }
+
+    const { final_standings: finalStandings, ...details } = season;
+
+    return {
+      season: details,
+      final: Boolean(season.finalized_at),
+      standings: season.finalized_at ? finalStandings : await this._liveStandings(season),
+    };
+  }
+
+  /**
+   * Archive the final table of a season
+   * @private
+   * @param {object} season - Season that ended
+   * @returns {Promise<object>} Finalized season
+   */
+  static async _finalize(season) {
+    const standings = await this._liveStandings(season);
+    const finalized = await GroupSeason.finalize(season.id, standings);
+
+    // Archived meanwhile by another request
+    return finalized || (await GroupSeason.findById(season.group_id, season.id));
+  }
+
+  /**
+   * Current standings of a season
+   * @private
+   * @param {object} season - Season
+   * @returns {Promise<Array>} Standings, best first
+   */
+  static async _liveStandings(season) {
+    return await LeaderboardService.getStandings(season.group_id, {
+      scoring: season.scoring,
+      season: { startsAt: season.starts_at, endsAt: season.ends_at, sports: season.sports },
+      limit: null,
+    });
+  }
+
+  /**
+   * Seasons that ended before this time are archived
+   * @private
+   * @param {Date} now - Reference time
+   * @returns {Date} Cutoff
+   */
+  static _finalizeCutoff(now) {
+    return new Date(now.getTime() - SEASON_FINALIZE_HOURS * HOUR);
+  }
+
+  /**
+   * Validate and de-duplicate a sports list
+   * @private
+   * @param {Array|undefined} sports - Sports
+   * @returns {Array|null} Sports, or null for all sports
+   */
+  static _normalizeSports(sports) {
+    if (sports === undefined || sports === null) {
+      return null;
+    }
+
+    if (
+      !Array.isArray(sports) ||
+      sports.length === 0 ||
+      !sports.every((sport) => SPORT_TYPES.includes(sport))
+    ) {
+      throw new Error(`Season sports must be a list of: ${SPORT_TYPES.join(', ')}`);
+    }
+
+    return [...new Set(sports)];
+  }
+
+  /**
+   * Check that a user can see a group's seasons (member or public group)
+   * @private
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   */
+  static async _assertCanView(groupId, userId) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    const isMember = await GroupMember.isMember(groupId, userId);
+    if (group.is_private && !isMember) {
+      throw new Error('Access denied to private group');
+    }
+  }
+}
+
+module.exports = SeasonService;
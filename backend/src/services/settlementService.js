@@ -0,0 +1,268 @@
+/**
+ * Settlement Service
+ * Grades pending bets automatically once their game goes final
+ */
+
+const Bet = require('../models/Bet');
+const Score = require('../models/Score');
+const LeaderboardService = require('./leaderboardService');
+const StatsService = require('./statsService');
+const WalletService = require('./walletService');
+const { transaction } = require('../config/database');
+const { MARKET_TYPES, gradeMarket } = require('../utils/markets');
+const { combineDecimalOdds } = require('../utils/odds');
+
+// Score statuses that void every pending bet on the game
+const VOID_GAME_STATUSES = ['postponed', 'cancelled'];
+
+// Market grades mapped to bet statuses
+const GRADE_STATUSES = { win: 'won', loss: 'lost', push: 'push' };
+
+class SettlementService {
+  /**
+   * Settle all pending bets for a completed game
+   * @param {object} game - Score row with status 'final'
+   * @returns {Promise<object>} Settlement counts
+   */
+  static async settleGame(game) {
+    if (!game || game.status !== 'final') {
+      throw new Error('Game is not final');
+    }
+
+    const bets = await Bet.findByGameId(game.game_id);
+
+    let settled = 0;
+    let skipped = 0;
+    const parlayIds = new Set();
+
+    for (const bet of bets) {
+      // Historical imports keep the result they were imported with
+      if (bet.status !== 'pending' || bet.is_historical) continue;
+
+      const grade = this.gradeBet(bet, game);
+
+      // Ungradeable bets stay pending for manual resolution
+      if (!grade) {
+        skipped++;
+        continue;
+      }
+
+      await this.resolveBet(bet.id, grade);
+      settled++;
+
+      if (bet.parent_bet_id) {
+        parlayIds.add(bet.parent_bet_id);
+      }
+    }
+
+    for (const parlayId of parlayIds) {
+      await this.settleParlay(parlayId);
+    }
+
+    console.log(`Settled ${settled} bets for game ${game.game_id} (${skipped} left for manual resolution)`);
+
+    return { settled, skipped };
+  }
+
+  /**
+   * Void all pending bets for a postponed or cancelled game
+   * Stakes are refunded and parlays drop the voided legs.
+   * @param {object} game - Score row with status 'postponed' or 'cancelled'
+   * @returns {Promise<object>} Void count
+   */
+  static async voidGame(game) {
+    if (!game || !VOID_GAME_STATUSES.includes(game.status)) {
+      throw new Error('Game is not postponed or cancelled');
+    }
+
+    const bets = await Bet.findByGameId(game.game_id);
+    const voidReason = `Game ${game.status}`;
+
+    let voided = 0;
+    const parlayIds = new Set();
+
+    for (const bet of bets) {
+      // Historical imports keep the result they were imported with
+      if (bet.status !== 'pending' || bet.is_historical) continue;
+
+      await this.resolveBet(bet.id, { status: 'void', voidReason });
+      voided++;
+
+      if (bet.parent_bet_id) {
+        parlayIds.add(bet.parent_bet_id);
+      }
+    }
+
+    for (const parlayId of parlayIds) {
+      await this.settleParlay(parlayId);
+    }
+
+    console.log(`Voided ${voided} bets for ${game.status} game ${game.game_id}`);
+
+    return { voided };
+  }
+
+  /**
+   * Check whether a game status voids its pending bets
+   * @param {string} status - Score status
+   * @returns {boolean} Void status
+   */
+  static isVoidStatus(status) {
+    return VOID_GAME_STATUSES.includes(status);
+  }
+
+  /**
+   * Grade a bet against a final score
+   * @param {object} bet - Bet row
+   * @param {object} game - Final score row
+   * @returns {object|null} { status, actualOutcome } or null if ungradeable
+   */
+  static gradeBet(bet, game) {
+    if (!this.canGrade(bet)) return null;
+
+    const result = gradeMarket(bet.market, {
+      homeScore: parseInt(game.home_score),
+      awayScore: parseInt(game.away_score),
+    });
+
+    return {
+      status: GRADE_STATUSES[result],
+      actualOutcome: this.formatFinalScore(game),
+    };
+  }
+
+  /**
+   * Check whether the engine knows how to grade a bet
+   * Legacy free-text bets have no market and cannot be graded
+   * @param {object} bet - Bet row
+   * @returns {boolean} Gradeable status
+   */
+  static canGrade(bet) {
+    return Boolean(bet.market) && MARKET_TYPES.includes(bet.market.type);
+  }
+
+  /**
+   * Settle a parlay if its legs decide it
+   * @param {string} parlayId - Parlay bet ID
+   * @returns {Promise<object|null>} Resolved parlay or null if still open
+   */
+  static async settleParlay(parlayId) {
+    const parlay = await Bet.findById(parlayId);
+    if (!parlay || parlay.status !== 'pending') return null;
+
+    const legs = await Bet.findLegs([parlayId]);
+    const grade = this.gradeParlay(legs, parlay.odds_decimal);
+    if (!grade) return null;
+
+    return await this.resolveBet(parlayId, grade);
+  }
+
+  /**
+   * Resolve a pending bet, settle its stake and score it on group
+   * leaderboards in one transaction
+   * The owner's cached statistics are dropped once it commits.
+   * @param {string} betId - Bet ID
+   * @param {object} resolution - { status, actualOutcome, voidReason, payoutOdds }
+   * @returns {Promise<object|undefined>} Resolved bet, or undefined if it was no longer pending
+   */
+  static async resolveBet(betId, resolution) {
+    const bet = await transaction(async (client) => {
+      const resolved = await Bet.resolve(betId, resolution, client);
+
+      if (resolved) {
+        await WalletService.settleStake(resolved, client);
+        await LeaderboardService.recordBet(resolved, client);
+      }
+
+      return resolved;
+    });
+
+    if (bet) {
+      StatsService.invalidate(bet.user_id);
+    }
+
+    return bet;
+  }
+
+  /**
+   * Grade a parlay from the status of its legs
+   * A parlay loses as soon as any leg loses and wins once every remaining
+   * leg has won. Pushed, voided or cancelled legs are dropped; if none are
+   * left the parlay is voided (every leg void) or pushed.
+   * A win with dropped legs pays the combined odds of the legs that still
+   * count when they all have odds. Otherwise the parlay's own odds are
+   * scaled down to the share of legs left, as if every leg had equal odds.
+   * @param {Array} legs - Leg bet rows
+   * @param {string|number|null} parlayOdds - Decimal odds of the parlay, if any
+   * @returns {object|null} { status, actualOutcome, voidReason, payoutOdds } or null if undecided
+   */
+  static gradeParlay(legs, parlayOdds = null) {
+    const counted = legs.filter((leg) => !['push', 'void', 'cancelled'].includes(leg.status));
+    const lost = counted.filter((leg) => leg.status === 'lost').length;
+    const won = counted.filter((leg) => leg.status === 'won').length;
+
+    if (lost > 0) {
+      return {
+        status: 'lost',
+        actualOutcome: `${lost} of ${counted.length} legs lost`,
+      };
+    }
+
+    if (counted.length > 0 && won === counted.length) {
+      const grade = { status: 'won', actualOutcome: `All ${won} legs won` };
+
+      if (counted.length < legs.length) {
+        if (counted.every((leg) => leg.odds_decimal)) {
+          grade.payoutOdds = combineDecimalOdds(counted.map((leg) => parseFloat(leg.odds_decimal)));
+        } else if (parlayOdds) {
+          const share = counted.length / legs.length;
+          grade.payoutOdds = combineDecimalOdds([parseFloat(parlayOdds) ** share]);
+        }
+      }
+
+      return grade;
+    }
+
+    if (counted.length === 0) {
+      if (legs.every((leg) => ['void', 'cancelled'].includes(leg.status))) {
+        return { status: 'void', voidReason: 'All legs voided' };
+      }
+
+      return { status: 'push', actualOutcome: 'No legs left after pushes' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a bet is (or will be) graded by the engine,
+   * in which case manual resolution is not allowed
+   * @param {object} bet - Bet row
+   * @returns {Promise<boolean>} Auto-gradeable status
+   */
+  static async isAutoGradeable(bet) {
+    if (!this.canGrade(bet)) return false;
+
+    const game = await Score.findByGameId(bet.game_id);
+
+    // Games missing from the scores cache can never be graded
+    if (!game) return false;
+
+    if (game.status === 'final') {
+      return this.gradeBet(bet, game) !== null;
+    }
+
+    return !VOID_GAME_STATUSES.includes(game.status);
+  }
+
+  /**
+   * Format a final score as a human readable outcome
+   * @param {object} game - Score row
+   * @returns {string} Outcome description
+   */
+  static formatFinalScore(game) {
+    return `${game.home_team} ${game.home_score} - ${game.away_score} ${game.away_team}`;
+  }
+}
+
+module.exports = SettlementService;
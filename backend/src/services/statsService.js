@@ -0,0 +1,290 @@
+/**
+ * Stats Service
+ * Advanced personal statistics: streaks, calibration, breakdowns and ROI
+ */
+
+const Bet = require('../models/Bet');
+
+// Cache TTL in seconds; rolling windows drift even without new results.
+// The cache is per process, so it also bounds how stale other instances get.
+const STATS_CACHE_TTL = parseInt(process.env.STATS_CACHE_TTL) || 300;
+
+// Most users whose stats are cached at once
+const STATS_CACHE_MAX_ENTRIES = parseInt(process.env.STATS_CACHE_MAX_ENTRIES) || 1000;
+
+// Start of the season window (ISO date), defaults to January 1st
+const STATS_SEASON_START = process.env.STATS_SEASON_START || null;
+
+// Payout of a winning bet without recorded odds
+const EVEN_MONEY = 2.0;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Advanced stats per user: userId -> { stats, expiresAt }, oldest first
+const cache = new Map();
+
+class StatsService {
+  /**
+   * Get advanced statistics for a user, from the cache when fresh
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} Advanced statistics
+   */
+  static async getAdvancedStats(userId) {
+    const cached = cache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.stats;
+    }
+    cache.delete(userId);
+
+    const bets = await Bet.findGradedByUserId(userId);
+    const stats = this.computeStats(bets);
+
+    this._cacheStats(userId, stats);
+    return stats;
+  }
+
+  /**
+   * Drop a user's cached statistics
+   * Called whenever one of their bets is resolved.
+   * @param {string} userId - User ID
+   */
+  static invalidate(userId) {
+    cache.delete(userId);
+  }
+
+  /**
+   * Cache a user's statistics
+   * Entries all live for the same TTL, so the oldest expire first: expired
+   * entries are dropped from the front, then the oldest beyond the size limit.
+   * @private
+   * @param {string} userId - User ID
+   * @param {object} stats - Advanced statistics
+   */
+  static _cacheStats(userId, stats) {
+    const now = Date.now();
+
+    for (const [key, entry] of cache) {
+      if (entry.expiresAt > now && cache.size < STATS_CACHE_MAX_ENTRIES) break;
+      cache.delete(key);
+    }
+
+    cache.set(userId, { stats, expiresAt: now + STATS_CACHE_TTL * 1000 });
+  }
+
+  /**
+   * Compute advanced statistics from graded bets
+   * Streaks, confidence, bet type, windows and ROI count top-level bets
+   * (a parlay once). Team and side records count each straight bet and
+   * parlay leg that backs a side; totals and legacy bets have none.
+   * @param {Array} bets - Graded bets ordered by resolution time
+   * @param {Date} now - Reference time for the rolling windows
+   * @returns {object} Advanced statistics
+   */
+  static computeStats(bets, now = new Date()) {
+    const topLevel = bets.filter((bet) => !bet.parent_bet_id);
+    const picks = bets.filter((bet) => bet.bet_type !== 'parlay' && this._side(bet));
+
+    const seasonStart = this._seasonStart(now);
+    const since = (from) => topLevel.filter((bet) => new Date(bet.resolved_at) >= from);
+
+    return {
+      streaks: this._streaks(topLevel),
+      byConfidence: this._groupRecords(
+        topLevel.filter((bet) => bet.confidence_level !== null && bet.confidence_level !== undefined),
+        (bet) => bet.confidence_level,
+        'confidence_level'
+      ).sort((a, b) => a.confidence_level - b.confidence_level),
+      byBetType: this._groupRecords(topLevel, (bet) => bet.bet_type, 'bet_type'),
+      byTeam: this._groupRecords(picks, (bet) => this._team(bet), 'team'),
+      bySide: {
+        home: this._record(picks.filter((bet) => this._side(bet) === 'home')),
+        away: this._record(picks.filter((bet) => this._side(bet) === 'away')),
+      },
+      windows: {
+        last7Days: this._windowRecord(since(new Date(now.getTime() - 7 * DAY))),
+        last30Days: this._windowRecord(since(new Date(now.getTime() - 30 * DAY))),
+        season: { from: seasonStart, ...this._windowRecord(since(seasonStart)) },
+      },
+      roi: this._roi(topLevel),
+    };
+  }
+
+  /**
+   * Current and longest win/loss streaks
+   * Pushes neither extend nor break a streak.
+   * @private
+   * @param {Array} bets - Bets ordered by resolution time
+   * @returns {object} Streaks
+   */
+  static _streaks(bets) {
+    let current = { type: null, length: 0 };
+    let longestWin = 0;
+    let longestLoss = 0;
+
+    for (const bet of bets) {
+      if (bet.status === 'push') continue;
+
+      current =
+        current.type === bet.status
+          ? { type: bet.status, length: current.length + 1 }
+          : { type: bet.status, length: 1 };
+
+      if (current.type === 'won') longestWin = Math.max(longestWin, current.length);
+      if (current.type === 'lost') longestLoss = Math.max(longestLoss, current.length);
+    }
+
+    return {
+      current,
+      longest_win: longestWin,
+      longest_loss: longestLoss,
+    };
+  }
+
+  /**
+   * Won/lost/push record with win percentage (pushes excluded)
+   * @private
+   * @param {Array} bets - Graded bets
+   * @returns {object} Record
+   */
+  static _record(bets) {
+    const won = bets.filter((bet) => bet.status === 'won').length;
+    const lost = bets.filter((bet) => bet.status === 'lost').length;
+    const push = bets.filter((bet) => bet.status === 'push').length;
+
+    return {
+      total: bets.length,
+      won,
+      lost,
+      push,
+      win_percentage: won + lost > 0 ? this._round((won / (won + lost)) * 100) : 0,
+    };
+  }
+
+  /**
+   * Records grouped by a key, largest group first
+   * @private
+   * @param {Array} bets - Graded bets
+   * @param {Function} keyOf - Group key of a bet
+   * @param {string} keyName - Name of the key field in the result
+   * @returns {Array} Records with their key
+   */
+  static _groupRecords(bets, keyOf, keyName) {
+    const groups = new Map();
+
+    for (const bet of bets) {
+      const key = keyOf(bet);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(bet);
+    }
+
+    return [...groups.entries()]
+      .map(([key, group]) => ({ [keyName]: key, ...this._record(group) }))
+      .sort((a, b) => b.total - a.total);
+  }
+
+  /**
+   * Record, units and ROI of a time window
+   * @private
+   * @param {Array} bets - Graded bets in the window
+   * @returns {object} Window statistics
+   */
+  static _windowRecord(bets) {
+    return { ...this._record(bets), ...this._roi(bets) };
+  }
+
+  /**
+   * Profit of flat one-unit bets and return on real stakes
+   * Wins pay at the recorded odds, or even money without odds.
+   * @private
+   * @param {Array} bets - Graded bets
+   * @returns {object} { units, staked, profit, roi_percentage }
+   */
+  static _roi(bets) {
+    let units = 0;
+    let staked = 0;
+    let profit = 0;
+
+    for (const bet of bets) {
+      const net = this._netPerUnit(bet);
+      units += net;
+
+      if (bet.stake !== null && bet.stake !== undefined) {
+        const stake = parseFloat(bet.stake);
+        staked += stake;
+        profit += stake * net;
+      }
+    }
+
+    return {
+      units: this._round(units),
+      staked: this._round(staked),
+      profit: this._round(profit),
+      roi_percentage: staked > 0 ? this._round((profit / staked) * 100) : 0,
+    };
+  }
+
+  /**
+   * Net result of a one-unit stake on a graded bet
+   * @private
+   * @param {object} bet - Graded bet
+   * @returns {number} Units won or lost
+   */
+  static _netPerUnit(bet) {
+    if (bet.status === 'won') {
+      // Parlays that won after dropping legs paid their reduced odds
+      const odds = bet.payout_odds_decimal || bet.odds_decimal;
+      return (odds ? parseFloat(odds) : EVEN_MONEY) - 1;
+    }
+
+    return bet.status === 'lost' ? -1 : 0;
+  }
+
+  /**
+   * Side a bet backs, from its market
+   * @private
+   * @param {object} bet - Bet row
+   * @returns {string|null} 'home', 'away' or null
+   */
+  static _side(bet) {
+    const side = bet.market && bet.market.side;
+    return side === 'home' || side === 'away' ? side : null;
+  }
+
+  /**
+   * Team a bet backs
+   * @private
+   * @param {object} bet - Bet row with a side
+   * @returns {string} Team name
+   */
+  static _team(bet) {
+    return this._side(bet) === 'home' ? bet.home_team : bet.away_team;
+  }
+
+  /**
+   * Start of the current season window
+   * @private
+   * @param {Date} now - Reference time
+   * @returns {Date} Season start
+   */
+  static _seasonStart(now) {
+    const configured = STATS_SEASON_START ? new Date(STATS_SEASON_START) : null;
+
+    if (configured && !isNaN(configured.getTime()) && configured <= now) {
+      return configured;
+    }
+
+    return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+  }
+
+  /**
+   * Round to 2 decimal places
+   * @private
+   * @param {number} value - Value
+   * @returns {number} Rounded value
+   */
+  static _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = StatsService;
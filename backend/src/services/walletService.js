@@ -0,0 +1,274 @@
+/**
+ * Wallet Service
+ * Business logic for play-money bankrolls and stake settlement
+ */
+
+const Wallet = require('../models/Wallet');
+const { transaction } = require('../config/database');
+
+// Virtual bankroll granted on first use
+const INITIAL_BANKROLL = parseFloat(process.env.INITIAL_BANKROLL) || 1000;
+
+// Decimal odds used when a bet has none recorded
+const EVEN_MONEY = 2.0;
+
+class WalletService {
+  /**
+   * Get a user's wallet with transaction history
+   * @param {string} userId - User ID
+   * @param {object} options - Query options
+   * @returns {Promise<object>} Balance and transactions
+   */
+  static async getWallet(userId, options = {}) {
+    const wallet = await transaction((client) => this.ensureWallet(userId, client));
+
+    const transactions = await Wallet.findTransactions(wallet.id, options);
+    const total = await Wallet.getTransactionCount(wallet.id);
+
+    return {
+      balance: parseFloat(wallet.balance),
+      transactions,
+      count: transactions.length,
+      total,
+    };
+  }
+
+  /**
+   * Get (and lock) a user's wallet, creating it with the initial grant if needed
+   * @param {string} userId - User ID
+   * @param {object} client - Pool client of the surrounding transaction
+   * @returns {Promise<object>} Locked wallet
+   */
+  static async ensureWallet(userId, client) {
+    const created = await Wallet.create(userId, client);
+
+    if (created) {
+      await Wallet.applyTransaction(
+        created.id,
+        {
+          type: 'initial_grant',
+          amount: INITIAL_BANKROLL,
+          description: 'Initial play-money bankroll',
+        },
+        client
+      );
+    }
+
+    return await Wallet.findByUserId(userId, client, true);
+  }
+
+  /**
+   * Validate a stake amount
+   * @param {*} stake - Stake from the client
+   */
+  static validateStake(stake) {
+    if (typeof stake !== 'number' || !Number.isFinite(stake) || stake <= 0) {
+      throw new Error('Stake must be a positive number');
+    }
+  }
+
+  /**
+   * Debit a bet's stake from its owner's wallet
+   * @param {object} bet - Created bet with stake
+   * @param {object} client - Pool client of the surrounding transaction
+   * @returns {Promise<object>} Ledger entry
+   */
+  static async reserveStake(bet, client) {
+    const stake = parseFloat(bet.stake);
+    const wallet = await this.ensureWallet(bet.user_id, client);
+
+    if (parseFloat(wallet.balance) < stake) {
+      throw new Error('Insufficient balance');
+    }
+
+    return await Wallet.applyTransaction(
+      wallet.id,
+      {
+        type: 'stake_debit',
+        amount: -stake,
+        betId: bet.id,
+        description: `Stake on ${bet.predicted_outcome}`,
+      },
+      client
+    );
+  }
+
+  /**
+   * Settle a bet's stake according to its final status
+   * Won bets are credited the payout, pushes and cancelled/voided bets get
+   * the stake back, lost bets keep the debit.
+   * @param {object} bet - Bet with its final status
+   * @param {object} client - Pool client of the surrounding transaction
+   * @returns {Promise<object|null>} Ledger entry or null if nothing to credit
+   */
+  static async settleStake(bet, client) {
+    if (!bet.stake) return null;
+
+    const stake = parseFloat(bet.stake);
+    let entry;
+
+    switch (bet.status) {
+      case 'won':
+        entry = {
+          type: 'win_credit',
+          amount: this.calculatePayout(stake, this._payoutOdds(bet)),
+          description: `Winnings on ${bet.predicted_outcome}`,
+        };
+        break;
+      case 'push':
+        entry = { type: 'push_refund', amount: stake, description: `Push on ${bet.predicted_outcome}` };
+        break;
+      case 'cancelled':
+      case 'void':
+        entry = { type: 'stake_refund', amount: stake, description: `Refund on ${bet.predicted_outcome}` };
+        break;
+      default:
+        return null;
+    }
+
+    const wallet = await this.ensureWallet(bet.user_id, client);
+
+    return await Wallet.applyTransaction(wallet.id, { ...entry, betId: bet.id }, client);
+  }
+
+  /**
+   * Correct a settled stake after its bet was re-graded
+   * Credits or debits the difference between what the old and the new
+   * status pay out. A debit never takes the balance below zero; whatever it
+   * could not take back is recorded as a separate regrade_shortfall entry.
+   * @param {object} before - Bet with its old status
+   * @param {object} after - Bet with its new status
+   * @param {string} adminId - Admin who re-graded the bet
+   * @param {object} client - Pool client of the surrounding transaction
+   * @returns {Promise<object|null>} Ledger entry or null if nothing changes
+   */
+  static async regradeStake(before, after, adminId, client) {
+    if (!after.stake) return null;
+
+    const wallet = await this.ensureWallet(after.user_id, client);
+
+    const difference = this._settledCredit(after) - this._settledCredit(before);
+    const owed = Math.round(difference * 100) / 100;
+    const amount = Math.max(owed, -parseFloat(wallet.balance));
+    const shortfall = Math.round((amount - owed) * 100) / 100;
+    const description = `Re-graded ${after.predicted_outcome} from ${before.status} to ${after.status}`;
+
+    let entry = null;
+
+    if (amount !== 0) {
+      entry = await Wallet.applyTransaction(
+        wallet.id,
+        { type: 'regrade_adjustment', amount, betId: after.id, description, createdBy: adminId },
+        client
+      );
+    }
+
+    if (shortfall > 0) {
+      await Wallet.applyTransaction(
+        wallet.id,
+        {
+          type: 'regrade_shortfall',
+          amount: 0,
+          betId: after.id,
+          description: `${description}: ${shortfall.toFixed(2)} already spent, not taken back`,
+          createdBy: adminId,
+        },
+        client
+      );
+    }
+
+    return entry;
+  }
+
+  /**
+   * Refund the stake of a pending bet that is being deleted
+   * @param {object} bet - Pending bet
+   * @param {object} client - Pool client of the surrounding transaction
+   * @returns {Promise<object|null>} Ledger entry or null if no stake
+   */
+  static async refundStake(bet, client) {
+    return await this.settleStake({ ...bet, status: 'cancelled' }, client);
+  }
+
+  /**
+   * Adjust a user's balance (admin only)
+   * @param {string} adminId - Admin user ID
+   * @param {string} userId - Target user ID
+   * @param {number} amount - Signed amount
+   * @param {string} reason - Reason for the adjustment
+   * @returns {Promise<object>} Ledger entry
+   */
+  static async adjustBalance(adminId, userId, amount, reason) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0) {
+      throw new Error('Adjustment amount must be a non-zero number');
+    }
+
+    if (!reason || reason.trim().length === 0) {
+      throw new Error('Adjustment reason required');
+    }
+
+    return await transaction(async (client) => {
+      const wallet = await this.ensureWallet(userId, client);
+
+      if (parseFloat(wallet.balance) + amount < 0) {
+        throw new Error('Insufficient balance');
+      }
+
+      return await Wallet.applyTransaction(
+        wallet.id,
+        {
+          type: 'adjustment',
+          amount,
+          description: reason.trim(),
+          createdBy: adminId,
+        },
+        client
+      );
+    });
+  }
+
+  /**
+   * Calculate the total return of a winning stake
+   * @param {number} stake - Stake
+   * @param {number} decimalOdds - Decimal odds (defaults to even money)
+   * @returns {number} Payout including the stake, rounded to cents
+   */
+  static calculatePayout(stake, decimalOdds = EVEN_MONEY) {
+    return Math.round(stake * decimalOdds * 100) / 100;
+  }
+
+  /**
+   * Decimal odds a winning bet pays at
+   * A parlay that won after dropping legs pays its reduced odds.
+   * @private
+   * @param {object} bet - Won bet
+   * @returns {number} Decimal odds (even money without recorded odds)
+   */
+  static _payoutOdds(bet) {
+    const odds = bet.payout_odds_decimal || bet.odds_decimal;
+    return odds ? parseFloat(odds) : EVEN_MONEY;
+  }
+
+  /**
+   * Amount credited back when a bet with a stake is settled
+   * @private
+   * @param {object} bet - Bet with its final status
+   * @returns {number} Credited amount (0 for lost bets)
+   */
+  static _settledCredit(bet) {
+    const stake = parseFloat(bet.stake);
+
+    switch (bet.status) {
+      case 'won':
+        return this.calculatePayout(stake, this._payoutOdds(bet));
+      case 'push':
+      case 'cancelled':
+      case 'void':
+        return stake;
+      default:
+        return 0;
+    }
+  }
+}
+
+module.exports = WalletService;
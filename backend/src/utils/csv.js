@@ -0,0 +1,113 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 formatting and parsing for bet export/import
+ */
+
+/**
+ * Format a value as a CSV field, quoting when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Format a list of values as a CSV line
+ * @param {Array} values - Field values
+ * @returns {string} CSV line including the trailing newline
+ */
+function formatRow(values) {
+  return values.map(formatField).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows (blank lines are skipped)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Parse CSV text with a header line into objects
+ * @param {string} text - CSV text
+ * @returns {Array<object>} Records keyed by header name
+ */
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim());
+
+  return rows.map((fields) =>
+    Object.fromEntries(columns.map((column, index) => [column, fields[index] ?? '']))
+  );
+}
+
+module.exports = {
+  formatRow,
+  parseCsv,
+  parseCsvRecords,
+};
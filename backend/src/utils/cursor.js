@@ -0,0 +1,49 @@
+/**
+ * Cursor Utilities
+ * Opaque pagination cursors keyed on (created_at, id)
+ */
+
+/**
+ * Encode the cursor pointing after a row
+ * @param {object} row - Row with created_at and id
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(row) {
+  const payload = {
+    t: new Date(row.created_at).toISOString(),
+    id: row.id,
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @returns {object} { createdAt, id }
+ */
+function decodeCursor(cursor) {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!payload || typeof payload.id !== 'string' || !payload.id) {
+    throw new Error('Invalid cursor');
+  }
+
+  const createdAt = new Date(payload.t);
+  if (typeof payload.t !== 'string' || isNaN(createdAt.getTime())) {
+    throw new Error('Invalid cursor');
+  }
+
+  return { createdAt, id: payload.id };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
@@ -1,49 +1,196 @@
 /**
  * Encryption Utilities
- * Encrypt/decrypt sensitive bet data
+ * Encrypt/decrypt sensitive bet data with a keyring of rotating keys
  */
 
 const crypto = require('crypto');
 
 // Encryption configuration
 const ALGORITHM = 'aes-256-gcm';
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
 const IV_LENGTH = 16;
 const AUTH_TAG_LENGTH = 16;
 
-// Ensure encryption key is valid
-if (ENCRYPTION_KEY.length !== 64) {
-  console.warn('ENCRYPTION_KEY should be 32 bytes (64 hex characters). Using generated key.');
+// Ciphertext format: v1:<key id>:<iv><auth tag><encrypted data>
+const CIPHERTEXT_VERSION = 'v1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const KEY_PATTERN = /^[0-9a-fA-F]{64}$/;
+
+// Key ID given to ENCRYPTION_KEY, the single key used before the keyring
+const DEFAULT_KEY_ID = 'default';
+const EPHEMERAL_KEY_ID = 'ephemeral';
+
+let keyring = null;
+
+/**
+ * Parse the keyring from the environment
+ * - ENCRYPTION_KEYS: comma-separated <key id>:<64 hex characters> pairs
+ * - ENCRYPTION_KEY: a single key, added to the ring as 'default'
+ * - ENCRYPTION_KEY_ID: key new data is encrypted with (default: the last of
+ *   ENCRYPTION_KEYS, else 'default')
+ * Without any key, development and tests get a random key that does not survive
+ * a restart; production gets an empty keyring (see assertConfigured).
+ * @param {object} env - Environment variables
+ * @returns {object} { keys, activeKeyId, ephemeral }
+ */
+function parseKeyring(env = process.env) {
+  const keys = new Map();
+
+  const addKey = (id, hex) => {
+    if (!KEY_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid encryption key ID "${id}" (letters, digits, _ and -, max 32)`);
+    }
+    if (!KEY_PATTERN.test(hex)) {
+      throw new Error(`Encryption key "${id}" must be 32 bytes (64 hex characters)`);
+    }
+    if (keys.has(id)) {
+      throw new Error(`Duplicate encryption key ID "${id}"`);
+    }
+    keys.set(id, Buffer.from(hex, 'hex'));
+  };
+
+  if (env.ENCRYPTION_KEY) {
+    addKey(DEFAULT_KEY_ID, env.ENCRYPTION_KEY);
+  }
+
+  let lastListedId = null;
+  for (const entry of (env.ENCRYPTION_KEYS || '').split(',')) {
+    if (entry.trim() === '') continue;
+
+    const separator = entry.indexOf(':');
+    if (separator === -1) {
+      throw new Error('ENCRYPTION_KEYS entries must look like <key id>:<hex key>');
+    }
+
+    lastListedId = entry.slice(0, separator).trim();
+    addKey(lastListedId, entry.slice(separator + 1).trim());
+  }
+
+  if (keys.size === 0) {
+    if (env.NODE_ENV === 'production') {
+      return { keys, activeKeyId: null, ephemeral: false };
+    }
+
+    console.warn(
+      'ENCRYPTION_KEY is not set. Using a generated key; bet details will not survive a restart.'
+    );
+    keys.set(EPHEMERAL_KEY_ID, crypto.randomBytes(32));
+    return { keys, activeKeyId: EPHEMERAL_KEY_ID, ephemeral: true };
+  }
+
+  const activeKeyId = env.ENCRYPTION_KEY_ID || lastListedId || DEFAULT_KEY_ID;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`ENCRYPTION_KEY_ID "${activeKeyId}" is not in the keyring`);
+  }
+
+  return { keys, activeKeyId, ephemeral: false };
+}
+
+/**
+ * Get the keyring, parsing it on first use
+ * @returns {object} { keys, activeKeyId, ephemeral }
+ */
+function getKeyring() {
+  if (!keyring) {
+    keyring = parseKeyring();
+  }
+  return keyring;
+}
+
+/**
+ * Encrypt text with the active key
+ * @param {string} text - Plain text
+ * @returns {string} Versioned ciphertext
+ */
+function encryptText(text) {
+  const { keys, activeKeyId } = getKeyring();
+
+  if (!activeKeyId) {
+    throw new Error('No encryption key configured');
+  }
+
+  // Generate random IV
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+
+  let encrypted = cipher.update(text, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+
+  const authTag = cipher.getAuthTag();
+
+  // Combine key ID + IV + auth tag + encrypted data
+  return `${CIPHERTEXT_VERSION}:${activeKeyId}:${iv.toString('hex')}${authTag.toString('hex')}${encrypted}`;
+}
+
+/**
+ * Decrypt text with one key
+ * @param {Buffer} key - AES-256 key
+ * @param {string} payload - IV, auth tag and encrypted data in hex
+ * @returns {string} Plain text
+ */
+function decryptWithKey(key, payload) {
+  // Extract IV, auth tag, and encrypted text
+  const ivHex = payload.substring(0, IV_LENGTH * 2);
+  const authTagHex = payload.substring(IV_LENGTH * 2, (IV_LENGTH + AUTH_TAG_LENGTH) * 2);
+  const encryptedText = payload.substring((IV_LENGTH + AUTH_TAG_LENGTH) * 2);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+
+  let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
+}
+
+/**
+ * Decrypt versioned or legacy ciphertext
+ * Legacy ciphertext carries no key ID; every key is tried, 'default' first.
+ * @param {string} encryptedData - Ciphertext
+ * @returns {string} Plain text
+ */
+function decryptText(encryptedData) {
+  if (!encryptedData || typeof encryptedData !== 'string') {
+    throw new Error('Invalid encrypted data');
+  }
+
+  const { keys } = getKeyring();
+  const keyId = getKeyId(encryptedData);
+
+  if (keyId) {
+    const key = keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown encryption key "${keyId}"`);
+    }
+    return decryptWithKey(key, encryptedData.slice(CIPHERTEXT_VERSION.length + keyId.length + 2));
+  }
+
+  const candidates = [...keys.keys()].sort((a, b) =>
+    a === DEFAULT_KEY_ID ? -1 : b === DEFAULT_KEY_ID ? 1 : 0
+  );
+
+  for (const id of candidates) {
+    try {
+      return decryptWithKey(keys.get(id), encryptedData);
+    } catch (error) {
+      // Wrong key; the auth tag does not match
+    }
+  }
+
+  throw new Error('No key in the keyring decrypts this data');
 }
 
 /**
  * Encrypt data
  * @param {object|string} data - Data to encrypt
- * @returns {string} Encrypted data with IV and auth tag
+ * @returns {string} Encrypted data with key ID, IV and auth tag
  */
 function encrypt(data) {
   try {
     // Convert data to string if it's an object
     const text = typeof data === 'string' ? data : JSON.stringify(data);
 
-    // Generate random IV
-    const iv = crypto.randomBytes(IV_LENGTH);
-
-    // Create cipher
-    const key = Buffer.from(ENCRYPTION_KEY.substring(0, 64), 'hex');
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-
-    // Encrypt data
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-
-    // Get auth tag
-    const authTag = cipher.getAuthTag();
-
-    // Combine IV + auth tag + encrypted data
-    const combined = iv.toString('hex') + authTag.toString('hex') + encrypted;
-
-    return combined;
+    return encryptText(text);
   } catch (error) {
     console.error('Encryption error:', error);
     throw new Error('Failed to encrypt data');
@@ -52,31 +199,12 @@ function encrypt(data) {
 
 /**
  * Decrypt data
- * @param {string} encryptedData - Encrypted data with IV and auth tag
+ * @param {string} encryptedData - Encrypted data with key ID, IV and auth tag
  * @returns {object|string} Decrypted data
  */
 function decrypt(encryptedData) {
   try {
-    if (!encryptedData || typeof encryptedData !== 'string') {
-      throw new Error('Invalid encrypted data');
-    }
-
-    // Extract IV, auth tag, and encrypted text
-    const ivHex = encryptedData.substring(0, IV_LENGTH * 2);
-    const authTagHex = encryptedData.substring(IV_LENGTH * 2, (IV_LENGTH + AUTH_TAG_LENGTH) * 2);
-    const encryptedText = encryptedData.substring((IV_LENGTH + AUTH_TAG_LENGTH) * 2);
-
-    const iv = Buffer.from(ivHex, 'hex');
-    const authTag = Buffer.from(authTagHex, 'hex');
-
-    // Create decipher
-    const key = Buffer.from(ENCRYPTION_KEY.substring(0, 64), 'hex');
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    decipher.setAuthTag(authTag);
-
-    // Decrypt data
-    let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
+    const decrypted = decryptText(encryptedData);
 
     // Try to parse as JSON, return as string if fails
     try {
@@ -90,6 +218,34 @@ function decrypt(encryptedData) {
   }
 }
 
+/**
+ * Get the key ID of versioned ciphertext
+ * @param {string} encryptedData - Ciphertext
+ * @returns {string|null} Key ID, or null for legacy ciphertext
+ */
+function getKeyId(encryptedData) {
+  const parts = encryptedData.split(':');
+  return parts.length === 3 && parts[0] === CIPHERTEXT_VERSION ? parts[1] : null;
+}
+
+/**
+ * Get the ID of the key new data is encrypted with
+ * @returns {string|null} Active key ID
+ */
+function getActiveKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+/**
+ * Re-encrypt ciphertext with the active key
+ * The plain text is carried over byte for byte.
+ * @param {string} encryptedData - Ciphertext under any key of the ring
+ * @returns {string} Ciphertext under the active key
+ */
+function reencrypt(encryptedData) {
+  return encryptText(decryptText(encryptedData));
+}
+
 /**
  * Hash data (one-way)
  * @param {string} data - Data to hash
@@ -109,17 +265,34 @@ function generateToken(length = 32) {
 }
 
 /**
- * Check if encryption key is configured
+ * Check if encryption keys are configured
  * @returns {boolean} Configuration status
  */
 function isConfigured() {
-  return process.env.ENCRYPTION_KEY && process.env.ENCRYPTION_KEY.length === 64;
+  const { keys, ephemeral } = getKeyring();
+  return keys.size > 0 && !ephemeral;
+}
+
+/**
+ * Refuse to run in production without a configured key
+ * Also surfaces malformed key configuration at startup.
+ */
+function assertConfigured() {
+  // Only production is left without an active key (see parseKeyring)
+  if (!getKeyring().activeKeyId) {
+    throw new Error('ENCRYPTION_KEY or ENCRYPTION_KEYS must be set in production');
+  }
 }
 
 module.exports = {
   encrypt,
   decrypt,
+  reencrypt,
+  getKeyId,
+  getActiveKeyId,
+  parseKeyring,
   hash,
   generateToken,
   isConfigured,
+  assertConfigured,
 };
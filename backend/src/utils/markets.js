@@ -0,0 +1,203 @@
+/**
+ * Bet Market Utilities
+ * Typed bet markets (moneyline, spread, total) with validation and grading
+ */
+
+const SIDES = ['home', 'away'];
+const SELECTIONS = ['over', 'under'];
+
+/**
+ * Check that a line is a finite number
+ * @param {*} line - Line to check
+ * @returns {boolean} Valid status
+ */
+function isValidLine(line) {
+  return typeof line === 'number' && Number.isFinite(line);
+}
+
+/**
+ * Resolve the side of a market from either `side` or `team`
+ * @param {object} market - Raw market
+ * @param {object} game - Game teams { homeTeam, awayTeam }
+ * @returns {string|null} 'home', 'away' or null
+ */
+function resolveSide(market, game) {
+  if (SIDES.includes(market.side)) return market.side;
+
+  if (typeof market.team === 'string') {
+    const team = market.team.trim().toLowerCase();
+    if (team === game.homeTeam.toLowerCase()) return 'home';
+    if (team === game.awayTeam.toLowerCase()) return 'away';
+  }
+
+  return null;
+}
+
+/**
+ * Compare two numbers into a market result
+ * @param {number} picked - Value for the picked side
+ * @param {number} other - Value for the other side
+ * @returns {string} 'win', 'loss' or 'push'
+ */
+function compare(picked, other) {
+  if (picked > other) return 'win';
+  if (picked < other) return 'loss';
+  return 'push';
+}
+
+const MARKETS = {
+  moneyline: {
+    validate(market, game) {
+      const errors = [];
+      const side = resolveSide(market, game);
+
+      if (!side) {
+        errors.push('Moneyline must name the home or away team');
+      }
+
+      return { errors, market: { type: 'moneyline', side } };
+    },
+
+    grade(market, { homeScore, awayScore }) {
+      return market.side === 'home'
+        ? compare(homeScore, awayScore)
+        : compare(awayScore, homeScore);
+    },
+
+    describe(market, game) {
+      return teamForSide(market.side, game);
+    },
+  },
+
+  spread: {
+    validate(market, game) {
+      const errors = [];
+      const side = resolveSide(market, game);
+
+      if (!side) {
+        errors.push('Spread must name a side (home/away) or team');
+      }
+
+      if (!isValidLine(market.line)) {
+        errors.push('Spread line must be a number');
+      }
+
+      return { errors, market: { type: 'spread', side, line: market.line } };
+    },
+
+    grade(market, { homeScore, awayScore }) {
+      return market.side === 'home'
+        ? compare(homeScore + market.line, awayScore)
+        : compare(awayScore + market.line, homeScore);
+    },
+
+    describe(market, game) {
+      const line = market.line > 0 ? `+${market.line}` : `${market.line}`;
+      return `${teamForSide(market.side, game)} ${line}`;
+    },
+  },
+
+  total: {
+    validate(market) {
+      const errors = [];
+
+      if (!SELECTIONS.includes(market.selection)) {
+        errors.push('Total selection must be over or under');
+      }
+
+      if (!isValidLine(market.line) || market.line < 0) {
+        errors.push('Total line must be a non-negative number');
+      }
+
+      return {
+        errors,
+        market: { type: 'total', selection: market.selection, line: market.line },
+      };
+    },
+
+    grade(market, { homeScore, awayScore }) {
+      const total = homeScore + awayScore;
+      return market.selection === 'over'
+        ? compare(total, market.line)
+        : compare(market.line, total);
+    },
+
+    describe(market) {
+      const selection = market.selection === 'over' ? 'Over' : 'Under';
+      return `${selection} ${market.line}`;
+    },
+  },
+};
+
+const MARKET_TYPES = Object.keys(MARKETS);
+
+/**
+ * Get team name for a side
+ * @param {string} side - 'home' or 'away'
+ * @param {object} game - Game teams { homeTeam, awayTeam }
+ * @returns {string} Team name
+ */
+function teamForSide(side, game) {
+  return side === 'home' ? game.homeTeam : game.awayTeam;
+}
+
+/**
+ * Validate and normalize a market
+ * @param {object} market - Raw market from the client
+ * @param {object} game - Game teams { homeTeam, awayTeam }
+ * @returns {object} Validation result with errors and normalized market
+ */
+function validateMarket(market, game) {
+  if (!market || typeof market !== 'object') {
+    return { valid: false, errors: ['Market is required'], market: null };
+  }
+
+  const definition = MARKETS[market.type];
+  if (!definition) {
+    return {
+      valid: false,
+      errors: [`Market type must be one of: ${MARKET_TYPES.join(', ')}`],
+      market: null,
+    };
+  }
+
+  const result = definition.validate(market, game);
+
+  return {
+    valid: result.errors.length === 0,
+    errors: result.errors,
+    market: result.market,
+  };
+}
+
+/**
+ * Grade a market against a final score
+ * @param {object} market - Normalized market
+ * @param {object} score - Final score { homeScore, awayScore }
+ * @returns {string} 'win', 'loss' or 'push'
+ */
+function gradeMarket(market, score) {
+  const definition = MARKETS[market.type];
+  if (!definition) {
+    throw new Error('Unknown market type');
+  }
+
+  return definition.grade(market, score);
+}
+
+/**
+ * Describe a market as a human readable prediction (e.g. "Chiefs -3.5")
+ * @param {object} market - Normalized market
+ * @param {object} game - Game teams { homeTeam, awayTeam }
+ * @returns {string} Prediction text
+ */
+function describeMarket(market, game) {
+  return MARKETS[market.type].describe(market, game);
+}
+
+module.exports = {
+  MARKET_TYPES,
+  validateMarket,
+  gradeMarket,
+  describeMarket,
+};
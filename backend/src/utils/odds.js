@@ -0,0 +1,121 @@
+/**
+ * Odds Utilities
+ * Parse American, decimal and fractional odds and normalize to decimal
+ */
+
+const ODDS_FORMATS = ['american', 'decimal', 'fractional'];
+
+/**
+ * Round to a fixed number of decimal places
+ * @param {number} value - Value to round
+ * @param {number} places - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert American odds to decimal (e.g. -110 → 1.9091, +150 → 2.5)
+ * @param {number} american - American odds
+ * @returns {number|null} Decimal odds or null if invalid
+ */
+function americanToDecimal(american) {
+  if (typeof american !== 'number' || !Number.isFinite(american)) return null;
+  if (american >= 100) return 1 + american / 100;
+  if (american <= -100) return 1 + 100 / -american;
+  return null;
+}
+
+/**
+ * Convert fractional odds to decimal (e.g. "5/2" → 3.5)
+ * @param {string} fractional - Fractional odds
+ * @returns {number|null} Decimal odds or null if invalid
+ */
+function fractionalToDecimal(fractional) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(String(fractional));
+  if (!match) return null;
+
+  const numerator = parseFloat(match[1]);
+  const denominator = parseFloat(match[2]);
+  if (numerator <= 0 || denominator <= 0) return null;
+
+  return 1 + numerator / denominator;
+}
+
+/**
+ * Validate odds and normalize them to decimal
+ * @param {object} odds - Odds { format, value }
+ * @returns {object} Validation result with errors and normalized odds
+ */
+function validateOdds(odds) {
+  if (!odds || typeof odds !== 'object') {
+    return { valid: false, errors: ['Odds must be an object with format and value'], odds: null };
+  }
+
+  if (!ODDS_FORMATS.includes(odds.format)) {
+    return {
+      valid: false,
+      errors: [`Odds format must be one of: ${ODDS_FORMATS.join(', ')}`],
+      odds: null,
+    };
+  }
+
+  let decimal = null;
+  let error;
+
+  switch (odds.format) {
+    case 'american':
+      decimal = americanToDecimal(odds.value);
+      error = 'American odds must be a number of at least +100 or at most -100';
+      break;
+    case 'decimal':
+      decimal = typeof odds.value === 'number' && odds.value > 1 ? odds.value : null;
+      error = 'Decimal odds must be a number greater than 1';
+      break;
+    case 'fractional':
+      decimal = fractionalToDecimal(odds.value);
+      error = 'Fractional odds must look like "5/2"';
+      break;
+  }
+
+  if (decimal === null || !Number.isFinite(decimal)) {
+    return { valid: false, errors: [error], odds: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    odds: {
+      decimal: round(decimal, 4),
+      format: odds.format,
+      value: String(odds.value).trim(),
+    },
+  };
+}
+
+/**
+ * Implied probability of decimal odds
+ * @param {number} decimal - Decimal odds
+ * @returns {number} Probability between 0 and 1
+ */
+function impliedProbability(decimal) {
+  return round(1 / decimal, 4);
+}
+
+/**
+ * Combine the decimal odds of several legs (parlay odds)
+ * @param {Array<number>} decimals - Decimal odds of each leg
+ * @returns {number} Combined decimal odds
+ */
+function combineDecimalOdds(decimals) {
+  return round(decimals.reduce((product, decimal) => product * decimal, 1), 4);
+}
+
+module.exports = {
+  ODDS_FORMATS,
+  validateOdds,
+  impliedProbability,
+  combineDecimalOdds,
+};
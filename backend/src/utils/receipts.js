@@ -0,0 +1,75 @@
+/**
+ * Receipt Utilities
+ * Canonical hashing of bet content and of the per-user receipt chain
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value to JSON with object keys sorted at every level,
+ * so equal content always gives the same string
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (value === undefined || value === null) return 'null';
+
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 hex digest of a string
+ * @param {string} text - Text to hash
+ * @returns {string} Hex digest
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Hash the canonical content of a bet
+ * @param {object} content - Receipt content of a bet (see Bet.findReceiptContent)
+ * @returns {string} Content hash
+ */
+function hashContent(content) {
+  return sha256(canonicalize(content));
+}
+
+/**
+ * Hash a receipt, linking it to the previous receipt of the same user
+ * @param {object} receipt - { userId, sequence, betId, kind, contentHash, previousHash }
+ * @returns {string} Receipt hash
+ */
+function hashReceipt(receipt) {
+  const { userId, sequence, betId, kind, contentHash, previousHash } = receipt;
+
+  return sha256(
+    canonicalize({
+      user_id: userId,
+      sequence,
+      bet_id: betId,
+      kind,
+      content_hash: contentHash,
+      previous_hash: previousHash || null,
+    })
+  );
+}
+
+module.exports = {
+  canonicalize,
+  hashContent,
+  hashReceipt,
+};
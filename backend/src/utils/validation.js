@@ -13,6 +13,16 @@ function isValidEmail(email) {
   return emailRegex.test(email);
 }
 
+/**
+ * Validate UUID format (any version)
+ * @param {string} value - Value to validate
+ * @returns {boolean} Valid status
+ */
+function isValidUUID(value) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return typeof value === 'string' && uuidRegex.test(value);
+}
+
 /**
  * Validate username format
  * @param {string} username - Username to validate
@@ -166,6 +176,7 @@ function sanitizeInput(input) {
 
 module.exports = {
   isValidEmail,
+  isValidUUID,
   validateUsername,
   validatePassword,
   validateRegistration,
@@ -10,6 +10,9 @@ const GroupMember = require('./models/GroupMember');
 // Store active connections by group
 const groupConnections = new Map();
 
+// Store active connections by authenticated user
+const userConnections = new Map();
+
 /**
  * Initialize WebSocket server
  * @param {object} server - HTTP server instance
@@ -34,8 +37,14 @@ function initializeWebSocketServer(server) {
         if (type === 'auth') {
           try {
             const payload = verifyAccessToken(token);
+            removeUserConnection(userId, ws);
             userId = payload.userId;
 
+            if (!userConnections.has(userId)) {
+              userConnections.set(userId, new Set());
+            }
+            userConnections.get(userId).add(ws);
+
             ws.send(JSON.stringify({
               type: 'auth_success',
               message: 'Authenticated successfully',
@@ -193,6 +202,8 @@ function initializeWebSocketServer(server) {
     ws.on('close', () => {
       console.log('WebSocket connection closed');
 
+      removeUserConnection(userId, ws);
+
       // Remove from group if connected
       if (groupId && groupConnections.has(groupId)) {
         const connections = groupConnections.get(groupId);
@@ -242,15 +253,39 @@ function broadcastToGroup(groupId, message, exclude = null) {
 }
 
 /**
- * Send message to specific user in a group
- * @param {string} groupId - Group ID
+ * Send message to every open connection of a user
  * @param {string} userId - User ID
  * @param {object} message - Message to send
  */
-function sendToUser(groupId, userId, message) {
-  // This would require tracking userId -> WebSocket mapping
-  // For now, we broadcast to the group
-  broadcastToGroup(groupId, message);
+function sendToUser(userId, message) {
+  if (!userConnections.has(userId)) {
+    return;
+  }
+
+  const messageStr = JSON.stringify(message);
+
+  userConnections.get(userId).forEach((ws) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(messageStr);
+    }
+  });
+}
+
+/**
+ * Forget a user's connection
+ * @param {string|null} userId - User ID
+ * @param {WebSocket} ws - Connection
+ */
+function removeUserConnection(userId, ws) {
+  if (!userId || !userConnections.has(userId)) {
+    return;
+  }
+
+  const connections = userConnections.get(userId);
+  connections.delete(ws);
+  if (connections.size === 0) {
+    userConnections.delete(userId);
+  }
 }
 
 module.exports = {
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for Idempotency Middleware
+ * Tests claiming keys, storing responses and replaying retries
+ */
+
+const { EventEmitter } = require('events');
+const { idempotent } = require('../../src/middleware/idempotency');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const { hashContent } = require('../../src/utils/receipts');
+
+jest.mock('../../src/models/IdempotencyKey');
+
+describe('Idempotency Middleware', () => {
+  let req, res, next;
+
+  const body = { gameId: 'nfl_1', market: { type: 'moneyline', side: 'home' } };
+  const fingerprint = hashContent({ method: 'POST', path: '/api/bets/', body });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      method: 'POST',
+      baseUrl: '/api/bets',
+      path: '/',
+      body,
+      userId: 'user_1',
+      headers: { 'idempotency-key': 'retry-1' },
+      get: (name) => req.headers[name.toLowerCase()],
+    };
+
+    res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      writableFinished: false,
+      status: jest.fn(function (code) {
+        this.statusCode = code;
+        return this;
+      }),
+      set: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    });
+
+    next = jest.fn();
+
+    IdempotencyKey.claim.mockResolvedValue(true);
+    IdempotencyKey.complete.mockResolvedValue();
+    IdempotencyKey.release.mockResolvedValue();
+  });
+
+  // Simulate the controller answering and the response being flushed
+  const respond = (status, payload) => {
+    res.status(status).json(payload);
+    res.writableFinished = true;
+    res.emit('close');
+  };
+
+  it('should pass requests without the header through', async () => {
+    delete req.headers['idempotency-key'];
+
+    await idempotent(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(IdempotencyKey.claim).not.toHaveBeenCalled();
+  });
+
+  it('should store the response of the first request', async () => {
+    await idempotent(req, res, next);
+
+    expect(IdempotencyKey.claim).toHaveBeenCalledWith({
+      userId: 'user_1',
+      key: 'retry-1',
+      fingerprint,
+      ttlSeconds: 86400,
+    });
+    expect(next).toHaveBeenCalled();
+
+    const payload = { success: true, data: { bet: { id: 'bet_1' } } };
+    respond(201, payload);
+
+    expect(IdempotencyKey.complete).toHaveBeenCalledWith('user_1', 'retry-1', 201, payload);
+  });
+
+  it('should release the key after a server error', async () => {
+    await idempotent(req, res, next);
+
+    respond(500, { success: false, error: 'Internal server error' });
+
+    expect(IdempotencyKey.complete).not.toHaveBeenCalled();
+    expect(IdempotencyKey.release).toHaveBeenCalledWith('user_1', 'retry-1');
+  });
+
+  it('should replay the stored response of a retry', async () => {
+    const payload = { success: true, data: { bet: { id: 'bet_1' } } };
+    IdempotencyKey.claim.mockResolvedValue(false);
+    IdempotencyKey.find.mockResolvedValue({
+      fingerprint,
+      response_status: 201,
+      response_body: payload,
+    });
+
+    await idempotent(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(payload);
+  });
+
+  it('should reject a different body under the same key', async () => {
+    IdempotencyKey.claim.mockResolvedValue(false);
+    IdempotencyKey.find.mockResolvedValue({
+      fingerprint: 'f'.repeat(64),
+      response_status: 201,
+      response_body: {},
+    });
+
+    await idempotent(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should reject a retry while the first request still runs', async () => {
+    IdempotencyKey.claim.mockResolvedValue(false);
+    IdempotencyKey.find.mockResolvedValue({ fingerprint, response_status: null });
+
+    await idempotent(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should reject keys that are too long', async () => {
+    req.headers['idempotency-key'] = 'k'.repeat(256);
+
+    await idempotent(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(IdempotencyKey.claim).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for Bet Model
+ * Tests that historical imports stay out of statistics and grading
+ */
+
+const { query } = require('../../src/config/database');
+const Bet = require('../../src/models/Bet');
+const GroupLeaderboard = require('../../src/models/GroupLeaderboard');
+const Score = require('../../src/models/Score');
+
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+}));
+
+describe('Bet Model', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [{}], rowCount: 0 });
+  });
+
+  describe('historical imports', () => {
+    const lastSql = () => query.mock.calls[query.mock.calls.length - 1][0];
+
+    it.each([
+      ['getUserStats', () => Bet.getUserStats('user_1')],
+      ['getStatsBySport', () => Bet.getStatsBySport('user_1')],
+      ['getOddsStats', () => Bet.getOddsStats('user_1')],
+      ['findGradedByUserId', () => Bet.findGradedByUserId('user_1')],
+      ['findPublicPicks', () => Bet.findPublicPicks({ gameId: 'nfl_1' })],
+      ['Score.findFinalWithPendingBets', () => Score.findFinalWithPendingBets('football')],
+      ['GroupLeaderboard.addBet', () => GroupLeaderboard.addBet('bet_1', {})],
+    ])('should be left out of %s', async (name, run) => {
+      await run();
+
+      expect(lastSql()).toMatch(/NOT (\w+\.)?is_historical/);
+    });
+
+    it('should be left out of both sides of the tail stats', async () => {
+      await Bet.getTailStats('user_1');
+
+      expect(query).toHaveBeenCalledTimes(2);
+      for (const [sql] of query.mock.calls) {
+        expect(sql).toMatch(/NOT (\w+\.)?is_historical/);
+      }
+    });
+
+    it('should be created with their recorded result', async () => {
+      await Bet.create({ userId: 'user_1', isHistorical: true, status: 'won' });
+
+      const values = query.mock.calls[0][1];
+      expect(values.slice(-3)).toEqual([true, 'won', true]);
+    });
+
+    it('should create other bets pending', async () => {
+      await Bet.create({ userId: 'user_1' });
+
+      const values = query.mock.calls[0][1];
+      expect(values.slice(-3)).toEqual([false, 'pending', null]);
+    });
+  });
+});
@@ -0,0 +1,713 @@
+/**
+ * Unit tests for Bet Service
+ * Tests game validation, bet locking around kickoff, revisions, tails, listings and imports
+ */
+
+const BetService = require('../../src/services/betService');
+const Bet = require('../../src/models/Bet');
+const BetRevision = require('../../src/models/BetRevision');
+const BetShare = require('../../src/models/BetShare');
+const Group = require('../../src/models/Group');
+const GroupMember = require('../../src/models/GroupMember');
+const Score = require('../../src/models/Score');
+const ReceiptService = require('../../src/services/receiptService');
+const ScoreService = require('../../src/services/scoreService');
+const WalletService = require('../../src/services/walletService');
+
+jest.mock('../../src/models/Bet');
+jest.mock('../../src/models/BetRevision');
+jest.mock('../../src/models/BetShare');
+jest.mock('../../src/models/Group');
+jest.mock('../../src/models/GroupMember');
+jest.mock('../../src/models/Score');
+jest.mock('../../src/services/receiptService');
+jest.mock('../../src/services/scoreService');
+jest.mock('../../src/services/walletService');
+
+// Run transactions inline with a fake client
+const mockClient = {};
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+describe('BetService', () => {
+  const HOUR = 60 * 60 * 1000;
+  const kickoff = new Date(Date.now() + 2 * HOUR);
+
+  const game = {
+    game_id: 'nfl_1',
+    sport_type: 'football',
+    home_team: 'Kansas City Chiefs',
+    away_team: 'Buffalo Bills',
+    scheduled_at: kickoff,
+    status: 'scheduled',
+  };
+
+  const makeBetData = (overrides = {}) => ({
+    gameId: 'nfl_1',
+    market: { type: 'moneyline', side: 'home' },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ScoreService.getGameById.mockResolvedValue(game);
+    Score.findByGameId.mockResolvedValue(null);
+    Bet.create.mockImplementation(async (data) => ({ id: 'bet_1', ...data }));
+  });
+
+  describe('createBet', () => {
+    it('should fill in game info from the scores cache', async () => {
+      await BetService.createBet('user_1', makeBetData());
+
+      expect(Bet.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sportType: 'football',
+          homeTeam: 'Kansas City Chiefs',
+          awayTeam: 'Buffalo Bills',
+          gameDate: kickoff,
+          predictedOutcome: 'Kansas City Chiefs',
+        }),
+        mockClient
+      );
+    });
+
+    it('should reject games that do not exist', async () => {
+      ScoreService.getGameById.mockRejectedValue(new Error('Game not found'));
+
+      await expect(BetService.createBet('user_1', makeBetData())).rejects.toThrow('Game not found');
+      expect(Bet.create).not.toHaveBeenCalled();
+    });
+
+    it('should list every field that disagrees with the game', async () => {
+      const betData = makeBetData({
+        sportType: 'football',
+        homeTeam: 'kansas city chiefs',
+        awayTeam: 'Miami Dolphins',
+        gameDate: new Date(kickoff.getTime() + 24 * HOUR).toISOString(),
+      });
+
+      const error = await BetService.createBet('user_1', betData).catch((err) => err);
+
+      expect(JSON.parse(error.message)).toEqual({
+        awayTeam: ['Does not match the game (Buffalo Bills)'],
+        gameDate: [`Does not match the game (${kickoff.toISOString()})`],
+      });
+    });
+
+    it('should accept bets on games that have not started', async () => {
+      await BetService.createBet('user_1', makeBetData());
+
+      expect(Bet.create).toHaveBeenCalled();
+    });
+
+    it('should issue a receipt in the same transaction', async () => {
+      ReceiptService.issueReceipt.mockResolvedValue({ sequence: 1, receipt_hash: 'abc' });
+
+      const bet = await BetService.createBet('user_1', makeBetData());
+
+      expect(ReceiptService.issueReceipt).toHaveBeenCalledWith('bet_1', 'placed', mockClient);
+      expect(bet.receipt).toEqual({ sequence: 1, receipt_hash: 'abc' });
+    });
+
+    it('should reject bets once the game is live', async () => {
+      Score.findByGameId.mockResolvedValue({ game_id: 'nfl_1', status: 'live' });
+
+      await expect(BetService.createBet('user_1', makeBetData())).rejects.toThrow(
+        'Game has already started'
+      );
+      expect(Bet.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject bets after the scheduled kickoff', async () => {
+      ScoreService.getGameById.mockResolvedValue({
+        ...game,
+        scheduled_at: new Date(Date.now() - HOUR),
+      });
+
+      await expect(BetService.createBet('user_1', makeBetData())).rejects.toThrow(
+        'Game has already started'
+      );
+    });
+
+    it("should apply the group's lock window", async () => {
+      GroupMember.isMember.mockResolvedValue(true);
+      Group.findById.mockResolvedValue({ id: 'group_1', bet_lock_minutes: 180 });
+
+      await expect(
+        BetService.createBet('user_1', makeBetData({ groupId: 'group_1' }))
+      ).rejects.toThrow('Bets on this game are locked');
+    });
+
+    it('should share a group bet with its group', async () => {
+      GroupMember.isMember.mockResolvedValue(true);
+      Group.findById.mockResolvedValue({ id: 'group_1', bet_lock_minutes: 0 });
+      Bet.create.mockImplementation(async (data) => ({ id: 'bet_1', group_id: data.groupId }));
+
+      await BetService.createBet('user_1', makeBetData({ groupId: 'group_1' }));
+
+      expect(BetShare.add).toHaveBeenCalledWith('bet_1', 'group_1', 'user_1', mockClient);
+    });
+
+    it('should reject groups the user is not a member of', async () => {
+      GroupMember.isMember.mockResolvedValue(false);
+
+      await expect(
+        BetService.createBet('user_1', makeBetData({ groupId: 'group_1' }))
+      ).rejects.toThrow('Not a member of this group');
+      expect(Bet.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createParlay', () => {
+    it('should cap the number of legs', async () => {
+      const legs = Array.from({ length: 11 }, (_, i) => makeBetData({ gameId: `nfl_${i}` }));
+
+      await expect(BetService.createParlay('user_1', { legs })).rejects.toThrow(
+        'A parlay can have at most 10 legs'
+      );
+      expect(Bet.createParlay).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('shareBet', () => {
+    const pendingBet = {
+      id: 'bet_1',
+      user_id: 'user_1',
+      group_id: 'group_1',
+      parent_bet_id: null,
+      game_id: 'nfl_1',
+      game_date: kickoff,
+      bet_type: 'moneyline',
+      status: 'pending',
+    };
+
+    beforeEach(() => {
+      Bet.isOwner.mockResolvedValue(true);
+      Bet.findById.mockResolvedValue(pendingBet);
+      GroupMember.isMember.mockResolvedValue(true);
+      Group.findById.mockResolvedValue({ id: 'group_2', bet_lock_minutes: 0 });
+      BetShare.add.mockResolvedValue({ bet_id: 'bet_1', group_id: 'group_2' });
+      BetShare.remove.mockResolvedValue(true);
+    });
+
+    it('should share an open bet with another group of the owner', async () => {
+      const share = await BetService.shareBet('bet_1', 'user_1', 'group_2');
+
+      expect(GroupMember.isMember).toHaveBeenCalledWith('group_2', 'user_1');
+      expect(BetShare.add).toHaveBeenCalledWith('bet_1', 'group_2', 'user_1');
+      expect(share).toEqual({ bet_id: 'bet_1', group_id: 'group_2' });
+    });
+
+    it('should require membership of the target group', async () => {
+      GroupMember.isMember.mockResolvedValue(false);
+
+      await expect(BetService.shareBet('bet_1', 'user_1', 'group_2')).rejects.toThrow(
+        'Not a member of this group'
+      );
+      expect(BetShare.add).not.toHaveBeenCalled();
+    });
+
+    it("should apply the target group's lock window", async () => {
+      Group.findById.mockResolvedValue({ id: 'group_2', bet_lock_minutes: 180 });
+
+      await expect(BetService.shareBet('bet_1', 'user_1', 'group_2')).rejects.toThrow(
+        'Bets on this game are locked'
+      );
+      expect(Group.findById).toHaveBeenCalledWith('group_2');
+    });
+
+    it('should only share pending bets', async () => {
+      Bet.findById.mockResolvedValue({ ...pendingBet, status: 'won' });
+
+      await expect(BetService.shareBet('bet_1', 'user_1', 'group_2')).rejects.toThrow(
+        'Only pending bets can be shared or unshared'
+      );
+    });
+
+    it('should unshare from other groups but not the one the bet was placed in', async () => {
+      await BetService.unshareBet('bet_1', 'user_1', 'group_2');
+      expect(BetShare.remove).toHaveBeenCalledWith('bet_1', 'group_2');
+
+      await expect(BetService.unshareBet('bet_1', 'user_1', 'group_1')).rejects.toThrow(
+        'A bet cannot be unshared from the group it was placed in'
+      );
+    });
+  });
+
+  describe('updateBet', () => {
+    const pendingBet = {
+      id: 'bet_1',
+      user_id: 'user_1',
+      game_id: 'nfl_1',
+      game_date: new Date(Date.now() + 2 * HOUR),
+      bet_type: 'moneyline',
+      status: 'pending',
+      is_legacy: false,
+    };
+
+    beforeEach(() => {
+      Bet.isOwner.mockResolvedValue(true);
+    });
+
+    it('should reject edits once the game has finished', async () => {
+      Bet.findById.mockResolvedValue(pendingBet);
+      Score.findByGameId.mockResolvedValue({ game_id: 'nfl_1', status: 'final' });
+
+      await expect(
+        BetService.updateBet('bet_1', 'user_1', { notes: 'Called it' })
+      ).rejects.toThrow('Game has already started');
+      expect(Bet.update).not.toHaveBeenCalled();
+    });
+
+    it('should record the previous values of changed fields', async () => {
+      Bet.findById.mockResolvedValue({
+        ...pendingBet,
+        home_team: 'Chiefs',
+        away_team: 'Bills',
+        market: { line: -3.5, side: 'home', type: 'spread' },
+        bet_type: 'spread',
+        predicted_outcome: 'Chiefs -3.5',
+        confidence_level: 3,
+        notes: null,
+      });
+
+      await BetService.updateBet('bet_1', 'user_1', {
+        market: { type: 'spread', side: 'home', line: -3.5 },
+        confidence_level: 5,
+        notes: 'Sharp money',
+      });
+
+      expect(Bet.findById).toHaveBeenLastCalledWith('bet_1', false, mockClient, true);
+      expect(ReceiptService.recordUpdate).toHaveBeenCalledWith('bet_1', mockClient);
+      expect(BetRevision.create).toHaveBeenCalledWith(
+        {
+          betId: 'bet_1',
+          changedBy: 'user_1',
+          previousValues: { confidence_level: 3, notes: null },
+        },
+        mockClient
+      );
+    });
+
+    it('should not record a revision when nothing changes', async () => {
+      Bet.findById.mockResolvedValue({ ...pendingBet, notes: 'Same' });
+
+      await BetService.updateBet('bet_1', 'user_1', { notes: 'Same' });
+
+      expect(Bet.update).toHaveBeenCalled();
+      expect(BetRevision.create).not.toHaveBeenCalled();
+    });
+
+    it('should lock a parlay when any leg has started', async () => {
+      Bet.findById.mockResolvedValue({ ...pendingBet, game_id: null, bet_type: 'parlay' });
+      Bet.findLegs.mockResolvedValue([
+        { game_id: 'nfl_1', game_date: new Date(Date.now() + HOUR) },
+        { game_id: 'nfl_2', game_date: new Date(Date.now() - HOUR) },
+      ]);
+
+      await expect(
+        BetService.updateBet('bet_1', 'user_1', { notes: 'Changed my mind' })
+      ).rejects.toThrow('Game has already started');
+    });
+  });
+
+  describe('cancelBet', () => {
+    it('should not refund a pending bet after kickoff', async () => {
+      Bet.isOwner.mockResolvedValue(true);
+      Bet.findById.mockResolvedValue({
+        id: 'bet_1',
+        game_id: 'nfl_1',
+        game_date: new Date(Date.now() - HOUR),
+        bet_type: 'moneyline',
+        status: 'pending',
+      });
+
+      await expect(BetService.cancelBet('bet_1', 'user_1')).rejects.toThrow(
+        'Game has already started'
+      );
+      expect(WalletService.settleStake).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('tailBet', () => {
+    const source = {
+      id: 'bet_9',
+      user_id: 'user_2',
+      group_id: 'group_1',
+      parent_bet_id: null,
+      game_id: 'nfl_1',
+      bet_type: 'spread',
+      market: { type: 'spread', side: 'away', line: 3 },
+      odds_format: 'american',
+      odds_value: '-110',
+      status: 'pending',
+      is_public: true,
+    };
+
+    beforeEach(() => {
+      Bet.findById.mockResolvedValue(source);
+      Bet.hasTailed.mockResolvedValue(false);
+      GroupMember.isMember.mockResolvedValue(true);
+      Group.findById.mockResolvedValue({ id: 'group_1', bet_lock_minutes: 0 });
+    });
+
+    it('should copy the game, market and odds and keep the source', async () => {
+      await BetService.tailBet('bet_9', 'user_1', { stake: 20 });
+
+      expect(Bet.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'user_1',
+          groupId: 'group_1',
+          gameId: 'nfl_1',
+          market: { type: 'spread', side: 'away', line: 3 },
+          predictedOutcome: 'Buffalo Bills +3',
+          odds: expect.objectContaining({ format: 'american', value: '-110' }),
+          stake: 20,
+          tailedFromBetId: 'bet_9',
+          tailedFromUserId: 'user_2',
+        }),
+        mockClient
+      );
+    });
+
+    it('should leave the tail out of a group the caller is not in', async () => {
+      GroupMember.isMember.mockResolvedValue(false);
+
+      await BetService.tailBet('bet_9', 'user_1');
+
+      expect(Bet.create).toHaveBeenCalledWith(expect.objectContaining({ groupId: null }), mockClient);
+    });
+
+    it('should reject tails into groups the caller is not in', async () => {
+      GroupMember.isMember.mockResolvedValue(false);
+
+      await expect(BetService.tailBet('bet_9', 'user_1', { groupId: 'group_2' })).rejects.toThrow(
+        'Not a member of this group'
+      );
+    });
+
+    it('should reject own, private, settled and already tailed bets', async () => {
+      await expect(BetService.tailBet('bet_9', 'user_2')).rejects.toThrow(
+        'You cannot tail your own bet'
+      );
+
+      Bet.findById.mockResolvedValueOnce({ ...source, is_public: false });
+      await expect(BetService.tailBet('bet_9', 'user_1')).rejects.toThrow('Access denied');
+
+      Bet.findById.mockResolvedValueOnce({ ...source, status: 'won' });
+      await expect(BetService.tailBet('bet_9', 'user_1')).rejects.toThrow(
+        'Only pending bets can be tailed'
+      );
+
+      Bet.hasTailed.mockResolvedValue(true);
+      await expect(BetService.tailBet('bet_9', 'user_1')).rejects.toThrow(
+        'You have already tailed this bet'
+      );
+
+      expect(Bet.create).not.toHaveBeenCalled();
+    });
+
+    it('should copy a parlay leg by leg', async () => {
+      Bet.findById.mockResolvedValue({
+        ...source,
+        game_id: null,
+        bet_type: 'parlay',
+        market: { type: 'parlay', legs: 2 },
+        odds_format: null,
+      });
+      Bet.findLegs.mockResolvedValue([
+        { game_id: 'nfl_1', market: { type: 'moneyline', side: 'home' }, odds_format: null },
+        { game_id: 'nfl_2', market: { type: 'total', selection: 'over', line: 44 }, odds_format: null },
+      ]);
+      ScoreService.getGameById.mockImplementation(async (gameId) => ({ ...game, game_id: gameId }));
+      Bet.createParlay.mockImplementation(async (data, legs) => ({ id: 'parlay_2', ...data, legs }));
+
+      await BetService.tailBet('bet_9', 'user_1');
+
+      const [parlayData, legs] = Bet.createParlay.mock.calls[0];
+      expect(parlayData).toMatchObject({ betType: 'parlay', tailedFromBetId: 'bet_9' });
+      expect(legs.map((leg) => leg.gameId)).toEqual(['nfl_1', 'nfl_2']);
+    });
+  });
+
+  describe('getGroupBets', () => {
+    const rows = [
+      { id: 'bet_3', created_at: new Date('2026-01-03T12:00:00.123Z') },
+      { id: 'bet_2', created_at: new Date('2026-01-02T12:00:00.000Z') },
+      { id: 'bet_1', created_at: new Date('2026-01-01T12:00:00.000Z') },
+    ];
+
+    beforeEach(() => {
+      Bet.countByGroupId.mockResolvedValue(7);
+    });
+
+    it('should return a next cursor when there are more rows', async () => {
+      Bet.findByGroupId.mockResolvedValue(rows);
+
+      const result = await BetService.getGroupBets('group_1', { limit: '2' });
+
+      expect(Bet.findByGroupId).toHaveBeenCalledWith('group_1', expect.objectContaining({ limit: 3 }));
+      expect(result.bets).toHaveLength(2);
+      expect(result.count).toBe(2);
+      expect(result.total).toBe(7);
+
+      const next = BetService._listingFilters({ cursor: result.nextCursor }).cursor;
+      expect(next).toEqual({ createdAt: rows[1].created_at, id: 'bet_2' });
+    });
+
+    it('should end paging on the last page', async () => {
+      Bet.findByGroupId.mockResolvedValue(rows.slice(2));
+
+      const result = await BetService.getGroupBets('group_1', { limit: '2' });
+
+      expect(result.nextCursor).toBeNull();
+    });
+
+    it('should normalise filters from the query string', async () => {
+      Bet.findByGroupId.mockResolvedValue([]);
+
+      await BetService.getGroupBets('group_1', {
+        gameDateFrom: '2026-01-01',
+        minConfidence: '3',
+        resolved: 'false',
+        team: ' Chiefs ',
+      });
+
+      expect(Bet.countByGroupId).toHaveBeenCalledWith(
+        'group_1',
+        expect.objectContaining({
+          gameDateFrom: new Date('2026-01-01'),
+          minConfidence: 3,
+          resolved: false,
+          team: 'Chiefs',
+          limit: 50,
+        })
+      );
+    });
+
+    it('should reject invalid filters', async () => {
+      const request = BetService.getGroupBets('group_1', {
+        limit: '500',
+        minConfidence: '4',
+        maxConfidence: '2',
+        resolved: 'maybe',
+      });
+
+      await expect(request).rejects.toThrow(
+        JSON.stringify({
+          limit: ['Limit must be between 1 and 100'],
+          maxConfidence: ['Must not be below minConfidence'],
+          resolved: ['Must be true or false'],
+        })
+      );
+      expect(Bet.findByGroupId).not.toHaveBeenCalled();
+    });
+
+    it('should reject a malformed cursor', async () => {
+      await expect(BetService.getGroupBets('group_1', { cursor: 'not-a-cursor' })).rejects.toThrow(
+        'Invalid cursor'
+      );
+    });
+  });
+
+  describe('iterateUserBets', () => {
+    const collect = async (iterator) => {
+      const bets = [];
+      for await (const bet of iterator) bets.push(bet);
+      return bets;
+    };
+
+    it('should export with the same filters as the bet listing', async () => {
+      Bet.findByUserId.mockResolvedValue([{ id: 'bet_1' }]);
+
+      const bets = await collect(
+        BetService.iterateUserBets('user_1', {
+          gameDateTo: '2026-02-01',
+          maxConfidence: '4',
+          team: ' Bills ',
+          resolved: 'true',
+          limit: '10',
+          cursor: 'ignored',
+        })
+      );
+
+      expect(bets).toEqual([{ id: 'bet_1' }]);
+      expect(Bet.findByUserId).toHaveBeenCalledWith(
+        'user_1',
+        expect.objectContaining({
+          gameDateTo: new Date('2026-02-01'),
+          maxConfidence: 4,
+          team: 'Bills',
+          resolved: true,
+          limit: 200,
+          cursor: null,
+        })
+      );
+    });
+
+    it('should reject invalid filters before querying', async () => {
+      await expect(
+        collect(BetService.iterateUserBets('user_1', { minConfidence: '9' }))
+      ).rejects.toThrow(JSON.stringify({ minConfidence: ['Confidence must be between 1 and 5'] }));
+      expect(Bet.findByUserId).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importBets', () => {
+    const csv = [
+      'game_id,market,odds_format,odds_value,stake,is_public',
+      'nfl_1,"{""type"":""moneyline"",""side"":""home""}",american,-110,25,true',
+      'nfl_1,"{""type"":""spread"",""side"":""home""}",,,,',
+      'nfl_1,not json,,,,',
+    ].join('\n');
+
+    it('should validate every row without creating bets on a dry run', async () => {
+      const result = await BetService.importBets('user_1', { format: 'csv', data: csv, dryRun: true });
+
+      expect(Bet.create).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ dryRun: true, total: 3, succeeded: 1, failed: 2 });
+      expect(result.results[0]).toEqual({ row: 2, success: true });
+      expect(result.results[1]).toEqual({
+        row: 3,
+        success: false,
+        error: 'Validation failed',
+        errors: { market: ['Spread line must be a number'] },
+      });
+      expect(result.results[2].errors).toEqual({ market: ['Market must be valid JSON'] });
+    });
+
+    it('should create valid rows and report the failed ones', async () => {
+      const result = await BetService.importBets('user_1', { format: 'csv', data: csv });
+
+      expect(Bet.create).toHaveBeenCalledTimes(1);
+      expect(Bet.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          odds: { decimal: 1.9091, format: 'american', value: '-110' },
+          stake: 25,
+          isPublic: true,
+        }),
+        mockClient
+      );
+      expect(result.results[0]).toEqual({ row: 2, success: true, betId: 'bet_1' });
+      expect(result.failed).toBe(2);
+    });
+
+    const startGame = () => {
+      ScoreService.getGameById.mockResolvedValue({
+        ...game,
+        scheduled_at: new Date(Date.now() - 26 * HOUR),
+        status: 'final',
+      });
+      Score.findByGameId.mockResolvedValue({ game_id: 'nfl_1', status: 'final' });
+      Bet.create.mockImplementation(async (data) => ({
+        id: 'bet_1',
+        is_historical: Boolean(data.isHistorical),
+      }));
+    };
+
+    it('should import rows on games that have started as historical bets', async () => {
+      startGame();
+
+      const result = await BetService.importBets('user_1', {
+        format: 'json',
+        data: [
+          {
+            game_id: 'nfl_1',
+            group_id: 'group_1',
+            market: { type: 'moneyline', side: 'home' },
+            stake: 25,
+            is_public: true,
+            status: 'won',
+          },
+        ],
+      });
+
+      expect(result.results[0]).toEqual({
+        row: 1,
+        success: true,
+        betId: 'bet_1',
+        historical: true,
+        warnings: {
+          stake: ['Game has already started; imported without a stake'],
+          group_id: ['Game has already started; imported without a group'],
+          is_public: ['Game has already started; imported as private'],
+        },
+      });
+      expect(Bet.create).toHaveBeenCalledWith(
+        expect.objectContaining({ isHistorical: true, isPublic: false, status: 'won' }),
+        mockClient
+      );
+      const created = Bet.create.mock.calls[0][0];
+      expect(created.stake).toBeUndefined();
+      expect(created.groupId).toBeUndefined();
+      expect(BetShare.add).not.toHaveBeenCalled();
+      expect(WalletService.reserveStake).not.toHaveBeenCalled();
+    });
+
+    it('should not warn about historical rows that lose nothing', async () => {
+      startGame();
+
+      const result = await BetService.importBets('user_1', {
+        format: 'json',
+        dryRun: true,
+        data: [{ game_id: 'nfl_1', market: { type: 'moneyline', side: 'home' }, status: 'lost' }],
+      });
+
+      expect(result.results[0]).toEqual({ row: 1, success: true, historical: true });
+    });
+
+    it('should require the recorded result of rows on games that have started', async () => {
+      startGame();
+
+      const result = await BetService.importBets('user_1', {
+        format: 'json',
+        data: [
+          { game_id: 'nfl_1', market: { type: 'moneyline', side: 'home' } },
+          { game_id: 'nfl_1', market: { type: 'moneyline', side: 'home' }, status: 'pending' },
+        ],
+      });
+
+      expect(result.failed).toBe(2);
+      expect(result.results[0].errors).toEqual({
+        status: ['Game has already started; status must be one of: won, lost, push, void'],
+      });
+      expect(Bet.create).not.toHaveBeenCalled();
+    });
+
+    it('should ignore the status of rows on games that have not started', async () => {
+      await BetService.importBets('user_1', {
+        format: 'json',
+        data: [{ game_id: 'nfl_1', market: { type: 'moneyline', side: 'home' }, status: 'won' }],
+      });
+
+      const created = Bet.create.mock.calls[0][0];
+      expect(created.status).toBeUndefined();
+      expect(created.isHistorical).toBeUndefined();
+    });
+
+    it('should still reject picks on started games outside imports', async () => {
+      Score.findByGameId.mockResolvedValue({ game_id: 'nfl_1', status: 'live' });
+
+      await expect(BetService.createBet('user_1', makeBetData())).rejects.toThrow(
+        'Game has already started'
+      );
+    });
+
+    it('should refuse parlay rows', async () => {
+      const result = await BetService.importBets('user_1', {
+        format: 'json',
+        data: [{ game_id: null, bet_type: 'parlay', market: { type: 'parlay', legs: 2 } }],
+      });
+
+      expect(result.results[0].errors).toEqual({ bet_type: ['Parlays cannot be imported'] });
+    });
+
+    it('should reject unknown formats', async () => {
+      await expect(
+        BetService.importBets('user_1', { format: 'xlsx', data: '' })
+      ).rejects.toThrow('Import format must be csv or json');
+    });
+  });
+});
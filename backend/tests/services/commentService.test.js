@@ -0,0 +1,123 @@
+/**
+ * Unit tests for Comment Service
+ * Tests comment access, broadcasts, author notifications and reactions
+ */
+
+const CommentService = require('../../src/services/commentService');
+const BetComment = require('../../src/models/BetComment');
+const BetReaction = require('../../src/models/BetReaction');
+const BetShare = require('../../src/models/BetShare');
+const BetService = require('../../src/services/betService');
+const NotificationService = require('../../src/services/notificationService');
+const { broadcastToGroup } = require('../../src/websocket');
+
+jest.mock('../../src/models/BetComment');
+jest.mock('../../src/models/BetReaction');
+jest.mock('../../src/models/BetShare');
+jest.mock('../../src/services/betService');
+jest.mock('../../src/services/notificationService');
+jest.mock('../../src/websocket');
+
+describe('CommentService', () => {
+  const bet = { id: 'bet_1', user_id: 'author_1', group_id: 'group_1', is_public: true };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BetService.getBet.mockResolvedValue(bet);
+    BetShare.findByBetId.mockResolvedValue([{ bet_id: 'bet_1', group_id: 'group_1' }]);
+    BetComment.create.mockImplementation(async ({ betId, userId, content }) => ({
+      id: 'comment_1',
+      bet_id: betId,
+      user_id: userId,
+      content,
+      username: 'sam',
+    }));
+  });
+
+  describe('addComment', () => {
+    it('should broadcast the comment to every group the bet is shared with', async () => {
+      BetShare.findByBetId.mockResolvedValue([
+        { bet_id: 'bet_1', group_id: 'group_1' },
+        { bet_id: 'bet_1', group_id: 'group_2' },
+      ]);
+
+      await CommentService.addComment('bet_1', 'user_2', 'Tailing');
+
+      expect(broadcastToGroup).toHaveBeenCalledTimes(2);
+      expect(broadcastToGroup).toHaveBeenCalledWith(
+        'group_2',
+        expect.objectContaining({ type: 'bet_comment', group_id: 'group_2' })
+      );
+    });
+
+    it('should broadcast the comment to the group and notify the author', async () => {
+      const comment = await CommentService.addComment('bet_1', 'user_2', '  Love this line ');
+
+      expect(comment.content).toBe('Love this line');
+      expect(broadcastToGroup).toHaveBeenCalledWith('group_1', {
+        type: 'bet_comment',
+        group_id: 'group_1',
+        bet_id: 'bet_1',
+        comment,
+      });
+      expect(NotificationService.notify).toHaveBeenCalledWith(
+        'author_1',
+        'bet_comment',
+        expect.objectContaining({ bet_id: 'bet_1', comment_id: 'comment_1', user_id: 'user_2' })
+      );
+    });
+
+    it('should not notify authors of their own comments', async () => {
+      await CommentService.addComment('bet_1', 'author_1', 'Lock it in');
+
+      expect(NotificationService.notify).not.toHaveBeenCalled();
+    });
+
+    it('should follow the bet access rules', async () => {
+      BetService.getBet.mockRejectedValue(new Error('Access denied'));
+
+      await expect(CommentService.addComment('bet_1', 'user_2', 'Hi')).rejects.toThrow(
+        'Access denied'
+      );
+      expect(BetComment.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject empty and overlong comments', async () => {
+      await expect(CommentService.addComment('bet_1', 'user_2', '   ')).rejects.toThrow(
+        'Comment content required'
+      );
+      await expect(CommentService.addComment('bet_1', 'user_2', 'x'.repeat(1001))).rejects.toThrow(
+        'Comment too long (max 1000 characters)'
+      );
+    });
+  });
+
+  describe('deleteComment', () => {
+    it('should let the bet owner delete comments on their bet', async () => {
+      BetComment.findById.mockResolvedValue({ id: 'comment_1', bet_id: 'bet_1', user_id: 'user_2' });
+
+      await CommentService.deleteComment('bet_1', 'comment_1', 'author_1');
+
+      expect(BetComment.delete).toHaveBeenCalledWith('comment_1');
+    });
+
+    it("should not let others delete someone else's comment", async () => {
+      BetComment.findById.mockResolvedValue({ id: 'comment_1', bet_id: 'bet_1', user_id: 'user_2' });
+
+      await expect(CommentService.deleteComment('bet_1', 'comment_1', 'user_3')).rejects.toThrow(
+        'Can only delete your own comments or comments on your bets'
+      );
+    });
+  });
+
+  describe('addReaction', () => {
+    it('should accept emoji and reject other text', async () => {
+      await CommentService.addReaction('bet_1', 'user_2', '👍🏽');
+      expect(BetReaction.add).toHaveBeenCalledWith('bet_1', 'user_2', '👍🏽');
+
+      await expect(CommentService.addReaction('bet_1', 'user_2', 'lol')).rejects.toThrow(
+        'Invalid emoji'
+      );
+    });
+  });
+});
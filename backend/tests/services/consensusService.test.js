@@ -0,0 +1,121 @@
+/**
+ * Unit tests for Consensus Service
+ * Tests aggregation of public picks and the consensus record
+ */
+
+const ConsensusService = require('../../src/services/consensusService');
+const Bet = require('../../src/models/Bet');
+const Group = require('../../src/models/Group');
+const GroupMember = require('../../src/models/GroupMember');
+
+jest.mock('../../src/models/Bet');
+jest.mock('../../src/models/Group');
+jest.mock('../../src/models/GroupMember');
+
+describe('ConsensusService', () => {
+  let nextId = 0;
+  const makePick = (userId, market, overrides = {}) => ({
+    id: `bet_${++nextId}`,
+    user_id: userId,
+    game_id: 'nfl_1',
+    sport_type: 'football',
+    home_team: 'Kansas City Chiefs',
+    away_team: 'Buffalo Bills',
+    game_date: new Date('2026-09-10T00:20:00Z'),
+    market,
+    confidence_level: null,
+    status: 'pending',
+    ...overrides,
+  });
+
+  const homeSpread = (line) => ({ type: 'spread', side: 'home', line });
+  const awaySpread = (line) => ({ type: 'spread', side: 'away', line });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Group.findById.mockResolvedValue({ id: 'group_1', is_private: true });
+    GroupMember.isMember.mockResolvedValue(true);
+  });
+
+  describe('buildGameConsensus', () => {
+    it('should give each side its share of picks', () => {
+      const picks = [
+        makePick('user_1', homeSpread(-3)),
+        makePick('user_2', homeSpread(-3)),
+        makePick('user_3', homeSpread(-3.5)),
+        makePick('user_4', awaySpread(3)),
+      ];
+
+      const [spread] = ConsensusService.buildGameConsensus(picks).markets;
+
+      expect(spread.consensus).toEqual({
+        choice: 'home',
+        label: 'Kansas City Chiefs -3',
+        percentage: 75,
+      });
+      expect(spread.options[0].lines).toEqual([
+        { line: -3, picks: 2 },
+        { line: -3.5, picks: 1 },
+      ]);
+    });
+
+    it('should count a user once per market with their latest pick', () => {
+      const picks = [
+        makePick('user_1', homeSpread(-3)),
+        makePick('user_1', awaySpread(3)),
+        makePick('user_2', homeSpread(-3)),
+        makePick('user_1', { type: 'total', selection: 'over', line: 47.5 }),
+      ];
+
+      const consensus = ConsensusService.buildGameConsensus(picks);
+
+      expect(consensus.pickers).toBe(2);
+      expect(consensus.markets.map((market) => [market.type, market.picks])).toEqual([
+        ['spread', 2],
+        ['total', 1],
+      ]);
+      expect(consensus.markets[0].consensus).toBeNull();
+    });
+
+    it('should weight picks by confidence when asked', () => {
+      const picks = [
+        makePick('user_1', { type: 'moneyline', side: 'away' }, { confidence_level: 5 }),
+        makePick('user_2', { type: 'moneyline', side: 'home' }, { confidence_level: 1 }),
+        makePick('user_3', { type: 'moneyline', side: 'home' }),
+      ];
+
+      const plain = ConsensusService.buildGameConsensus(picks).markets[0];
+      const weighted = ConsensusService.buildGameConsensus(picks, { weighted: true }).markets[0];
+
+      expect(plain.consensus.choice).toBe('home');
+      expect(weighted.consensus).toEqual({ choice: 'away', label: 'Buffalo Bills', percentage: 55.56 });
+    });
+  });
+
+  describe('getGroupConsensus', () => {
+    it('should keep a record of settled consensus calls', async () => {
+      const settled = [
+        makePick('user_1', homeSpread(-3), { status: 'won' }),
+        makePick('user_2', homeSpread(-3), { status: 'won' }),
+        makePick('user_3', awaySpread(3), { status: 'lost' }),
+        makePick('user_1', homeSpread(-7), { game_id: 'nfl_2', status: 'lost' }),
+      ];
+      Bet.findPublicPicks.mockImplementation(async ({ state }) => (state === 'settled' ? settled : []));
+
+      const { games, history } = await ConsensusService.getGroupConsensus('group_1', 'user_1');
+
+      expect(games).toEqual([]);
+      expect(history.record).toEqual({ total: 2, won: 1, lost: 1, push: 0, win_percentage: 50 });
+      expect(history.recent[0]).toMatchObject({ game_id: 'nfl_1', percentage: 66.67, result: 'won' });
+    });
+
+    it('should hide private groups from non-members', async () => {
+      GroupMember.isMember.mockResolvedValue(false);
+
+      await expect(ConsensusService.getGroupConsensus('group_1', 'user_9')).rejects.toThrow(
+        'Access denied to private group'
+      );
+      expect(Bet.findPublicPicks).not.toHaveBeenCalled();
+    });
+  });
+});
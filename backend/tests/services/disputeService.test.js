@@ -0,0 +1,238 @@
+/**
+ * Unit tests for Dispute Service
+ * Tests opening disputes, admin checks and re-grading
+ */
+
+const DisputeService = require('../../src/services/disputeService');
+const Bet = require('../../src/models/Bet');
+const BetDispute = require('../../src/models/BetDispute');
+const BetRevision = require('../../src/models/BetRevision');
+const GroupMember = require('../../src/models/GroupMember');
+const BetService = require('../../src/services/betService');
+const LeaderboardService = require('../../src/services/leaderboardService');
+const NotificationService = require('../../src/services/notificationService');
+const StatsService = require('../../src/services/statsService');
+const WalletService = require('../../src/services/walletService');
+
+jest.mock('../../src/models/Bet');
+jest.mock('../../src/models/BetDispute');
+jest.mock('../../src/models/BetRevision');
+jest.mock('../../src/models/GroupMember');
+jest.mock('../../src/services/betService');
+jest.mock('../../src/services/leaderboardService');
+jest.mock('../../src/services/notificationService');
+jest.mock('../../src/services/statsService');
+jest.mock('../../src/services/walletService');
+
+// Run transactions inline with a fake client
+const mockClient = {};
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+describe('DisputeService', () => {
+  const bet = {
+    id: 'bet_1',
+    user_id: 'owner_1',
+    group_id: 'group_1',
+    parent_bet_id: null,
+    status: 'won',
+    is_correct: true,
+    actual_outcome: 'Chiefs 24 - 21 Bills',
+    void_reason: null,
+    stake: '20.00',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BetService.getBet.mockResolvedValue(bet);
+    GroupMember.isMember.mockResolvedValue(true);
+    GroupMember.isAdmin.mockResolvedValue(true);
+    BetDispute.findOpenByBetId.mockResolvedValue(null);
+    BetDispute.create.mockImplementation(async (data) => ({
+      id: 'dispute_1',
+      bet_id: data.betId,
+      group_id: data.groupId,
+      opened_by: data.openedBy,
+      reason: data.reason,
+      status: 'open',
+    }));
+  });
+
+  describe('openDispute', () => {
+    it('should open a dispute and notify the bet owner', async () => {
+      const dispute = await DisputeService.openDispute('bet_1', 'member_1', ' Spread was -3.5 ');
+
+      expect(BetDispute.create).toHaveBeenCalledWith({
+        betId: 'bet_1',
+        groupId: 'group_1',
+        openedBy: 'member_1',
+        reason: 'Spread was -3.5',
+        previousStatus: 'won',
+      });
+      expect(NotificationService.notify).toHaveBeenCalledWith(
+        'owner_1',
+        'bet_disputed',
+        expect.objectContaining({ bet_id: 'bet_1', dispute_id: dispute.id })
+      );
+    });
+
+    it('should only accept resolved group bets', async () => {
+      BetService.getBet.mockResolvedValue({ ...bet, status: 'pending' });
+      await expect(DisputeService.openDispute('bet_1', 'member_1', 'Wrong')).rejects.toThrow(
+        'Only resolved bets can be disputed'
+      );
+
+      BetService.getBet.mockResolvedValue({ ...bet, group_id: null });
+      await expect(DisputeService.openDispute('bet_1', 'member_1', 'Wrong')).rejects.toThrow(
+        'Only group bets can be disputed'
+      );
+    });
+
+    it('should require membership of the bet group', async () => {
+      GroupMember.isMember.mockResolvedValue(false);
+
+      await expect(DisputeService.openDispute('bet_1', 'outsider_1', 'Wrong')).rejects.toThrow(
+        'Not a member of this group'
+      );
+      expect(BetDispute.create).not.toHaveBeenCalled();
+    });
+
+    it('should send the dispute to the group the bet was placed in', async () => {
+      // member_2 only sees the bet through a share with group_2
+      GroupMember.isMember.mockImplementation(async (groupId) => groupId === 'group_2');
+
+      await expect(DisputeService.openDispute('bet_1', 'member_2', 'Wrong')).rejects.toThrow(
+        'Not a member of this group'
+      );
+      expect(GroupMember.isMember).toHaveBeenCalledWith('group_1', 'member_2');
+      expect(BetDispute.create).not.toHaveBeenCalled();
+    });
+
+    it('should allow a single open dispute per bet', async () => {
+      BetDispute.findOpenByBetId.mockResolvedValue({ id: 'dispute_0', status: 'open' });
+
+      await expect(DisputeService.openDispute('bet_1', 'member_1', 'Wrong')).rejects.toThrow(
+        'This bet already has an open dispute'
+      );
+    });
+  });
+
+  describe('resolveDispute', () => {
+    const dispute = {
+      id: 'dispute_1',
+      bet_id: 'bet_1',
+      group_id: 'group_1',
+      opened_by: 'member_1',
+      status: 'open',
+    };
+
+    beforeEach(() => {
+      BetDispute.findById.mockResolvedValue(dispute);
+      Bet.findById.mockResolvedValue(bet);
+      Bet.regrade.mockImplementation(async (id, { status }) => ({
+        ...bet,
+        status,
+        is_correct: status === 'won' ? true : status === 'lost' ? false : null,
+      }));
+      BetDispute.close.mockImplementation(async (id, { status, newStatus }) => ({
+        ...dispute,
+        status,
+        new_status: newStatus || null,
+      }));
+    });
+
+    it('should re-grade the bet, record a revision and correct the stake', async () => {
+      const outcome = await DisputeService.resolveDispute('bet_1', 'dispute_1', 'admin_1', {
+        action: 'regrade',
+        result: 'lost',
+        note: 'Spread was -3.5',
+      });
+
+      expect(Bet.regrade).toHaveBeenCalledWith(
+        'bet_1',
+        { status: 'lost', actualOutcome: undefined, voidReason: null },
+        mockClient
+      );
+      expect(BetRevision.create).toHaveBeenCalledWith(
+        {
+          betId: 'bet_1',
+          changedBy: 'admin_1',
+          previousValues: { status: 'won', is_correct: true },
+        },
+        mockClient
+      );
+      expect(WalletService.regradeStake).toHaveBeenCalledWith(
+        bet,
+        outcome.bet,
+        'admin_1',
+        mockClient
+      );
+      expect(LeaderboardService.recordBet).toHaveBeenCalledWith(outcome.bet, mockClient);
+      expect(StatsService.invalidate).toHaveBeenCalledWith('owner_1');
+      expect(outcome.dispute).toMatchObject({ status: 'regraded', new_status: 'lost' });
+      expect(NotificationService.notify).toHaveBeenCalledTimes(2);
+    });
+
+    it('should uphold without touching the bet', async () => {
+      const outcome = await DisputeService.resolveDispute('bet_1', 'dispute_1', 'admin_1', {
+        action: 'uphold',
+      });
+
+      expect(outcome).toEqual({ dispute: expect.objectContaining({ status: 'upheld' }), bet: null });
+      expect(Bet.regrade).not.toHaveBeenCalled();
+      expect(WalletService.regradeStake).not.toHaveBeenCalled();
+      expect(LeaderboardService.recordBet).not.toHaveBeenCalled();
+      expect(StatsService.invalidate).not.toHaveBeenCalled();
+      expect(NotificationService.notify).toHaveBeenCalledWith(
+        'member_1',
+        'dispute_resolved',
+        expect.objectContaining({ status: 'upheld' })
+      );
+    });
+
+    it('should only let group admins resolve disputes', async () => {
+      GroupMember.isAdmin.mockResolvedValue(false);
+
+      await expect(
+        DisputeService.resolveDispute('bet_1', 'dispute_1', 'member_2', { action: 'uphold' })
+      ).rejects.toThrow('Only group admins can resolve disputes');
+    });
+
+    it('should not let the bet owner resolve a dispute on their own bet', async () => {
+      // owner_1 created the group, so they are its admin too
+      Bet.findById.mockResolvedValue({ ...bet, status: 'lost' });
+
+      await expect(
+        DisputeService.resolveDispute('bet_1', 'dispute_1', 'owner_1', {
+          action: 'regrade',
+          result: 'won',
+        })
+      ).rejects.toThrow('You cannot resolve a dispute on your own bet');
+      expect(Bet.regrade).not.toHaveBeenCalled();
+      expect(WalletService.regradeStake).not.toHaveBeenCalled();
+    });
+
+    it('should reject closed disputes and unchanged results', async () => {
+      BetDispute.findById.mockResolvedValue({ ...dispute, status: 'upheld' });
+      await expect(
+        DisputeService.resolveDispute('bet_1', 'dispute_1', 'admin_1', { action: 'uphold' })
+      ).rejects.toThrow('Dispute is already closed');
+
+      BetDispute.findById.mockResolvedValue(dispute);
+      await expect(
+        DisputeService.resolveDispute('bet_1', 'dispute_1', 'admin_1', {
+          action: 'regrade',
+          result: 'won',
+        })
+      ).rejects.toThrow('Re-grade must change the bet result');
+    });
+
+    it('should not find a dispute through another bet', async () => {
+      await expect(
+        DisputeService.resolveDispute('bet_2', 'dispute_1', 'admin_1', { action: 'uphold' })
+      ).rejects.toThrow('Dispute not found');
+    });
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * Unit tests for Group Service
+ * Tests joining with invite codes, invite management, join requests, settings and ownership
+ */
+
+const GroupService = require('../../src/services/groupService');
+const Group = require('../../src/models/Group');
+const GroupInvite = require('../../src/models/GroupInvite');
+const GroupJoinRequest = require('../../src/models/GroupJoinRequest');
+const GroupMember = require('../../src/models/GroupMember');
+const NotificationService = require('../../src/services/notificationService');
+
+jest.mock('../../src/models/Group');
+jest.mock('../../src/models/GroupInvite');
+jest.mock('../../src/models/GroupJoinRequest');
+jest.mock('../../src/models/GroupMember');
+jest.mock('../../src/services/notificationService');
+
+const mockClient = {};
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((cb) => cb(mockClient)),
+}));
+
+describe('GroupService', () => {
+  const privateGroup = { id: 'group_1', name: 'Sunday Squad', is_private: true, max_members: 10 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Group.findById.mockResolvedValue(privateGroup);
+    Group.getMemberCount.mockResolvedValue(3);
+    GroupMember.isMember.mockResolvedValue(false);
+    GroupMember.isAdmin.mockResolvedValue(true);
+    GroupMember.add.mockImplementation(async ({ groupId, userId, role }) => ({
+      group_id: groupId,
+      user_id: userId,
+      role,
+    }));
+  });
+
+  describe('joinGroup', () => {
+    it('should reject private groups without a code', async () => {
+      await expect(GroupService.joinGroup('group_1', 'user_2')).rejects.toThrow(
+        'Cannot join private group without invitation'
+      );
+      expect(GroupMember.add).not.toHaveBeenCalled();
+    });
+
+    it('should join a private group with a valid code', async () => {
+      GroupInvite.redeem.mockResolvedValue({ id: 'invite_1', use_count: 1 });
+
+      const membership = await GroupService.joinGroup('group_1', 'user_2', ' A1B2C3D4E5F6 ');
+
+      expect(GroupInvite.redeem).toHaveBeenCalledWith('group_1', 'a1b2c3d4e5f6', mockClient);
+      expect(GroupMember.add).toHaveBeenCalledWith(
+        { groupId: 'group_1', userId: 'user_2', role: 'member' },
+        mockClient
+      );
+      expect(membership.role).toBe('member');
+    });
+
+    it('should cancel a pending join request when joining by invite', async () => {
+      GroupInvite.redeem.mockResolvedValue({ id: 'invite_1', use_count: 1 });
+
+      await GroupService.joinGroup('group_1', 'user_2', 'a1b2c3d4e5f6');
+
+      expect(GroupJoinRequest.cancelPending).toHaveBeenCalledWith('group_1', 'user_2', mockClient);
+    });
+
+    it('should reject codes that are not active', async () => {
+      GroupInvite.redeem.mockResolvedValue(null);
+
+      await expect(GroupService.joinGroup('group_1', 'user_2', 'expired')).rejects.toThrow(
+        'Invalid or expired invite code'
+      );
+      expect(GroupMember.add).not.toHaveBeenCalled();
+    });
+
+    it('should respect max_members even with a code', async () => {
+      Group.getMemberCount.mockResolvedValue(10);
+
+      await expect(GroupService.joinGroup('group_1', 'user_2', 'a1b2c3d4e5f6')).rejects.toThrow(
+        'Group is at maximum capacity'
+      );
+      expect(GroupInvite.redeem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createInvite', () => {
+    it('should create a code with limits', async () => {
+      GroupInvite.create.mockImplementation(async (data) => data);
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const invite = await GroupService.createInvite('group_1', 'admin_1', {
+        expiresAt,
+        maxUses: 5,
+      });
+
+      expect(invite).toMatchObject({
+        groupId: 'group_1',
+        createdBy: 'admin_1',
+        expiresAt: new Date(expiresAt),
+        maxUses: 5,
+      });
+      expect(invite.code).toMatch(/^[0-9a-f]{12}$/);
+    });
+
+    it('should only let admins manage invites', async () => {
+      GroupMember.isAdmin.mockResolvedValue(false);
+
+      await expect(GroupService.createInvite('group_1', 'user_2')).rejects.toThrow(
+        'Only group admins can manage invites'
+      );
+      await expect(GroupService.getInvites('group_1', 'user_2')).rejects.toThrow(
+        'Only group admins can manage invites'
+      );
+    });
+
+    it('should validate max uses and expiry', async () => {
+      await expect(
+        GroupService.createInvite('group_1', 'admin_1', { maxUses: 0 })
+      ).rejects.toThrow('Max uses must be between 1 and 500');
+
+      await expect(
+        GroupService.createInvite('group_1', 'admin_1', { expiresAt: 'soon' })
+      ).rejects.toThrow('Invalid invite expiry');
+
+      await expect(
+        GroupService.createInvite('group_1', 'admin_1', { expiresAt: '2020-01-01T00:00:00Z' })
+      ).rejects.toThrow('Invite expiry must be in the future');
+    });
+  });
+
+  describe('revokeInvite', () => {
+    it('should revoke an invite of the group', async () => {
+      GroupInvite.findById.mockResolvedValue({ id: 'invite_1', status: 'active' });
+      GroupInvite.revoke.mockResolvedValue({ id: 'invite_1', status: 'revoked' });
+
+      const invite = await GroupService.revokeInvite('group_1', 'invite_1', 'admin_1');
+
+      expect(GroupInvite.findById).toHaveBeenCalledWith('group_1', 'invite_1');
+      expect(invite.status).toBe('revoked');
+    });
+
+    it('should report invites that are missing or already revoked', async () => {
+      GroupInvite.findById.mockResolvedValue(null);
+      await expect(GroupService.revokeInvite('group_1', 'invite_1', 'admin_1')).rejects.toThrow(
+        'Invite not found'
+      );
+
+      GroupInvite.findById.mockResolvedValue({ id: 'invite_1', status: 'revoked' });
+      GroupInvite.revoke.mockResolvedValue(null);
+      await expect(GroupService.revokeInvite('group_1', 'invite_1', 'admin_1')).rejects.toThrow(
+        'Invite is already revoked'
+      );
+    });
+  });
+
+  describe('requestToJoin', () => {
+    beforeEach(() => {
+      GroupJoinRequest.findPending.mockResolvedValue(null);
+      GroupJoinRequest.findLatestDenied.mockResolvedValue(null);
+      GroupJoinRequest.create.mockImplementation(async (data) => ({ id: 'request_1', ...data }));
+    });
+
+    it('should create a pending request with a trimmed message', async () => {
+      const request = await GroupService.requestToJoin('group_1', 'user_2', '  Friend of Sam ');
+
+      expect(GroupJoinRequest.create).toHaveBeenCalledWith({
+        groupId: 'group_1',
+        userId: 'user_2',
+        message: 'Friend of Sam',
+      });
+      expect(request.id).toBe('request_1');
+    });
+
+    it('should only accept one pending request per group', async () => {
+      GroupJoinRequest.findPending.mockResolvedValue({ id: 'request_0', status: 'pending' });
+
+      await expect(GroupService.requestToJoin('group_1', 'user_2')).rejects.toThrow(
+        'You already have a pending request for this group'
+      );
+    });
+
+    it('should make denied users wait out the cooldown', async () => {
+      GroupJoinRequest.findLatestDenied.mockResolvedValue({
+        status: 'denied',
+        decided_at: new Date(Date.now() - 60 * 60 * 1000),
+      });
+      await expect(GroupService.requestToJoin('group_1', 'user_2')).rejects.toThrow(
+        'Your last request was denied; try again later'
+      );
+
+      GroupJoinRequest.findLatestDenied.mockResolvedValue({
+        status: 'denied',
+        decided_at: new Date(Date.now() - 25 * 60 * 60 * 1000),
+      });
+      await expect(GroupService.requestToJoin('group_1', 'user_2')).resolves.toBeDefined();
+    });
+
+    it('should send users of public groups to join directly', async () => {
+      Group.findById.mockResolvedValue({ ...privateGroup, is_private: false });
+
+      await expect(GroupService.requestToJoin('group_1', 'user_2')).rejects.toThrow(
+        'Public groups can be joined directly'
+      );
+    });
+  });
+
+  describe('decideJoinRequest', () => {
+    const pendingRequest = {
+      id: 'request_1',
+      group_id: 'group_1',
+      user_id: 'user_2',
+      status: 'pending',
+    };
+
+    beforeEach(() => {
+      GroupJoinRequest.findById.mockResolvedValue(pendingRequest);
+      GroupJoinRequest.decide.mockImplementation(async (id, { status }) => ({
+        ...pendingRequest,
+        status,
+        decided_at: new Date(),
+      }));
+    });
+
+    it('should add the member on approval and notify the requester', async () => {
+      const result = await GroupService.decideJoinRequest('group_1', 'request_1', 'admin_1', true);
+
+      expect(GroupJoinRequest.decide).toHaveBeenCalledWith(
+        'request_1',
+        { status: 'approved', decidedBy: 'admin_1' },
+        mockClient
+      );
+      expect(GroupMember.add).toHaveBeenCalledWith(
+        { groupId: 'group_1', userId: 'user_2', role: 'member' },
+        mockClient
+      );
+      expect(result.membership.user_id).toBe('user_2');
+      expect(NotificationService.notify).toHaveBeenCalledWith('user_2', 'join_request_approved', {
+        group_id: 'group_1',
+        group_name: 'Sunday Squad',
+        request_id: 'request_1',
+      });
+    });
+
+    it('should apply the capacity check on approval', async () => {
+      Group.getMemberCount.mockResolvedValue(10);
+
+      await expect(
+        GroupService.decideJoinRequest('group_1', 'request_1', 'admin_1', true)
+      ).rejects.toThrow('Group is at maximum capacity');
+      expect(GroupJoinRequest.decide).not.toHaveBeenCalled();
+    });
+
+    it('should deny without adding a member and tell the requester when to retry', async () => {
+      const result = await GroupService.decideJoinRequest('group_1', 'request_1', 'admin_1', false);
+
+      expect(result.request.status).toBe('denied');
+      expect(GroupMember.add).not.toHaveBeenCalled();
+      expect(NotificationService.notify).toHaveBeenCalledWith(
+        'user_2',
+        'join_request_denied',
+        expect.objectContaining({ request_id: 'request_1', retry_after: expect.any(String) })
+      );
+    });
+
+    it('should cancel the request of a user who joined in the meantime', async () => {
+      GroupMember.isMember.mockResolvedValue(true);
+
+      const result = await GroupService.decideJoinRequest('group_1', 'request_1', 'admin_1', true);
+
+      expect(GroupJoinRequest.decide).toHaveBeenCalledWith('request_1', {
+        status: 'cancelled',
+        decidedBy: 'admin_1',
+      });
+      expect(result.request.status).toBe('cancelled');
+      expect(result.membership).toBeNull();
+      expect(GroupMember.add).not.toHaveBeenCalled();
+      expect(NotificationService.notify).not.toHaveBeenCalled();
+    });
+
+    it('should only let admins decide pending requests', async () => {
+      GroupJoinRequest.findById.mockResolvedValue({ ...pendingRequest, status: 'denied' });
+      await expect(
+        GroupService.decideJoinRequest('group_1', 'request_1', 'admin_1', true)
+      ).rejects.toThrow('Join request was already decided');
+
+      GroupMember.isAdmin.mockResolvedValue(false);
+      await expect(
+        GroupService.decideJoinRequest('group_1', 'request_1', 'user_3', true)
+      ).rejects.toThrow('Only group admins can review join requests');
+    });
+  });
+
+  describe('updateGroup', () => {
+    it('should only accept known leaderboard scoring rules', async () => {
+      Group.isOwner.mockResolvedValue(true);
+      Group.update.mockImplementation(async (id, updates) => ({ id, ...updates }));
+
+      await expect(
+        GroupService.updateGroup('group_1', 'owner_1', { leaderboard_scoring: 'elo' })
+      ).rejects.toThrow('Leaderboard scoring must be flat, confidence or units');
+
+      const group = await GroupService.updateGroup('group_1', 'owner_1', {
+        leaderboard_scoring: 'confidence',
+      });
+      expect(group.leaderboard_scoring).toBe('confidence');
+    });
+  });
+
+  describe('updateMemberRole', () => {
+    it('should not hand out the owner role', async () => {
+      Group.isOwner.mockResolvedValue(true);
+      GroupMember.isMember.mockResolvedValue(true);
+
+      await expect(
+        GroupService.updateMemberRole('group_1', 'owner_1', 'user_2', 'owner')
+      ).rejects.toThrow('Use transfer ownership to make a member the owner');
+      expect(GroupMember.updateRole).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transferOwnership', () => {
+    const ownedGroup = { ...privateGroup, owner_id: 'owner_1' };
+
+    beforeEach(() => {
+      Group.findById.mockResolvedValue(ownedGroup);
+      Group.setOwner.mockResolvedValue({ ...ownedGroup, owner_id: 'user_2' });
+      GroupMember.isMember.mockResolvedValue(true);
+      GroupMember.updateRole.mockImplementation(async (groupId, userId, role) => ({
+        group_id: groupId,
+        user_id: userId,
+        role,
+      }));
+    });
+
+    it('should move owner_id and both roles in one transaction', async () => {
+      const result = await GroupService.transferOwnership('group_1', 'owner_1', 'user_2');
+
+      expect(Group.setOwner).toHaveBeenCalledWith('group_1', 'owner_1', 'user_2', mockClient);
+      expect(GroupMember.updateRole.mock.calls).toEqual([
+        ['group_1', 'owner_1', 'admin', mockClient],
+        ['group_1', 'user_2', 'owner', mockClient],
+      ]);
+      expect(result.group.owner_id).toBe('user_2');
+      expect(result.owner.role).toBe('owner');
+      expect(result.previousOwner.role).toBe('admin');
+    });
+
+    it('should only let the owner transfer to another member', async () => {
+      await expect(
+        GroupService.transferOwnership('group_1', 'admin_1', 'user_2')
+      ).rejects.toThrow('Only group owner can transfer ownership');
+
+      await expect(
+        GroupService.transferOwnership('group_1', 'owner_1', 'owner_1')
+      ).rejects.toThrow('You already own this group');
+
+      GroupMember.isMember.mockResolvedValue(false);
+      await expect(
+        GroupService.transferOwnership('group_1', 'owner_1', 'user_9')
+      ).rejects.toThrow('User is not a member of this group');
+
+      expect(Group.setOwner).not.toHaveBeenCalled();
+    });
+
+    it('should fail if the target left before the roles changed', async () => {
+      GroupMember.updateRole.mockImplementation(async (groupId, userId, role) =>
+        userId === 'user_2' ? undefined : { group_id: groupId, user_id: userId, role }
+      );
+
+      await expect(
+        GroupService.transferOwnership('group_1', 'owner_1', 'user_2')
+      ).rejects.toThrow('User is not a member of this group');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for Leaderboard Service
+ * Tests scoring rules, recording resolved bets and reading standings
+ */
+
+const LeaderboardService = require('../../src/services/leaderboardService');
+const Group = require('../../src/models/Group');
+const GroupLeaderboard = require('../../src/models/GroupLeaderboard');
+const GroupMember = require('../../src/models/GroupMember');
+
+jest.mock('../../src/models/Group');
+jest.mock('../../src/models/GroupLeaderboard');
+jest.mock('../../src/models/GroupMember');
+
+describe('LeaderboardService', () => {
+  const mockClient = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scoreBet', () => {
+    it('should score a win under every rule', () => {
+      expect(
+        LeaderboardService.scoreBet({ status: 'won', confidence_level: 4, odds_decimal: '2.5000' })
+      ).toEqual({ flatPoints: 1, confidencePoints: 4, units: 1.5 });
+    });
+
+    it('should score wins without confidence or odds as 1 and even money', () => {
+      expect(
+        LeaderboardService.scoreBet({ status: 'won', confidence_level: null, odds_decimal: null })
+      ).toEqual({ flatPoints: 1, confidencePoints: 1, units: 1 });
+    });
+
+    it('should only cost units on a loss', () => {
+      expect(LeaderboardService.scoreBet({ status: 'lost', confidence_level: 5 })).toEqual({
+        flatPoints: 0,
+        confidencePoints: 0,
+        units: -1,
+      });
+      expect(LeaderboardService.scoreBet({ status: 'push', confidence_level: 5 })).toEqual({
+        flatPoints: 0,
+        confidencePoints: 0,
+        units: 0,
+      });
+    });
+  });
+
+  describe('recordBet', () => {
+    it('should replace the points of a graded bet', async () => {
+      const bet = {
+        id: 'bet_1',
+        user_id: 'user_1',
+        parent_bet_id: null,
+        status: 'won',
+        confidence_level: 3,
+      };
+
+      await LeaderboardService.recordBet(bet, mockClient);
+
+      expect(GroupLeaderboard.removeBet).toHaveBeenCalledWith('bet_1', mockClient);
+      expect(GroupLeaderboard.addBet).toHaveBeenCalledWith(
+        'bet_1',
+        { flatPoints: 1, confidencePoints: 3, units: 1 },
+        mockClient
+      );
+      expect(GroupLeaderboard.refreshStandings).toHaveBeenCalledWith('bet_1', 'user_1', mockClient);
+    });
+
+    it('should drop voided bets and never score parlay legs', async () => {
+      await LeaderboardService.recordBet(
+        { id: 'bet_1', user_id: 'user_1', status: 'void' },
+        mockClient
+      );
+      await LeaderboardService.recordBet(
+        { id: 'leg_1', parent_bet_id: 'parlay_1', status: 'won' },
+        mockClient
+      );
+
+      expect(GroupLeaderboard.removeBet).toHaveBeenCalledTimes(2);
+      expect(GroupLeaderboard.addBet).not.toHaveBeenCalled();
+      // The voided bet may have counted before the re-grade; legs never did
+      expect(GroupLeaderboard.refreshStandings).toHaveBeenCalledTimes(1);
+      expect(GroupLeaderboard.refreshStandings).toHaveBeenCalledWith('bet_1', 'user_1', mockClient);
+    });
+  });
+
+  describe('getLeaderboard', () => {
+    const now = new Date('2026-03-31T12:00:00Z');
+
+    beforeEach(() => {
+      Group.findById.mockResolvedValue({
+        id: 'group_1',
+        is_private: true,
+        leaderboard_scoring: 'units',
+      });
+      GroupMember.isMember.mockResolvedValue(true);
+      GroupLeaderboard.getStandings.mockResolvedValue([
+        {
+          rank: '1',
+          user_id: 'user_1',
+          username: 'sam',
+          display_name: 'Sam',
+          avatar_url: null,
+          points: '2.9091',
+          bets: '4',
+          won: '3',
+          lost: '1',
+          push: '0',
+          last_result_at: new Date('2026-03-30T22:00:00Z'),
+        },
+      ]);
+    });
+
+    it("should rank with the group's scoring over the chosen window", async () => {
+      const leaderboard = await LeaderboardService.getLeaderboard(
+        'group_1',
+        'user_1',
+        { window: 'week', limit: 10 },
+        now
+      );
+
+      expect(GroupLeaderboard.getStandings).toHaveBeenCalledWith('group_1', {
+        scoring: 'units',
+        since: new Date('2026-03-24T12:00:00Z'),
+        limit: 10,
+        offset: undefined,
+      });
+      expect(leaderboard).toMatchObject({ scoring: 'units', window: 'week', count: 1 });
+      expect(leaderboard.standings[0]).toMatchObject({ rank: 1, points: 2.91, won: 3, lost: 1 });
+    });
+
+    it('should default to all time', async () => {
+      const leaderboard = await LeaderboardService.getLeaderboard('group_1', 'user_1', {}, now);
+
+      expect(leaderboard.since).toBeNull();
+      expect(GroupLeaderboard.getStandings).toHaveBeenCalledWith(
+        'group_1',
+        expect.objectContaining({ since: null })
+      );
+    });
+
+    it('should reject unknown windows and outsiders of private groups', async () => {
+      await expect(
+        LeaderboardService.getLeaderboard('group_1', 'user_1', { window: 'decade' })
+      ).rejects.toThrow('Leaderboard window must be week, month, year or all');
+
+      GroupMember.isMember.mockResolvedValue(false);
+      await expect(LeaderboardService.getLeaderboard('group_1', 'user_9')).rejects.toThrow(
+        'Access denied to private group'
+      );
+      expect(GroupLeaderboard.getStandings).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Unit tests for Receipt Service
+ * Tests chaining of new receipts and verification of a user's chain
+ */
+
+const ReceiptService = require('../../src/services/receiptService');
+const Bet = require('../../src/models/Bet');
+const BetReceipt = require('../../src/models/BetReceipt');
+const GroupMember = require('../../src/models/GroupMember');
+const { hashContent, hashReceipt } = require('../../src/utils/receipts');
+
+jest.mock('../../src/models/Bet');
+jest.mock('../../src/models/BetReceipt');
+jest.mock('../../src/models/GroupMember');
+
+describe('ReceiptService', () => {
+  const mockClient = {};
+
+  const makeContent = (id, overrides = {}) => ({
+    id,
+    user_id: 'user_1',
+    game_id: 'nfl_1',
+    market: { type: 'moneyline', side: 'home' },
+    predicted_outcome: 'Kansas City Chiefs',
+    confidence_level: 4,
+    created_at: '2026-09-13T17:02:11.123456',
+    ...overrides,
+  });
+
+  // Build a valid chain of 'placed' receipts for the given contents
+  const makeChain = (contents) => {
+    const receipts = [];
+
+    for (const [index, content] of contents.entries()) {
+      const previous = receipts[index - 1];
+      const receipt = {
+        user_id: 'user_1',
+        bet_id: content.id,
+        sequence: index + 1,
+        kind: 'placed',
+        content_hash: hashContent(content),
+        previous_hash: previous ? previous.receipt_hash : null,
+      };
+
+      receipt.receipt_hash = hashReceipt({
+        userId: receipt.user_id,
+        sequence: receipt.sequence,
+        betId: receipt.bet_id,
+        kind: receipt.kind,
+        contentHash: receipt.content_hash,
+        previousHash: receipt.previous_hash,
+      });
+      receipts.push(receipt);
+    }
+
+    return receipts;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BetReceipt.create.mockImplementation(async (data) => data);
+  });
+
+  describe('issueReceipt', () => {
+    it('should chain the receipt to the latest one of the user', async () => {
+      const [previous] = makeChain([makeContent('bet_0')]);
+      Bet.findReceiptContent.mockResolvedValue([makeContent('bet_1')]);
+      BetReceipt.findLatestByUserId.mockResolvedValue(previous);
+
+      const receipt = await ReceiptService.issueReceipt('bet_1', 'placed', mockClient);
+
+      expect(BetReceipt.lockChain).toHaveBeenCalledWith('user_1', mockClient);
+      expect(receipt).toMatchObject({
+        betId: 'bet_1',
+        sequence: 2,
+        previousHash: previous.receipt_hash,
+        contentHash: hashContent(makeContent('bet_1')),
+      });
+    });
+
+    it('should start a chain at sequence 1', async () => {
+      Bet.findReceiptContent.mockResolvedValue([makeContent('bet_1')]);
+      BetReceipt.findLatestByUserId.mockResolvedValue(null);
+
+      const receipt = await ReceiptService.issueReceipt('bet_1', 'placed', mockClient);
+
+      expect(receipt).toMatchObject({ sequence: 1, previousHash: null });
+    });
+  });
+
+  describe('recordUpdate', () => {
+    it('should skip updates that leave the receipt content unchanged', async () => {
+      const content = makeContent('bet_1');
+      Bet.findReceiptContent.mockResolvedValue([content]);
+      BetReceipt.findByBetId.mockResolvedValue(makeChain([content]));
+
+      expect(await ReceiptService.recordUpdate('bet_1', mockClient)).toBeNull();
+      expect(BetReceipt.create).not.toHaveBeenCalled();
+    });
+
+    it('should append an updated receipt when the pick changed', async () => {
+      const content = makeContent('bet_1');
+      Bet.findReceiptContent.mockResolvedValue([{ ...content, confidence_level: 5 }]);
+      BetReceipt.findByBetId.mockResolvedValue(makeChain([content]));
+      BetReceipt.findLatestByUserId.mockResolvedValue(makeChain([content])[0]);
+
+      const receipt = await ReceiptService.recordUpdate('bet_1', mockClient);
+
+      expect(receipt).toMatchObject({ kind: 'updated', sequence: 2 });
+    });
+  });
+
+  describe('verifyChain', () => {
+    const contents = [makeContent('bet_1'), makeContent('bet_2'), makeContent('bet_3')];
+
+    it('should accept an intact chain', async () => {
+      const chain = makeChain(contents);
+      BetReceipt.findByUserId.mockResolvedValue(chain);
+      Bet.findReceiptContent.mockResolvedValue(contents);
+
+      const report = await ReceiptService.verifyChain('user_1');
+
+      expect(report).toEqual({
+        user_id: 'user_1',
+        valid: true,
+        receipts: 3,
+        bets: 3,
+        deleted: 0,
+        head: chain[2].receipt_hash,
+        breaks: [],
+      });
+    });
+
+    it('should detect a bet edited without a receipt', async () => {
+      BetReceipt.findByUserId.mockResolvedValue(makeChain(contents));
+      Bet.findReceiptContent.mockResolvedValue([
+        contents[0],
+        { ...contents[1], created_at: '2026-09-13T16:00:00.000000' },
+        contents[2],
+      ]);
+
+      const report = await ReceiptService.verifyChain('user_1');
+
+      expect(report.valid).toBe(false);
+      expect(report.breaks).toEqual([{ sequence: 2, bet_id: 'bet_2', reason: 'content_altered' }]);
+    });
+
+    it('should detect removed and rewritten receipts', async () => {
+      const chain = makeChain(contents);
+      const rewritten = { ...chain[0], content_hash: 'f'.repeat(64) };
+      BetReceipt.findByUserId.mockResolvedValue([rewritten, chain[2]]);
+      Bet.findReceiptContent.mockResolvedValue(contents);
+
+      const report = await ReceiptService.verifyChain('user_1');
+
+      expect(report.breaks).toEqual([
+        { sequence: 1, bet_id: 'bet_1', reason: 'receipt_altered' },
+        { sequence: 1, bet_id: 'bet_1', reason: 'content_altered' },
+        { sequence: 3, bet_id: 'bet_3', reason: 'missing_receipt' },
+        { sequence: 3, bet_id: 'bet_3', reason: 'broken_link' },
+      ]);
+    });
+
+    it('should count deleted bets without reporting a break', async () => {
+      BetReceipt.findByUserId.mockResolvedValue(makeChain(contents));
+      Bet.findReceiptContent.mockResolvedValue([contents[0], contents[2]]);
+
+      const report = await ReceiptService.verifyChain('user_1');
+
+      expect(report).toMatchObject({ valid: true, deleted: 1 });
+    });
+  });
+
+  describe('verifyChainFor', () => {
+    const ownerId = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+    const memberId = '9b2f4c1e-3a6d-4e8b-b1c7-52d0e8f3a914';
+
+    beforeEach(() => {
+      BetReceipt.findByUserId.mockResolvedValue([]);
+    });
+
+    it('should let users verify their own chain', async () => {
+      const report = await ReceiptService.verifyChainFor(ownerId, ownerId);
+
+      expect(report).toMatchObject({ user_id: ownerId, valid: true });
+      expect(GroupMember.sharesGroup).not.toHaveBeenCalled();
+    });
+
+    it('should let members of a common group verify each other', async () => {
+      GroupMember.sharesGroup.mockResolvedValue(true);
+
+      await ReceiptService.verifyChainFor(ownerId, memberId);
+
+      expect(GroupMember.sharesGroup).toHaveBeenCalledWith(memberId, ownerId);
+      expect(BetReceipt.findByUserId).toHaveBeenCalledWith(ownerId);
+    });
+
+    it('should keep other chains to members of a common group', async () => {
+      GroupMember.sharesGroup.mockResolvedValue(false);
+
+      await expect(ReceiptService.verifyChainFor(ownerId, memberId)).rejects.toThrow(
+        'Access denied to receipt chain'
+      );
+      expect(BetReceipt.findByUserId).not.toHaveBeenCalled();
+    });
+
+    it('should reject user IDs that are not UUIDs', async () => {
+      await expect(ReceiptService.verifyChainFor('abc', memberId)).rejects.toThrow(
+        'Invalid user ID'
+      );
+      expect(BetReceipt.findByUserId).not.toHaveBeenCalled();
+    });
+  });
+});
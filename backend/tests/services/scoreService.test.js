@@ -0,0 +1,57 @@
+/**
+ * Unit tests for Score Service
+ * Tests settling games when they go final and retrying failed settlements
+ */
+
+const ScoreService = require('../../src/services/scoreService');
+const Score = require('../../src/models/Score');
+const SportsAPIService = require('../../src/services/sportsApiService');
+const SettlementService = require('../../src/services/settlementService');
+
+jest.mock('../../src/models/Score');
+jest.mock('../../src/services/sportsApiService');
+jest.mock('../../src/services/settlementService');
+
+describe('ScoreService', () => {
+  const finalGame = {
+    game_id: 'nfl_1',
+    sport_type: 'football',
+    status: 'final',
+    previous_status: 'in_progress',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    SportsAPIService.fetchLiveScores.mockResolvedValue([{ gameId: 'nfl_1' }]);
+    Score.upsert.mockResolvedValue(finalGame);
+    Score.findFinalWithPendingBets.mockResolvedValue([]);
+    SettlementService.isVoidStatus.mockReturnValue(false);
+  });
+
+  describe('refreshScores', () => {
+    it('should settle a game when it goes final', async () => {
+      const count = await ScoreService.refreshScores('football');
+
+      expect(count).toBe(1);
+      expect(SettlementService.settleGame).toHaveBeenCalledWith(finalGame);
+    });
+
+    it('should keep updating scores when settlement fails', async () => {
+      SettlementService.settleGame.mockRejectedValue(new Error('Connection terminated'));
+
+      await expect(ScoreService.refreshScores('football')).resolves.toBe(1);
+    });
+
+    it('should retry final games that still have pending bets', async () => {
+      const missed = { ...finalGame, game_id: 'nfl_0', previous_status: 'final' };
+      Score.upsert.mockResolvedValue({ ...finalGame, previous_status: 'final' });
+      Score.findFinalWithPendingBets.mockResolvedValue([missed]);
+
+      await ScoreService.refreshScores('football');
+
+      expect(Score.findFinalWithPendingBets).toHaveBeenCalledWith('football');
+      expect(SettlementService.settleGame).toHaveBeenCalledTimes(1);
+      expect(SettlementService.settleGame).toHaveBeenCalledWith(missed);
+    });
+  });
+});
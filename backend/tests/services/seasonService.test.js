@@ -0,0 +1,187 @@
+/**
+ * Unit tests for Season Service
+ * Tests creating seasons, live standings and archiving final tables
+ */
+
+const SeasonService = require('../../src/services/seasonService');
+const Group = require('../../src/models/Group');
+const GroupMember = require('../../src/models/GroupMember');
+const GroupSeason = require('../../src/models/GroupSeason');
+const LeaderboardService = require('../../src/services/leaderboardService');
+
+jest.mock('../../src/models/Group');
+jest.mock('../../src/models/GroupMember');
+jest.mock('../../src/models/GroupSeason');
+jest.mock('../../src/services/leaderboardService');
+
+describe('SeasonService', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const group = {
+    id: 'group_1',
+    owner_id: 'owner_1',
+    is_private: true,
+    leaderboard_scoring: 'confidence',
+  };
+  const standings = [{ rank: 1, user_id: 'user_1', points: 7 }];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Group.findById.mockResolvedValue(group);
+    GroupMember.isMember.mockResolvedValue(true);
+    GroupSeason.create.mockImplementation(async (data) => ({ id: 'season_1', ...data }));
+    LeaderboardService.getStandings.mockResolvedValue(standings);
+  });
+
+  describe('createSeason', () => {
+    const seasonData = {
+      name: ' March Madness ',
+      startsAt: '2026-03-15T00:00:00Z',
+      endsAt: '2026-04-08T00:00:00Z',
+      sports: ['basketball', 'basketball'],
+    };
+
+    it("should create a season with the group's scoring by default", async () => {
+      const season = await SeasonService.createSeason('group_1', 'owner_1', seasonData, now);
+
+      expect(GroupSeason.create).toHaveBeenCalledWith({
+        groupId: 'group_1',
+        name: 'March Madness',
+        startsAt: new Date('2026-03-15T00:00:00Z'),
+        endsAt: new Date('2026-04-08T00:00:00Z'),
+        sports: ['basketball'],
+        scoring: 'confidence',
+        createdBy: 'owner_1',
+      });
+      expect(season.id).toBe('season_1');
+    });
+
+    it('should count every sport without a sports list', async () => {
+      await SeasonService.createSeason(
+        'group_1',
+        'owner_1',
+        { ...seasonData, sports: undefined, scoring: 'units' },
+        now
+      );
+
+      expect(GroupSeason.create).toHaveBeenCalledWith(
+        expect.objectContaining({ sports: null, scoring: 'units' })
+      );
+    });
+
+    it('should only let the owner create seasons', async () => {
+      await expect(
+        SeasonService.createSeason('group_1', 'admin_1', seasonData, now)
+      ).rejects.toThrow('Only group owner can manage seasons');
+    });
+
+    it('should validate the window, sports and scoring', async () => {
+      const create = (overrides) =>
+        SeasonService.createSeason('group_1', 'owner_1', { ...seasonData, ...overrides }, now);
+
+      await expect(create({ endsAt: 'soon' })).rejects.toThrow('Invalid season dates');
+      await expect(create({ endsAt: '2026-03-10T00:00:00Z' })).rejects.toThrow(
+        'Season must end after it starts'
+      );
+      await expect(
+        create({ startsAt: '2026-01-01T00:00:00Z', endsAt: '2026-02-01T00:00:00Z' })
+      ).rejects.toThrow('Season end must be in the future');
+      await expect(create({ sports: ['curling'] })).rejects.toThrow('Season sports must be');
+      await expect(create({ scoring: 'elo' })).rejects.toThrow(
+        'Season scoring must be flat, confidence or units'
+      );
+      expect(GroupSeason.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSeason', () => {
+    const season = {
+      id: 'season_1',
+      group_id: 'group_1',
+      starts_at: new Date('2026-02-01T00:00:00Z'),
+      ends_at: new Date('2026-03-15T00:00:00Z'),
+      sports: ['hockey'],
+      scoring: 'units',
+      finalized_at: null,
+      final_standings: null,
+      status: 'active',
+    };
+
+    it('should return live standings under the season rules', async () => {
+      GroupSeason.findById.mockResolvedValue(season);
+
+      const result = await SeasonService.getSeason('group_1', 'season_1', 'user_1', now);
+
+      expect(LeaderboardService.getStandings).toHaveBeenCalledWith('group_1', {
+        scoring: 'units',
+        season: { startsAt: season.starts_at, endsAt: season.ends_at, sports: ['hockey'] },
+        limit: null,
+      });
+      expect(result).toMatchObject({ final: false, standings });
+      expect(result.season).not.toHaveProperty('final_standings');
+      expect(GroupSeason.finalize).not.toHaveBeenCalled();
+    });
+
+    it('should archive the table once the finalize window has passed', async () => {
+      const ended = { ...season, ends_at: new Date('2026-02-20T00:00:00Z'), status: 'closed' };
+      GroupSeason.findById.mockResolvedValue(ended);
+      GroupSeason.finalize.mockResolvedValue({
+        ...ended,
+        status: 'final',
+        finalized_at: now,
+        final_standings: standings,
+      });
+
+      const result = await SeasonService.getSeason('group_1', 'season_1', 'user_1', now);
+
+      expect(GroupSeason.finalize).toHaveBeenCalledWith('season_1', standings);
+      expect(result).toMatchObject({ final: true, standings });
+    });
+
+    it('should serve archived tables without recomputing them', async () => {
+      GroupSeason.findById.mockResolvedValue({
+        ...season,
+        status: 'final',
+        finalized_at: new Date('2026-02-25T00:00:00Z'),
+        final_standings: standings,
+      });
+
+      const result = await SeasonService.getSeason('group_1', 'season_1', 'user_1', now);
+
+      expect(result).toMatchObject({ final: true, standings });
+      expect(LeaderboardService.getStandings).not.toHaveBeenCalled();
+    });
+
+    it('should keep seasons of private groups to members', async () => {
+      GroupMember.isMember.mockResolvedValue(false);
+
+      await expect(
+        SeasonService.getSeason('group_1', 'season_1', 'user_9', now)
+      ).rejects.toThrow('Access denied to private group');
+    });
+  });
+
+  describe('getSeasons', () => {
+    it('should archive seasons that are due before listing the history', async () => {
+      const due = { id: 'season_0', group_id: 'group_1', scoring: 'flat' };
+      GroupSeason.findDueForFinalization.mockResolvedValue([due]);
+      GroupSeason.finalize.mockResolvedValue({ ...due, status: 'final' });
+      GroupSeason.findByGroupId.mockResolvedValue([{ ...due, status: 'final' }]);
+
+      const result = await SeasonService.getSeasons('group_1', 'user_1', { status: 'final' }, now);
+
+      expect(GroupSeason.findDueForFinalization).toHaveBeenCalledWith(
+        'group_1',
+        new Date('2026-02-27T12:00:00Z')
+      );
+      expect(GroupSeason.finalize).toHaveBeenCalledWith('season_0', standings);
+      expect(GroupSeason.findByGroupId).toHaveBeenCalledWith('group_1', { status: 'final' });
+      expect(result.count).toBe(1);
+    });
+
+    it('should reject unknown statuses', async () => {
+      await expect(
+        SeasonService.getSeasons('group_1', 'user_1', { status: 'archived' })
+      ).rejects.toThrow('Season status must be upcoming, active, closed or final');
+    });
+  });
+});
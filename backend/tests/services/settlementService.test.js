@@ -0,0 +1,315 @@
+/**
+ * Unit tests for Settlement Service
+ * Tests automatic grading of bets from final scores
+ */
+
+const SettlementService = require('../../src/services/settlementService');
+const Bet = require('../../src/models/Bet');
+const Score = require('../../src/models/Score');
+const LeaderboardService = require('../../src/services/leaderboardService');
+const StatsService = require('../../src/services/statsService');
+const WalletService = require('../../src/services/walletService');
+
+jest.mock('../../src/models/Bet');
+jest.mock('../../src/models/Score');
+jest.mock('../../src/services/leaderboardService');
+jest.mock('../../src/services/statsService');
+jest.mock('../../src/services/walletService');
+
+// Run transactions inline with a fake client
+const mockClient = {};
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+describe('SettlementService', () => {
+  const finalGame = {
+    game_id: 'nfl_1',
+    home_team: 'Chiefs',
+    away_team: 'Bills',
+    home_score: 27,
+    away_score: 20,
+    status: 'final',
+  };
+
+  const makeBet = (overrides = {}) => ({
+    id: 'bet_1',
+    game_id: 'nfl_1',
+    home_team: 'Chiefs',
+    away_team: 'Bills',
+    bet_type: 'moneyline',
+    market: { type: 'moneyline', side: 'home' },
+    predicted_outcome: 'Chiefs',
+    status: 'pending',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('gradeBet', () => {
+    it('should grade a winning moneyline pick', () => {
+      const grade = SettlementService.gradeBet(makeBet(), finalGame);
+
+      expect(grade).toEqual({
+        status: 'won',
+        actualOutcome: 'Chiefs 27 - 20 Bills',
+      });
+    });
+
+    it('should grade a losing moneyline pick', () => {
+      const bet = makeBet({ market: { type: 'moneyline', side: 'away' } });
+      const grade = SettlementService.gradeBet(bet, finalGame);
+
+      expect(grade.status).toBe('lost');
+    });
+
+    it('should grade a spread pick', () => {
+      const bet = makeBet({ bet_type: 'spread', market: { type: 'spread', side: 'home', line: -7.5 } });
+
+      expect(SettlementService.gradeBet(bet, finalGame).status).toBe('lost');
+    });
+
+    it('should not grade legacy free-text predictions', () => {
+      const bet = makeBet({ bet_type: 'spread', market: null, predicted_outcome: 'Chiefs -3.5' });
+
+      expect(SettlementService.gradeBet(bet, finalGame)).toBeNull();
+    });
+
+    it('should grade a spread landing on the line as a push', () => {
+      const bet = makeBet({ bet_type: 'spread', market: { type: 'spread', side: 'home', line: -7 } });
+
+      expect(SettlementService.gradeBet(bet, finalGame).status).toBe('push');
+    });
+  });
+
+  describe('settleGame', () => {
+    it('should resolve gradeable pending bets and skip the rest', async () => {
+      Bet.findByGameId.mockResolvedValue([
+        makeBet({ id: 'bet_1' }),
+        makeBet({ id: 'bet_2', status: 'won' }),
+        makeBet({ id: 'bet_3', bet_type: 'prop', market: null, predicted_outcome: 'Over 3 TDs' }),
+      ]);
+
+      const result = await SettlementService.settleGame(finalGame);
+
+      expect(Bet.resolve).toHaveBeenCalledTimes(1);
+      expect(Bet.resolve).toHaveBeenCalledWith(
+        'bet_1',
+        { status: 'won', actualOutcome: 'Chiefs 27 - 20 Bills' },
+        mockClient
+      );
+      expect(result).toEqual({ settled: 1, skipped: 1 });
+    });
+
+    it('should never grade historical imports', async () => {
+      Bet.findByGameId.mockResolvedValue([makeBet({ is_historical: true })]);
+
+      const result = await SettlementService.settleGame(finalGame);
+
+      expect(Bet.resolve).not.toHaveBeenCalled();
+      expect(LeaderboardService.recordBet).not.toHaveBeenCalled();
+      expect(result).toEqual({ settled: 0, skipped: 0 });
+    });
+
+    it('should settle the stake in the same transaction as the resolution', async () => {
+      const resolved = makeBet({ status: 'won', stake: '25.00' });
+      Bet.findByGameId.mockResolvedValue([makeBet()]);
+      Bet.resolve.mockResolvedValue(resolved);
+
+      await SettlementService.settleGame(finalGame);
+
+      expect(WalletService.settleStake).toHaveBeenCalledWith(resolved, mockClient);
+    });
+
+    it('should score the bet on group leaderboards in the same transaction', async () => {
+      const resolved = makeBet({ status: 'won' });
+      Bet.findByGameId.mockResolvedValue([makeBet()]);
+      Bet.resolve.mockResolvedValue(resolved);
+
+      await SettlementService.settleGame(finalGame);
+
+      expect(LeaderboardService.recordBet).toHaveBeenCalledWith(resolved, mockClient);
+    });
+
+    it("should drop the owner's cached stats", async () => {
+      Bet.findByGameId.mockResolvedValue([makeBet()]);
+      Bet.resolve.mockResolvedValue(makeBet({ status: 'won', user_id: 'user_1' }));
+
+      await SettlementService.settleGame(finalGame);
+
+      expect(StatsService.invalidate).toHaveBeenCalledWith('user_1');
+    });
+
+    it('should reject games that are not final', async () => {
+      await expect(
+        SettlementService.settleGame({ ...finalGame, status: 'live' })
+      ).rejects.toThrow('Game is not final');
+    });
+  });
+
+  describe('voidGame', () => {
+    it('should void every pending bet with the game status as reason', async () => {
+      Bet.findByGameId.mockResolvedValue([
+        makeBet({ id: 'bet_1' }),
+        makeBet({ id: 'bet_2', market: null }),
+        makeBet({ id: 'bet_3', status: 'cancelled' }),
+      ]);
+
+      const result = await SettlementService.voidGame({ ...finalGame, status: 'postponed' });
+
+      expect(Bet.resolve).toHaveBeenCalledTimes(2);
+      expect(Bet.resolve).toHaveBeenCalledWith(
+        'bet_2',
+        { status: 'void', voidReason: 'Game postponed' },
+        mockClient
+      );
+      expect(result).toEqual({ voided: 2 });
+    });
+
+    it('should reject games that are still on', async () => {
+      await expect(SettlementService.voidGame(finalGame)).rejects.toThrow(
+        'Game is not postponed or cancelled'
+      );
+    });
+  });
+
+  describe('gradeParlay', () => {
+    it('should lose as soon as any leg loses', () => {
+      const grade = SettlementService.gradeParlay([
+        { status: 'won' },
+        { status: 'lost' },
+        { status: 'pending' },
+      ]);
+
+      expect(grade).toEqual({ status: 'lost', actualOutcome: '1 of 3 legs lost' });
+    });
+
+    it('should stay open while legs are pending', () => {
+      expect(SettlementService.gradeParlay([{ status: 'won' }, { status: 'pending' }])).toBeNull();
+    });
+
+    it('should drop voided legs and win on the rest', () => {
+      const grade = SettlementService.gradeParlay([
+        { status: 'won' },
+        { status: 'void' },
+        { status: 'won' },
+      ]);
+
+      expect(grade).toEqual({ status: 'won', actualOutcome: 'All 2 legs won' });
+    });
+
+    it('should pay a won parlay at the odds of the legs that still count', () => {
+      const grade = SettlementService.gradeParlay([
+        { status: 'won', odds_decimal: '2.0000' },
+        { status: 'push', odds_decimal: '2.0000' },
+        { status: 'won', odds_decimal: '1.9091' },
+      ]);
+
+      expect(grade).toEqual({ status: 'won', actualOutcome: 'All 2 legs won', payoutOdds: 3.8182 });
+    });
+
+    it('should scale down the parlay odds when its legs have none', () => {
+      const grade = SettlementService.gradeParlay(
+        [{ status: 'won' }, { status: 'push' }, { status: 'won', odds_decimal: '1.9091' }],
+        '8.0000'
+      );
+
+      expect(grade).toEqual({ status: 'won', actualOutcome: 'All 2 legs won', payoutOdds: 4 });
+    });
+
+    it('should keep the parlay odds when no leg was dropped', () => {
+      const grade = SettlementService.gradeParlay([{ status: 'won' }, { status: 'won' }], '6.5000');
+
+      expect(grade).toEqual({ status: 'won', actualOutcome: 'All 2 legs won' });
+    });
+
+    it('should void a parlay whose legs were all voided', () => {
+      const grade = SettlementService.gradeParlay([{ status: 'void' }, { status: 'cancelled' }]);
+
+      expect(grade).toEqual({ status: 'void', voidReason: 'All legs voided' });
+    });
+
+    it('should push a parlay with only pushed and voided legs', () => {
+      const grade = SettlementService.gradeParlay([{ status: 'push' }, { status: 'void' }]);
+
+      expect(grade.status).toBe('push');
+    });
+  });
+
+  describe('settleGame with parlay legs', () => {
+    it('should settle the parent parlay after grading its leg', async () => {
+      Bet.findByGameId.mockResolvedValue([makeBet({ id: 'leg_1', parent_bet_id: 'parlay_1' })]);
+      Bet.findById.mockResolvedValue({ id: 'parlay_1', bet_type: 'parlay', status: 'pending' });
+      Bet.findLegs.mockResolvedValue([{ status: 'won' }, { status: 'won' }]);
+
+      await SettlementService.settleGame(finalGame);
+
+      expect(Bet.findLegs).toHaveBeenCalledWith(['parlay_1']);
+      expect(Bet.resolve).toHaveBeenCalledWith(
+        'parlay_1',
+        { status: 'won', actualOutcome: 'All 2 legs won' },
+        mockClient
+      );
+    });
+
+    it('should settle a won parlay with a pushed leg at its reduced odds', async () => {
+      const resolved = {
+        id: 'parlay_1',
+        status: 'won',
+        odds_decimal: '8.0000',
+        payout_odds_decimal: '4.0000',
+      };
+      Bet.findById.mockResolvedValue({ id: 'parlay_1', bet_type: 'parlay', status: 'pending' });
+      Bet.findLegs.mockResolvedValue([
+        { status: 'won', odds_decimal: '2.0000' },
+        { status: 'push', odds_decimal: '2.0000' },
+        { status: 'won', odds_decimal: '2.0000' },
+      ]);
+      Bet.resolve.mockResolvedValue(resolved);
+
+      await SettlementService.settleParlay('parlay_1');
+
+      expect(Bet.resolve).toHaveBeenCalledWith(
+        'parlay_1',
+        { status: 'won', actualOutcome: 'All 2 legs won', payoutOdds: 4 },
+        mockClient
+      );
+      expect(WalletService.settleStake).toHaveBeenCalledWith(resolved, mockClient);
+    });
+
+    it('should scale down the odds of a parlay whose legs have none', async () => {
+      Bet.findById.mockResolvedValue({
+        id: 'parlay_1',
+        bet_type: 'parlay',
+        status: 'pending',
+        odds_decimal: '8.0000',
+      });
+      Bet.findLegs.mockResolvedValue([{ status: 'won' }, { status: 'void' }, { status: 'won' }]);
+
+      await SettlementService.settleParlay('parlay_1');
+
+      expect(Bet.resolve).toHaveBeenCalledWith(
+        'parlay_1',
+        expect.objectContaining({ status: 'won', payoutOdds: 4 }),
+        mockClient
+      );
+    });
+  });
+
+  describe('isAutoGradeable', () => {
+    it('should be true for gradeable bets on upcoming games', async () => {
+      Score.findByGameId.mockResolvedValue({ ...finalGame, status: 'scheduled' });
+
+      await expect(SettlementService.isAutoGradeable(makeBet())).resolves.toBe(true);
+    });
+
+    it('should be false when the game is not in the scores cache', async () => {
+      Score.findByGameId.mockResolvedValue(null);
+
+      await expect(SettlementService.isAutoGradeable(makeBet())).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for Stats Service
+ * Tests streaks, breakdowns, rolling windows, ROI and caching
+ */
+
+const StatsService = require('../../src/services/statsService');
+const Bet = require('../../src/models/Bet');
+
+jest.mock('../../src/models/Bet');
+
+describe('StatsService', () => {
+  const now = new Date('2026-06-30T12:00:00Z');
+  const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+  let nextId = 0;
+  const makeBet = (status, overrides = {}) => ({
+    id: `bet_${++nextId}`,
+    parent_bet_id: null,
+    bet_type: 'moneyline',
+    market: { type: 'moneyline', side: 'home' },
+    home_team: 'Kansas City Chiefs',
+    away_team: 'Buffalo Bills',
+    confidence_level: 3,
+    stake: null,
+    odds_decimal: null,
+    status,
+    resolved_at: daysAgo(60),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('computeStats', () => {
+    it('should track current and longest streaks, skipping pushes', () => {
+      const bets = ['won', 'won', 'push', 'won', 'lost', 'lost'].map((status) => makeBet(status));
+
+      const { streaks } = StatsService.computeStats(bets, now);
+
+      expect(streaks).toEqual({
+        current: { type: 'lost', length: 2 },
+        longest_win: 3,
+        longest_loss: 2,
+      });
+    });
+
+    it('should break records down by confidence level', () => {
+      const bets = [
+        makeBet('won', { confidence_level: 5 }),
+        makeBet('won', { confidence_level: 5 }),
+        makeBet('lost', { confidence_level: 1 }),
+        makeBet('won', { confidence_level: null }),
+      ];
+
+      const { byConfidence } = StatsService.computeStats(bets, now);
+
+      expect(byConfidence).toEqual([
+        { confidence_level: 1, total: 1, won: 0, lost: 1, push: 0, win_percentage: 0 },
+        { confidence_level: 5, total: 2, won: 2, lost: 0, push: 0, win_percentage: 100 },
+      ]);
+    });
+
+    it('should count parlay legs by team and side but the parlay once overall', () => {
+      const bets = [
+        makeBet('lost', { id: 'parlay_1', bet_type: 'parlay', market: null }),
+        makeBet('won', { parent_bet_id: 'parlay_1', market: { type: 'spread', side: 'away', line: 3 } }),
+        makeBet('lost', { parent_bet_id: 'parlay_1' }),
+        makeBet('won', { bet_type: 'total', market: { type: 'total', selection: 'over', line: 47.5 } }),
+      ];
+
+      const stats = StatsService.computeStats(bets, now);
+
+      expect(stats.byBetType.map((row) => [row.bet_type, row.total])).toEqual([
+        ['parlay', 1],
+        ['total', 1],
+      ]);
+      expect(stats.bySide.home).toMatchObject({ total: 1, lost: 1 });
+      expect(stats.bySide.away).toMatchObject({ total: 1, won: 1 });
+      expect(stats.byTeam.map((row) => row.team).sort()).toEqual([
+        'Buffalo Bills',
+        'Kansas City Chiefs',
+      ]);
+    });
+
+    it('should split rolling windows by resolution time', () => {
+      const bets = [
+        makeBet('won', { resolved_at: daysAgo(200) }),
+        makeBet('lost', { resolved_at: daysAgo(20) }),
+        makeBet('won', { resolved_at: daysAgo(2) }),
+      ];
+
+      const { windows } = StatsService.computeStats(bets, now);
+
+      expect(windows.last7Days).toMatchObject({ total: 1, won: 1 });
+      expect(windows.last30Days).toMatchObject({ total: 2, won: 1, lost: 1 });
+      expect(windows.season).toMatchObject({ from: new Date('2026-01-01T00:00:00Z'), total: 2 });
+    });
+
+    it('should compute units and ROI at the recorded odds', () => {
+      const bets = [
+        makeBet('won', { stake: '100.00', odds_decimal: '2.5000' }),
+        makeBet('lost', { stake: '50.00' }),
+        makeBet('push', { stake: '25.00' }),
+        makeBet('won'),
+      ];
+
+      const { roi } = StatsService.computeStats(bets, now);
+
+      expect(roi).toEqual({ units: 1.5, staked: 175, profit: 100, roi_percentage: 57.14 });
+    });
+  });
+
+  describe('getAdvancedStats', () => {
+    it('should serve cached stats until invalidated', async () => {
+      Bet.findGradedByUserId.mockResolvedValue([makeBet('won')]);
+
+      const first = await StatsService.getAdvancedStats('user_1');
+      const second = await StatsService.getAdvancedStats('user_1');
+
+      expect(second).toBe(first);
+      expect(Bet.findGradedByUserId).toHaveBeenCalledTimes(1);
+
+      StatsService.invalidate('user_1');
+      await StatsService.getAdvancedStats('user_1');
+
+      expect(Bet.findGradedByUserId).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refetch stats once they expire', async () => {
+      Bet.findGradedByUserId.mockResolvedValue([makeBet('won')]);
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now.getTime());
+
+      await StatsService.getAdvancedStats('user_2');
+      clock.mockReturnValue(now.getTime() + 301 * 1000);
+      await StatsService.getAdvancedStats('user_2');
+
+      expect(Bet.findGradedByUserId).toHaveBeenCalledTimes(2);
+      clock.mockRestore();
+    });
+
+    it('should drop the oldest users beyond the cache size limit', async () => {
+      Bet.findGradedByUserId.mockResolvedValue([]);
+
+      await StatsService.getAdvancedStats('user_3');
+      for (let i = 0; i < 1000; i++) {
+        await StatsService.getAdvancedStats(`other_${i}`);
+      }
+      Bet.findGradedByUserId.mockClear();
+
+      await StatsService.getAdvancedStats('other_999');
+      await StatsService.getAdvancedStats('user_3');
+
+      expect(Bet.findGradedByUserId).toHaveBeenCalledTimes(1);
+      expect(Bet.findGradedByUserId).toHaveBeenCalledWith('user_3');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Unit tests for Wallet Service
+ * Tests stake reservation, settlement and admin adjustments
+ */
+
+const WalletService = require('../../src/services/walletService');
+const Wallet = require('../../src/models/Wallet');
+
+jest.mock('../../src/models/Wallet');
+
+// Run transactions inline with a fake client
+const mockClient = {};
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+describe('WalletService', () => {
+  const wallet = { id: 'wallet_1', user_id: 'user_1', balance: '100.00' };
+
+  const makeBet = (overrides = {}) => ({
+    id: 'bet_1',
+    user_id: 'user_1',
+    predicted_outcome: 'Chiefs -3.5',
+    stake: '40.00',
+    status: 'pending',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Wallet.create.mockResolvedValue(null);
+    Wallet.findByUserId.mockResolvedValue(wallet);
+  });
+
+  describe('ensureWallet', () => {
+    it('should grant the initial bankroll to a new wallet', async () => {
+      Wallet.create.mockResolvedValue({ id: 'wallet_1' });
+
+      await WalletService.ensureWallet('user_1', mockClient);
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({ type: 'initial_grant', amount: 1000 }),
+        mockClient
+      );
+      expect(Wallet.findByUserId).toHaveBeenCalledWith('user_1', mockClient, true);
+    });
+  });
+
+  describe('reserveStake', () => {
+    it('should debit the stake from the wallet', async () => {
+      await WalletService.reserveStake(makeBet(), mockClient);
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({ type: 'stake_debit', amount: -40, betId: 'bet_1' }),
+        mockClient
+      );
+    });
+
+    it('should reject stakes larger than the balance', async () => {
+      await expect(
+        WalletService.reserveStake(makeBet({ stake: '150.00' }), mockClient)
+      ).rejects.toThrow('Insufficient balance');
+
+      expect(Wallet.applyTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settleStake', () => {
+    it('should credit the payout for a won bet', async () => {
+      await WalletService.settleStake(makeBet({ status: 'won' }), mockClient);
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({ type: 'win_credit', amount: 80 }),
+        mockClient
+      );
+    });
+
+    it('should pay a won bet at its recorded odds', async () => {
+      await WalletService.settleStake(makeBet({ status: 'won', odds_decimal: '1.9091' }), mockClient);
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({ type: 'win_credit', amount: 76.36 }),
+        mockClient
+      );
+    });
+
+    it('should pay a parlay that dropped legs at its reduced odds', async () => {
+      await WalletService.settleStake(
+        makeBet({ status: 'won', odds_decimal: '8.0000', payout_odds_decimal: '4.0000' }),
+        mockClient
+      );
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({ type: 'win_credit', amount: 160 }),
+        mockClient
+      );
+    });
+
+    it('should refund the stake of a cancelled bet', async () => {
+      await WalletService.settleStake(makeBet({ status: 'cancelled' }), mockClient);
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({ type: 'stake_refund', amount: 40 }),
+        mockClient
+      );
+    });
+
+    it('should leave lost bets and unstaked bets alone', async () => {
+      await WalletService.settleStake(makeBet({ status: 'lost' }), mockClient);
+      await WalletService.settleStake(makeBet({ status: 'won', stake: null }), mockClient);
+
+      expect(Wallet.applyTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('regradeStake', () => {
+    it('should take back the payout when a win is re-graded as a loss', async () => {
+      await WalletService.regradeStake(
+        makeBet({ status: 'won', stake: '20.00' }),
+        makeBet({ status: 'lost', stake: '20.00' }),
+        'admin_1',
+        mockClient
+      );
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({ type: 'regrade_adjustment', amount: -40, createdBy: 'admin_1' }),
+        mockClient
+      );
+    });
+
+    it('should credit the difference when a push is re-graded as a win', async () => {
+      await WalletService.regradeStake(
+        makeBet({ status: 'push' }),
+        makeBet({ status: 'won' }),
+        'admin_1',
+        mockClient
+      );
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({ type: 'regrade_adjustment', amount: 40 }),
+        mockClient
+      );
+    });
+
+    it('should stop at a zero balance and record the shortfall', async () => {
+      await WalletService.regradeStake(
+        makeBet({ status: 'won', stake: '90.00' }),
+        makeBet({ status: 'lost', stake: '90.00' }),
+        'admin_1',
+        mockClient
+      );
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledTimes(2);
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({ type: 'regrade_adjustment', amount: -100 }),
+        mockClient
+      );
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({
+          type: 'regrade_shortfall',
+          amount: 0,
+          description: expect.stringContaining('80.00 already spent'),
+        }),
+        mockClient
+      );
+    });
+
+    it('should only record the shortfall when the balance is already zero', async () => {
+      Wallet.findByUserId.mockResolvedValue({ ...wallet, balance: '0.00' });
+
+      await WalletService.regradeStake(
+        makeBet({ status: 'won', stake: '20.00' }),
+        makeBet({ status: 'lost', stake: '20.00' }),
+        'admin_1',
+        mockClient
+      );
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledTimes(1);
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        expect.objectContaining({ type: 'regrade_shortfall', amount: 0 }),
+        mockClient
+      );
+    });
+
+    it('should leave unstaked bets and equal payouts alone', async () => {
+      await WalletService.regradeStake(
+        makeBet({ status: 'won', stake: null }),
+        makeBet({ status: 'lost', stake: null }),
+        'admin_1',
+        mockClient
+      );
+      await WalletService.regradeStake(
+        makeBet({ status: 'push' }),
+        makeBet({ status: 'void' }),
+        'admin_1',
+        mockClient
+      );
+
+      expect(Wallet.applyTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('adjustBalance', () => {
+    it('should not let an adjustment take the balance negative', async () => {
+      await expect(
+        WalletService.adjustBalance('admin_1', 'user_1', -150, 'Correction')
+      ).rejects.toThrow('Insufficient balance');
+    });
+
+    it('should record the admin on the ledger entry', async () => {
+      await WalletService.adjustBalance('admin_1', 'user_1', 50, ' Bonus ');
+
+      expect(Wallet.applyTransaction).toHaveBeenCalledWith(
+        'wallet_1',
+        { type: 'adjustment', amount: 50, description: 'Bonus', createdBy: 'admin_1' },
+        mockClient
+      );
+    });
+  });
+});
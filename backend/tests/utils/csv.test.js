@@ -0,0 +1,52 @@
+/**
+ * Unit tests for CSV Utilities
+ * Tests quoting on export and parsing on import
+ */
+
+const { formatRow, parseCsv, parseCsvRecords } = require('../../src/utils/csv');
+
+describe('CSV', () => {
+  describe('formatRow', () => {
+    it('should quote fields with commas, quotes or newlines', () => {
+      expect(formatRow(['plain', 'a,b', 'say "hi"', 'two\nlines'])).toBe(
+        'plain,"a,b","say ""hi""","two\nlines"\r\n'
+      );
+    });
+
+    it('should write empty fields for null and JSON for objects', () => {
+      const date = new Date('2024-12-15T20:00:00Z');
+
+      expect(formatRow([null, undefined, { type: 'total' }, date, false])).toBe(
+        ',,"{""type"":""total""}",2024-12-15T20:00:00.000Z,false\r\n'
+      );
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should read back what formatRow writes', () => {
+      const values = ['plain', 'a,b', 'say "hi"', 'two\r\nlines', ''];
+
+      expect(parseCsv(formatRow(values) + formatRow(['x']))).toEqual([values, ['x']]);
+    });
+
+    it('should skip blank lines', () => {
+      expect(parseCsv('a,b\n\nc,d\n')).toEqual([
+        ['a', 'b'],
+        ['c', 'd'],
+      ]);
+    });
+
+    it('should reject unterminated quotes', () => {
+      expect(() => parseCsv('a,"b\n')).toThrow('Invalid CSV: unterminated quoted field');
+    });
+  });
+
+  describe('parseCsvRecords', () => {
+    it('should key fields by the header', () => {
+      expect(parseCsvRecords('game_id,notes\nnfl_1,Home dog\nnfl_2\n')).toEqual([
+        { game_id: 'nfl_1', notes: 'Home dog' },
+        { game_id: 'nfl_2', notes: '' },
+      ]);
+    });
+  });
+});
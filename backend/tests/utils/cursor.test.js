@@ -0,0 +1,30 @@
+/**
+ * Unit tests for cursor utilities
+ */
+
+const { encodeCursor, decodeCursor } = require('../../src/utils/cursor');
+
+describe('Cursor Utilities', () => {
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip the position of a row', () => {
+      const createdAt = new Date('2026-03-01T18:30:00.250Z');
+      const cursor = encodeCursor({ id: 'bet_1', created_at: createdAt });
+
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(decodeCursor(cursor)).toEqual({ createdAt, id: 'bet_1' });
+    });
+
+    it('should reject strings that are not cursors', () => {
+      const notJson = Buffer.from('bet_1').toString('base64url');
+      const noId = Buffer.from(JSON.stringify({ t: '2026-03-01T00:00:00Z' })).toString('base64url');
+      const badDate = Buffer.from(JSON.stringify({ t: 'yesterday', id: 'bet_1' })).toString(
+        'base64url'
+      );
+
+      expect(() => decodeCursor(notJson)).toThrow('Invalid cursor');
+      expect(() => decodeCursor(noId)).toThrow('Invalid cursor');
+      expect(() => decodeCursor(badDate)).toThrow('Invalid cursor');
+      expect(() => decodeCursor(Buffer.from('null').toString('base64url'))).toThrow('Invalid cursor');
+    });
+  });
+});
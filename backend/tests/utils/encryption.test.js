@@ -0,0 +1,138 @@
+/**
+ * Unit tests for encryption utilities
+ * Tests versioned ciphertext, the keyring and key rotation
+ */
+
+const crypto = require('crypto');
+
+const OLD_KEY = 'a'.repeat(64);
+const NEW_KEY = 'b'.repeat(64);
+const ENV_KEYS = ['NODE_ENV', 'ENCRYPTION_KEY', 'ENCRYPTION_KEYS', 'ENCRYPTION_KEY_ID'];
+
+// Load a fresh copy of the module with the given environment
+const loadWith = (env) => {
+  const saved = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, { NODE_ENV: 'test', ...env });
+
+  let encryption;
+  jest.isolateModules(() => {
+    encryption = require('../../src/utils/encryption');
+  });
+  encryption.getActiveKeyId(); // parse the keyring while the environment is set
+
+  for (const [key, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+
+  return encryption;
+};
+
+// Ciphertext in the format used before the keyring (no version or key ID)
+const legacyEncrypt = (hexKey, text) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(hexKey, 'hex'), iv);
+  const encrypted = cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+  return iv.toString('hex') + cipher.getAuthTag().toString('hex') + encrypted;
+};
+
+describe('Encryption Utilities', () => {
+  describe('encrypt / decrypt', () => {
+    it('should tag ciphertext with the active key ID', () => {
+      const { encrypt, decrypt, getKeyId } = loadWith({
+        ENCRYPTION_KEYS: `2025:${OLD_KEY},2026:${NEW_KEY}`,
+      });
+
+      const ciphertext = encrypt({ line: -3.5 });
+
+      expect(ciphertext.startsWith('v1:2026:')).toBe(true);
+      expect(getKeyId(ciphertext)).toBe('2026');
+      expect(decrypt(ciphertext)).toEqual({ line: -3.5 });
+    });
+
+    it('should decrypt data written under an older key of the ring', () => {
+      const before = loadWith({ ENCRYPTION_KEYS: `2025:${OLD_KEY}` });
+      const ciphertext = before.encrypt({ line: -3.5 });
+
+      const after = loadWith({ ENCRYPTION_KEYS: `2025:${OLD_KEY},2026:${NEW_KEY}` });
+
+      expect(after.decrypt(ciphertext)).toEqual({ line: -3.5 });
+    });
+
+    it('should decrypt legacy ciphertext without a key ID', () => {
+      const { decrypt, getKeyId } = loadWith({
+        ENCRYPTION_KEY: OLD_KEY,
+        ENCRYPTION_KEYS: `2026:${NEW_KEY}`,
+      });
+      const legacy = legacyEncrypt(OLD_KEY, '{"line":7}');
+
+      expect(getKeyId(legacy)).toBeNull();
+      expect(decrypt(legacy)).toEqual({ line: 7 });
+    });
+
+    it('should fail for keys that are no longer in the ring', () => {
+      const before = loadWith({ ENCRYPTION_KEYS: `2025:${OLD_KEY}` });
+      const ciphertext = before.encrypt('secret');
+
+      const after = loadWith({ ENCRYPTION_KEYS: `2026:${NEW_KEY}` });
+
+      expect(() => after.decrypt(ciphertext)).toThrow('Failed to decrypt data');
+    });
+  });
+
+  describe('reencrypt', () => {
+    it('should move ciphertext to the active key and keep the plain text', () => {
+      const legacy = legacyEncrypt(OLD_KEY, '"42"');
+      const { reencrypt, decrypt, getKeyId } = loadWith({
+        ENCRYPTION_KEY: OLD_KEY,
+        ENCRYPTION_KEYS: `2026:${NEW_KEY}`,
+      });
+
+      const ciphertext = reencrypt(legacy);
+
+      expect(getKeyId(ciphertext)).toBe('2026');
+      expect(decrypt(ciphertext)).toBe('42');
+    });
+  });
+
+  describe('parseKeyring', () => {
+    const { parseKeyring } = loadWith({ ENCRYPTION_KEY: OLD_KEY });
+
+    it('should use ENCRYPTION_KEY_ID as the active key', () => {
+      const keyring = parseKeyring({
+        ENCRYPTION_KEYS: `2025:${OLD_KEY},2026:${NEW_KEY}`,
+        ENCRYPTION_KEY_ID: '2025',
+      });
+
+      expect([...keyring.keys.keys()]).toEqual(['2025', '2026']);
+      expect(keyring.activeKeyId).toBe('2025');
+    });
+
+    it('should reject malformed keys and unknown active keys', () => {
+      expect(() => parseKeyring({ ENCRYPTION_KEY: 'short' })).toThrow('must be 32 bytes');
+      expect(() => parseKeyring({ ENCRYPTION_KEYS: NEW_KEY })).toThrow('<key id>:<hex key>');
+      expect(() =>
+        parseKeyring({ ENCRYPTION_KEYS: `2026:${NEW_KEY}`, ENCRYPTION_KEY_ID: '2027' })
+      ).toThrow('is not in the keyring');
+    });
+
+    it('should only generate a key outside production', () => {
+      expect(parseKeyring({ NODE_ENV: 'development' })).toMatchObject({
+        activeKeyId: 'ephemeral',
+        ephemeral: true,
+      });
+      expect(parseKeyring({ NODE_ENV: 'production' })).toMatchObject({ activeKeyId: null });
+    });
+  });
+
+  describe('assertConfigured', () => {
+    it('should refuse to run in production without a key', () => {
+      const { assertConfigured, isConfigured } = loadWith({ NODE_ENV: 'production' });
+
+      expect(isConfigured()).toBe(false);
+      expect(() => assertConfigured()).toThrow('must be set in production');
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for Bet Market Utilities
+ * Tests market validation, grading and descriptions
+ */
+
+const { validateMarket, gradeMarket, describeMarket } = require('../../src/utils/markets');
+
+describe('Bet Markets', () => {
+  const game = { homeTeam: 'Kansas City Chiefs', awayTeam: 'Buffalo Bills' };
+
+  describe('validateMarket', () => {
+    it('should normalize a moneyline team to a side', () => {
+      const result = validateMarket({ type: 'moneyline', team: 'buffalo bills' }, game);
+
+      expect(result.valid).toBe(true);
+      expect(result.market).toEqual({ type: 'moneyline', side: 'away' });
+    });
+
+    it('should reject a moneyline on a team not in the game', () => {
+      const result = validateMarket({ type: 'moneyline', team: 'Dallas Cowboys' }, game);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Moneyline must name the home or away team');
+    });
+
+    it('should require a numeric spread line', () => {
+      const result = validateMarket({ type: 'spread', side: 'home', line: '-3' }, game);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Spread line must be a number');
+    });
+
+    it('should require over or under for totals', () => {
+      const result = validateMarket({ type: 'total', selection: 'high', line: 47.5 }, game);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Total selection must be over or under');
+    });
+
+    it('should reject unknown market types', () => {
+      const result = validateMarket({ type: 'parlay' }, game);
+
+      expect(result.valid).toBe(false);
+      expect(result.market).toBeNull();
+    });
+  });
+
+  describe('gradeMarket', () => {
+    const score = { homeScore: 24, awayScore: 21 };
+
+    it('should grade moneylines', () => {
+      expect(gradeMarket({ type: 'moneyline', side: 'home' }, score)).toBe('win');
+      expect(gradeMarket({ type: 'moneyline', side: 'away' }, score)).toBe('loss');
+    });
+
+    it('should grade spreads including pushes', () => {
+      expect(gradeMarket({ type: 'spread', side: 'home', line: -2.5 }, score)).toBe('win');
+      expect(gradeMarket({ type: 'spread', side: 'home', line: -3 }, score)).toBe('push');
+      expect(gradeMarket({ type: 'spread', side: 'away', line: 3.5 }, score)).toBe('win');
+    });
+
+    it('should grade totals', () => {
+      expect(gradeMarket({ type: 'total', selection: 'over', line: 44.5 }, score)).toBe('win');
+      expect(gradeMarket({ type: 'total', selection: 'under', line: 44.5 }, score)).toBe('loss');
+      expect(gradeMarket({ type: 'total', selection: 'under', line: 45 }, score)).toBe('push');
+    });
+  });
+
+  describe('describeMarket', () => {
+    it('should describe markets as readable predictions', () => {
+      expect(describeMarket({ type: 'spread', side: 'away', line: 3.5 }, game)).toBe('Buffalo Bills +3.5');
+      expect(describeMarket({ type: 'total', selection: 'under', line: 47 }, game)).toBe('Under 47');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for Odds Utilities
+ * Tests odds validation, conversion and implied probability
+ */
+
+const { validateOdds, impliedProbability, combineDecimalOdds } = require('../../src/utils/odds');
+
+describe('Odds', () => {
+  describe('validateOdds', () => {
+    it('should convert American odds to decimal', () => {
+      expect(validateOdds({ format: 'american', value: -110 }).odds).toEqual({
+        decimal: 1.9091,
+        format: 'american',
+        value: '-110',
+      });
+      expect(validateOdds({ format: 'american', value: 150 }).odds.decimal).toBe(2.5);
+    });
+
+    it('should reject American odds between -100 and +100', () => {
+      const result = validateOdds({ format: 'american', value: 50 });
+
+      expect(result.valid).toBe(false);
+      expect(result.odds).toBeNull();
+    });
+
+    it('should convert fractional odds to decimal', () => {
+      expect(validateOdds({ format: 'fractional', value: '5/2' }).odds.decimal).toBe(3.5);
+      expect(validateOdds({ format: 'fractional', value: '10/11' }).odds.decimal).toBe(1.9091);
+    });
+
+    it('should reject malformed fractional odds', () => {
+      expect(validateOdds({ format: 'fractional', value: '5-2' }).valid).toBe(false);
+      expect(validateOdds({ format: 'fractional', value: '0/1' }).valid).toBe(false);
+    });
+
+    it('should require decimal odds above 1', () => {
+      expect(validateOdds({ format: 'decimal', value: 1.91 }).valid).toBe(true);
+      expect(validateOdds({ format: 'decimal', value: 1 }).valid).toBe(false);
+      expect(validateOdds({ format: 'decimal', value: '2.5' }).valid).toBe(false);
+    });
+
+    it('should reject unknown formats', () => {
+      const result = validateOdds({ format: 'moneyline', value: -110 });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/Odds format must be one of/);
+    });
+  });
+
+  describe('impliedProbability', () => {
+    it('should be the inverse of decimal odds', () => {
+      expect(impliedProbability(2)).toBe(0.5);
+      expect(impliedProbability(1.9091)).toBe(0.5238);
+    });
+  });
+
+  describe('combineDecimalOdds', () => {
+    it('should multiply leg odds', () => {
+      expect(combineDecimalOdds([1.9091, 1.9091])).toBe(3.6447);
+    });
+  });
+});
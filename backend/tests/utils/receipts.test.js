@@ -0,0 +1,70 @@
+/**
+ * Unit tests for receipt utilities
+ */
+
+const { canonicalize, hashContent, hashReceipt } = require('../../src/utils/receipts');
+
+describe('Receipt Utilities', () => {
+  describe('canonicalize', () => {
+    it('should sort object keys at every level', () => {
+      expect(canonicalize({ b: 1, a: { d: [2, { f: 3, e: 4 }], c: null } })).toBe(
+        '{"a":{"c":null,"d":[2,{"e":4,"f":3}]},"b":1}'
+      );
+    });
+
+    it('should drop undefined properties', () => {
+      expect(canonicalize({ a: undefined, b: 'x' })).toBe('{"b":"x"}');
+    });
+  });
+
+  describe('hashContent', () => {
+    const content = {
+      id: 'bet_1',
+      market: { type: 'spread', side: 'home', line: -3.5 },
+      created_at: '2026-09-13T17:02:11.123456',
+    };
+
+    it('should not depend on key order', () => {
+      const reordered = {
+        created_at: content.created_at,
+        market: { line: -3.5, side: 'home', type: 'spread' },
+        id: 'bet_1',
+      };
+
+      expect(hashContent(reordered)).toBe(hashContent(content));
+      expect(hashContent(content)).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should change with the content', () => {
+      expect(
+        hashContent({ ...content, market: { ...content.market, line: -2.5 } })
+      ).not.toBe(hashContent(content));
+      expect(hashContent({ ...content, created_at: '2026-09-13T17:02:11.123457' })).not.toBe(
+        hashContent(content)
+      );
+    });
+  });
+
+  describe('hashReceipt', () => {
+    const receipt = {
+      userId: 'user_1',
+      sequence: 2,
+      betId: 'bet_1',
+      kind: 'placed',
+      contentHash: 'a'.repeat(64),
+      previousHash: 'b'.repeat(64),
+    };
+
+    it('should link to the previous receipt', () => {
+      expect(hashReceipt({ ...receipt, previousHash: 'c'.repeat(64) })).not.toBe(
+        hashReceipt(receipt)
+      );
+    });
+
+    it('should treat a missing previous hash as the start of the chain', () => {
+      expect(hashReceipt({ ...receipt, previousHash: undefined })).toBe(
+        hashReceipt({ ...receipt, previousHash: null })
+      );
+    });
+  });
+});